@@ -0,0 +1,544 @@
+/**
+ * Colony Conquest - AI Player
+ * Personality-driven decision making for computer-controlled factions
+ */
+
+import { GAME_CONFIG, AI_PERSONALITIES, OWNERS, TERRITORY_TYPES, TREATIES, TREATY_TYPES, WORKER_STATS } from '../utils/constants.js';
+import { randomFloat } from '../utils/math-utils.js';
+import { getStockpileResource } from '../utils/resource-registry.js';
+
+/**
+ * AIPlayer class - Scores candidate actions and executes the best ones each turn
+ */
+export class AIPlayer {
+    constructor(playerId, gameState, gameEventBus, personality = AI_PERSONALITIES.INDUSTRIALIST, difficulty = GAME_CONFIG.DEFAULT_AI_DIFFICULTY) {
+        if (!gameState) {
+            throw new Error("AIPlayer requires a GameState instance.");
+        }
+        if (!gameEventBus) {
+            throw new Error("AIPlayer requires a GameEventBus instance.");
+        }
+        this.playerId = playerId;
+        this.gameState = gameState;
+        this.gameEventBus = gameEventBus;
+        this.personality = personality;
+        this.maxActionsPerTurn = 3;
+        this.savingFor = null; // Candidate action the AI is holding resources for
+
+        this.setDifficulty(difficulty);
+    }
+
+    /**
+     * Apply a difficulty level from GAME_CONFIG.AI_DIFFICULTY
+     * @param {string} difficulty - 'EASY', 'MEDIUM' or 'HARD'
+     */
+    setDifficulty(difficulty) {
+        if (GAME_CONFIG.AI_DIFFICULTY[difficulty] === undefined) {
+            console.warn(`AIPlayer: Unknown difficulty '${difficulty}', using ${GAME_CONFIG.DEFAULT_AI_DIFFICULTY}.`);
+            difficulty = GAME_CONFIG.DEFAULT_AI_DIFFICULTY;
+        }
+
+        const profile = GAME_CONFIG.AI_DIFFICULTY_PROFILES[difficulty];
+        this.difficulty = difficulty;
+        this.decisionQuality = GAME_CONFIG.AI_DIFFICULTY[difficulty];
+        this.lookahead = profile.lookahead;
+
+        // Resource handicap or bonus is applied to the AI's production
+        const resourceManager = this.gameState.getResourceManager();
+        if (resourceManager) {
+            resourceManager.setPlayerProductionModifier(this.playerId, profile.productionModifier);
+        }
+    }
+
+    /**
+     * Evaluate the board and perform up to maxActionsPerTurn actions
+     * @returns {Array<object>} The actions that were executed
+     */
+    takeTurn() {
+        const actionsTaken = [];
+
+        for (let i = 0; i < this.maxActionsPerTurn; i++) {
+            const action = this.chooseAction(this.evaluateActions());
+            if (!action || !this.executeAction(action)) {
+                break;
+            }
+            actionsTaken.push(action);
+        }
+
+        if (actionsTaken.length === 0) {
+            const details = this.savingFor
+                ? { reason: 'saving_resources', target: this.savingFor.type, cost: this.savingFor.cost }
+                : { reason: 'no_affordable_actions' };
+            this.gameEventBus.emitAiActionTaken(this.playerId, 'pass', details);
+        }
+
+        return actionsTaken;
+    }
+
+    /**
+     * Build the list of candidate actions with their scores
+     * @returns {Array<object>} Candidate actions { type, cost, score, affordable, ... }
+     */
+    evaluateActions() {
+        const resourceManager = this.gameState.getResourceManager();
+        if (!resourceManager) {
+            console.warn('AIPlayer: ResourceManager not available, skipping evaluation.');
+            return [];
+        }
+
+        const candidates = [
+            ...this.getClaimCandidates(resourceManager),
+            ...this.getAttackCandidates(),
+            ...this.getWorkerCandidates(),
+            ...this.getMarketCandidates()
+        ];
+
+        candidates.forEach(action => {
+            action.affordable = resourceManager.canAfford(this.playerId, action.cost);
+        });
+        return candidates;
+    }
+
+    /**
+     * Pick the best affordable candidate as judged at the current difficulty
+     * @param {Array<object>} candidates - Scored candidate actions
+     * @returns {object|null} The chosen action, or null if nothing is worth doing now
+     */
+    chooseAction(candidates) {
+        this.savingFor = null;
+
+        // Lower decision quality blurs the AI's judgement of each option
+        const noise = 1 - this.decisionQuality;
+        let best = null;
+        let bestJudged = -Infinity;
+
+        candidates.forEach(action => {
+            if (!action.affordable || action.score <= 0) return;
+
+            const judged = action.score * (1 + randomFloat(-noise, noise));
+            if (judged > bestJudged) {
+                best = action;
+                bestJudged = judged;
+            }
+        });
+
+        if (best) {
+            this.savingFor = this.findWorthSavingFor(best, candidates);
+            if (this.savingFor) {
+                return null;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Look up to `lookahead` turns ahead: if a clearly better action becomes
+     * affordable by then, hold resources instead of settling for a weaker one.
+     * @returns {object|null} The action worth saving for, if any
+     */
+    findWorthSavingFor(action, candidates) {
+        if (this.lookahead <= 0) return null;
+
+        const resourceManager = this.gameState.getResourceManager();
+        const resources = this.gameState.getResources(this.playerId);
+        const production = resourceManager.calculateResourceProduction(this.playerId);
+
+        return candidates.find(candidate =>
+            !candidate.affordable &&
+            candidate.score > action.score * 1.5 &&
+            this.getTurnsUntilAffordable(candidate.cost, resources, production) <= this.lookahead
+        ) || null;
+    }
+
+    /**
+     * Candidate claims for every neutral territory. Territories bordering our own
+     * are reported as 'expand' actions, the rest as plain 'claim' actions.
+     */
+    getClaimCandidates(resourceManager) {
+        return this.getNeutralTerritories().map(territory => {
+            const adjacentOwned = this.countAdjacentOwned(territory);
+            const cost = resourceManager.getTerritoryClaimCost(territory, this.playerId);
+
+            return {
+                type: adjacentOwned > 0 ? 'expand' : 'claim',
+                territory,
+                cost,
+                score: this.scoreTerritory(territory, adjacentOwned) / this.getTotalCost(cost)
+            };
+        });
+    }
+
+    /**
+     * Candidate attacks on bordering enemy territories. Expansion-minded AIs
+     * favour them; unlikely victories are not considered at all.
+     */
+    getAttackCandidates() {
+        const combatManager = this.gameState.getCombatManager();
+        if (!combatManager) return [];
+
+        // Factions we have a treaty with are off limits
+        const diplomacyManager = this.gameState.getDiplomacyManager();
+        const rivals = Object.keys(this.gameState.resources).filter(faction => faction !== this.playerId &&
+            !(diplomacyManager && diplomacyManager.blocksAttack(this.playerId, faction)));
+
+        return Array.from(this.gameState.territories.values())
+            .filter(territory => rivals.includes(territory.owner))
+            .map(territory => {
+                const adjacentOwned = this.countAdjacentOwned(territory);
+                if (adjacentOwned === 0) return null;
+
+                const winChance = combatManager.getWinChance(this.playerId, territory);
+                if (winChance < 0.4) return null;
+
+                const cost = combatManager.getAttackCost(territory);
+                return {
+                    type: 'attack',
+                    territory,
+                    cost,
+                    winChance,
+                    score: this.personality.expansionFocus * winChance * this.scoreTerritory(territory, adjacentOwned) / this.getTotalCost(cost)
+                };
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Candidate worker training actions, one per worker type, while there is room for more workers
+     */
+    getWorkerCandidates() {
+        const workerManager = this.gameState.getWorkerManager();
+        if (!workerManager || workerManager.getTotalWorkers(this.playerId) >= workerManager.getPopulationCap(this.playerId)) {
+            return [];
+        }
+
+        const workers = workerManager.getWorkers(this.playerId);
+        return Object.entries(WORKER_STATS).map(([workerType, stats]) => {
+            // Each additional worker of the same type is worth less than the last
+            const benefit = this.personality.economyFocus * stats.bonus * this.getResourceNeed(stats.produces)
+                / (1 + workers[workerType]);
+
+            return {
+                type: 'train_worker',
+                workerType,
+                cost: { ...stats.cost },
+                score: benefit / this.getTotalCost(stats.cost)
+            };
+        });
+    }
+
+    /**
+     * Candidate market exchange: sell some of our most plentiful resource for the
+     * one we need most. Only worth it to trade-minded AIs.
+     */
+    getMarketCandidates() {
+        const tradeManager = this.gameState.getTradeManager();
+        const resources = this.gameState.getResources(this.playerId);
+        if (!tradeManager || !resources) return [];
+
+        const byNeed = tradeManager.getTradableResources()
+            .sort((a, b) => this.getResourceNeed(a) - this.getResourceNeed(b));
+        const give = byNeed[0];
+        const receive = byNeed[byNeed.length - 1];
+
+        // Sell half of the surplus over our average stockpile
+        const amounts = Object.values(resources);
+        const average = amounts.reduce((sum, val) => sum + val, 0) / amounts.length;
+        const amount = Math.floor((resources[give] - average) / 2);
+        if (amount < 1) return [];
+
+        const { received } = tradeManager.getQuote(give, receive, amount);
+        if (received < 1) return [];
+
+        const cost = { [give]: amount };
+        return [{
+            type: 'market_trade',
+            give,
+            receive,
+            amount,
+            cost,
+            score: this.personality.tradeFocus * (this.getResourceNeed(receive) - this.getResourceNeed(give)) * received / this.getTotalCost(cost)
+        }];
+    }
+
+    /**
+     * Score the benefit of owning a territory using the personality weights
+     * @param {Territory} territory - Candidate territory
+     * @param {number} adjacentOwned - Number of bordering territories we own
+     * @returns {number} Benefit score (before cost)
+     */
+    scoreTerritory(territory, adjacentOwned) {
+        const { economyFocus, expansionFocus, tradeFocus } = this.personality;
+        // Stone and iron land yields metal; mixed zones yield two resources
+        const yields = territory.getResourceYields().map(output => ({
+            produces: getStockpileResource(output.resourceType),
+            resourceValue: output.resourceValue || 0
+        }));
+        const ownedOutputs = new Set(this.getOwnedTerritories()
+            .flatMap(t => t.getResourceYields().map(output => getStockpileResource(output.resourceType))));
+
+        let economic = 0;
+        let diversity = 0;
+        yields.forEach(({ produces, resourceValue }) => {
+            // Production we would gain, weighted by how badly we need that resource
+            economic += economyFocus * resourceValue * this.getResourceNeed(produces);
+
+            // Trade-minded AIs value diversifying into resources they don't produce yet
+            diversity += ownedOutputs.has(produces) ? 0 : tradeFocus * this.getResourceNeed(produces);
+        });
+
+        // Expansion-minded AIs value territory itself, especially contiguous territory
+        const expansion = expansionFocus * (2 + adjacentOwned);
+
+        // Strategic points earn victory points and radiate extra influence
+        const strategic = territory.territoryType === TERRITORY_TYPES.STRATEGIC_POINT
+            ? expansionFocus * GAME_CONFIG.SPECIAL_TERRITORIES.AI_STRATEGIC_VALUE : 0;
+
+        // Far-sighted AIs also value the neutral land a claim opens up
+        const opportunity = expansionFocus * this.getExpansionOpportunity(territory);
+
+        return economic + expansion + diversity + strategic + opportunity;
+    }
+
+    /**
+     * Value of neutral territories within `lookahead` hexes of a territory,
+     * discounted by distance. Zero when the AI does not look ahead.
+     */
+    getExpansionOpportunity(territory) {
+        const hexGrid = this.gameState.getHexGrid();
+        if (!hexGrid || this.lookahead <= 0) return 0;
+
+        return hexGrid.getHexesInRange(territory.q, territory.r, this.lookahead)
+            .reduce((total, hexData) => {
+                const nearby = this.gameState.getTerritory(hexData.key);
+                if (!nearby || nearby === territory || nearby.owner !== OWNERS.NEUTRAL) {
+                    return total;
+                }
+                const distance = hexGrid.getDistance(territory.q, territory.r, nearby.q, nearby.r);
+                return total + (nearby.resourceValue || 0) * 0.1 / distance;
+            }, 0);
+    }
+
+    /**
+     * How much the AI needs a resource, relative to its average stockpile.
+     * Returns 0 for resources the AI cannot stockpile.
+     * @param {string} resourceType
+     * @returns {number} Need multiplier (0-2)
+     */
+    getResourceNeed(resourceType) {
+        const resources = this.gameState.getResources(this.playerId);
+        if (!resources || resources[resourceType] === undefined) {
+            return 0;
+        }
+
+        const amounts = Object.values(resources);
+        const average = amounts.reduce((sum, val) => sum + val, 0) / amounts.length;
+        return Math.min(2, (average + 1) / (resources[resourceType] + 1));
+    }
+
+    /**
+     * Execute a chosen action
+     * @param {object} action - Action produced by evaluateActions
+     * @returns {boolean} True if the action was carried out
+     */
+    executeAction(action) {
+        const resourceManager = this.gameState.getResourceManager();
+        const territoryManager = this.gameState.getTerritoryManager();
+
+        if (action.type === 'claim' || action.type === 'expand') {
+            if (!territoryManager) {
+                console.warn('AIPlayer: TerritoryManager not available, cannot claim territory.');
+                return false;
+            }
+        }
+
+        // CombatManager, TradeManager and WorkerManager charge the cost themselves
+        if (action.type === 'attack') {
+            return this.executeAttack(action);
+        }
+        if (action.type === 'train_worker') {
+            return this.executeTrainWorker(action);
+        }
+        if (action.type === 'market_trade') {
+            return this.executeMarketTrade(action);
+        }
+
+        if (!action.cost || !resourceManager.canAfford(this.playerId, action.cost)) {
+            return false;
+        }
+
+        const details = { cost: action.cost, score: action.score, personality: this.personality.name };
+
+        // Pay only once the action has succeeded, so a refused claim costs nothing
+        switch (action.type) {
+            case 'claim':
+            case 'expand':
+                if (!territoryManager.claimTerritory(action.territory.id, this.playerId, action.cost)) {
+                    return false;
+                }
+                details.territoryId = action.territory.id;
+                break;
+
+            default:
+                console.warn(`AIPlayer: Unknown action type: ${action.type}`);
+                return false;
+        }
+        resourceManager.spendResources(this.playerId, action.cost);
+
+        this.gameEventBus.emitAiActionTaken(this.playerId, action.type, details);
+        return true;
+    }
+
+    /**
+     * Attack a bordering enemy territory through the CombatManager
+     * @returns {boolean} True if the attack took place (won or lost)
+     */
+    executeAttack(action) {
+        const report = this.gameState.getCombatManager().attack(this.playerId, action.territory.id);
+        if (!report.success) {
+            return false;
+        }
+
+        this.gameEventBus.emitAiActionTaken(this.playerId, 'attack', {
+            cost: report.cost,
+            score: action.score,
+            personality: this.personality.name,
+            territoryId: action.territory.id,
+            result: report.result
+        });
+        return true;
+    }
+
+    /**
+     * Train a worker through the WorkerManager
+     * @returns {boolean} True if the worker was trained
+     */
+    executeTrainWorker(action) {
+        const workerManager = this.gameState.getWorkerManager();
+        const result = workerManager.train(this.playerId, action.workerType);
+        if (!result.success) {
+            return false;
+        }
+
+        this.gameEventBus.emitAiActionTaken(this.playerId, 'train_worker', {
+            cost: result.cost,
+            score: action.score,
+            personality: this.personality.name,
+            workerType: action.workerType,
+            workerCount: workerManager.getWorkers(this.playerId)[action.workerType]
+        });
+        return true;
+    }
+
+    /**
+     * Exchange resources on the market through the TradeManager
+     * @returns {boolean} True if the exchange went through
+     */
+    executeMarketTrade(action) {
+        const result = this.gameState.getTradeManager().exchange(this.playerId, action.give, action.receive, action.amount);
+        if (!result.success) {
+            return false;
+        }
+
+        this.gameEventBus.emitAiActionTaken(this.playerId, 'market_trade', {
+            cost: result.cost,
+            score: action.score,
+            personality: this.personality.name,
+            received: { [action.receive]: result.received }
+        });
+        return true;
+    }
+
+    // Helper Methods
+
+    /**
+     * Decide whether to accept a treaty. Trade-minded AIs are keen on agreements,
+     * expansion-minded ones reluctant; any AI will take a ceasefire from a stronger rival.
+     * @param {string} proposer - Faction offering the treaty
+     * @param {string} treatyType - TREATY_TYPES value
+     * @param {number} relation - Current relation with the proposer
+     * @returns {boolean} True to accept
+     */
+    considerTreaty(proposer, treatyType, relation) {
+        const { tradeFocus, expansionFocus } = this.personality;
+        let willingness = relation + (tradeFocus - expansionFocus) * 30;
+
+        if (treatyType === TREATY_TYPES.CEASEFIRE &&
+            this.gameState.getTerritoriesByOwner(proposer).length > this.getOwnedTerritories().length) {
+            willingness += 20;
+        }
+
+        return willingness >= TREATIES[treatyType].minRelation;
+    }
+
+    /**
+     * Decide whether to accept a trade offer. Resources are valued at market price,
+     * weighted by how much we need them; trade-minded AIs and friendly relations
+     * settle for a smaller margin.
+     * @param {string} proposer - Faction making the offer
+     * @param {object} offer - Resources we would receive
+     * @param {object} request - Resources we would give up
+     * @param {number} relation - Current relation with the proposer
+     * @returns {boolean} True to accept
+     */
+    considerTrade(proposer, offer, request, relation) {
+        const tradeManager = this.gameState.getTradeManager();
+        const value = (bundle) => Object.entries(bundle).reduce((total, [resourceType, amount]) =>
+            total + tradeManager.getPrice(resourceType) * amount * this.getResourceNeed(resourceType), 0);
+
+        const requiredMargin = 1 + (1 - this.personality.tradeFocus) * 0.5 - relation / 200;
+        return value(offer) >= value(request) * requiredMargin;
+    }
+
+    /**
+     * Get all neutral territories on the map that can be claimed
+     */
+    getNeutralTerritories() {
+        return Array.from(this.gameState.territories.values())
+            .filter(territory => (territory.owner === OWNERS.NEUTRAL || territory.owner === undefined) && territory.isPassable());
+    }
+
+    /**
+     * Get all territories owned by this AI
+     */
+    getOwnedTerritories() {
+        return this.gameState.getTerritoriesByOwner(this.playerId);
+    }
+
+    /**
+     * Count territories bordering the given one that this AI owns
+     */
+    countAdjacentOwned(territory) {
+        const hexGrid = this.gameState.getHexGrid();
+        if (!hexGrid) return 0;
+
+        return hexGrid.getNeighbors(territory.q, territory.r)
+            .map(neighbor => this.gameState.getTerritory(neighbor.key))
+            .filter(neighbor => neighbor && neighbor.owner === this.playerId)
+            .length;
+    }
+
+    /**
+     * Number of turns of current production needed before a cost is affordable
+     * @returns {number} 0 if affordable now, Infinity if never at current production
+     */
+    getTurnsUntilAffordable(cost, resources, production) {
+        let turns = 0;
+        for (const [resourceType, amount] of Object.entries(cost)) {
+            const shortfall = amount - (resources[resourceType] || 0);
+            if (shortfall <= 0) continue;
+
+            const perTurn = production[resourceType] || 0;
+            if (perTurn <= 0) return Infinity;
+            turns = Math.max(turns, Math.ceil(shortfall / perTurn));
+        }
+        return turns;
+    }
+
+    /**
+     * Sum all resource amounts in a cost object (minimum 1 to avoid division by zero)
+     */
+    getTotalCost(cost) {
+        return Math.max(1, Object.values(cost).reduce((sum, val) => sum + val, 0));
+    }
+}
@@ -10,6 +10,9 @@ class GameEventBus extends Phaser.Events.EventEmitter {
         // Define common game event keys for consistency
         this.events = {
             // Territory Events
+            TERRITORY_CREATED: 'territoryCreated',
+            TERRITORIES_CLEARED: 'territoriesCleared',
+            MAP_INITIALIZED: 'mapInitialized',
             TERRITORY_SELECTED: 'territorySelected',
             TERRITORY_DESELECTED: 'territoryDeselected',
             TERRITORY_CLAIMED: 'territoryClaimed',
@@ -20,6 +23,7 @@ class GameEventBus extends Phaser.Events.EventEmitter {
             RESOURCES_CHANGED: 'resourcesChanged', // Generic, can specify player and amounts
             RESOURCES_COLLECTED: 'resourcesCollected',
             RESOURCES_SPENT: 'resourcesSpent',
+            RESOURCE_MODIFIER_EXPIRED: 'resourceModifierExpired', // { kind, player, resourceType, value, source }
 
             // Turn and Phase Events
             TURN_START: 'turnStart',
@@ -29,12 +33,64 @@ class GameEventBus extends Phaser.Events.EventEmitter {
             // Game State Events
             GAME_STATUS_CHANGED: 'gameStatusChanged', // e.g., loading, active, paused, victory
             GAME_STATE_LOADED: 'gameStateLoaded',
+            GAME_SAVED: 'gameSaved',
+            SAVE_GAME_REQUESTED: 'saveGameRequested', // { slot, name }
+            LOAD_GAME_REQUESTED: 'loadGameRequested', // { slot }
+            DELETE_SAVE_REQUESTED: 'deleteSaveRequested', // { slot }
+            EXPORT_GAME_REQUESTED: 'exportGameRequested',
+            IMPORT_GAME_REQUESTED: 'importGameRequested', // { file }
             GAME_MESSAGE: 'gameMessage', // For general notifications or logs
 
             // UI Events (can be more specific if needed)
             UI_UPDATE_REQUESTED: 'uiUpdateRequest', // Generic request to refresh UI components
             SHOW_NOTIFICATION: 'showNotification',
 
+            // Combat Events
+            COMBAT_RESOLVED: 'combatResolved', // { attacker, defender, territoryId, result, attackRoll, defenseRoll, cost }
+
+            // Unit Events
+            UNITS_CHANGED: 'unitsChanged', // { player, territoryId, unitType, change, reason }
+            UNIT_RECRUIT_REQUESTED: 'unitRecruitRequested', // { territoryId, unitType }
+            UNIT_MOVE_REQUESTED: 'unitMoveRequested', // { fromTerritoryId, unitType, count }
+
+            // Worker Events
+            WORKERS_CHANGED: 'workersChanged', // { player, workerType, change, reason }
+            WORKER_TRAINING_REQUESTED: 'workerTrainingRequested', // { workerType, action: 'increase' | 'decrease' }
+
+            // Building Events
+            BUILDING_STARTED: 'buildingStarted', // { player, territoryId, buildingType, cost }
+            BUILDING_COMPLETED: 'buildingCompleted', // { player, territoryId, buildingType }
+            BUILDING_REQUESTED: 'buildingRequested', // { territoryId, buildingType }
+            FORTIFICATION_CHANGED: 'fortificationChanged', // { player, territoryId, level, change, reason }
+            FORTIFICATION_REQUESTED: 'fortificationRequested', // { territoryId }
+
+            // Influence Events
+            INFLUENCE_UPDATED: 'influenceUpdated', // { flipped }
+            TERRITORY_INFLUENCED: 'territoryInfluenced', // { territoryId, faction, influence }
+
+            // Random Events
+            RANDOM_EVENT_TRIGGERED: 'randomEventTriggered', // { event, factions, territoryId, duration, endTurn }
+            RANDOM_EVENT_ENDED: 'randomEventEnded', // { eventId, name, factions }
+
+            // Research Events
+            RESEARCH_STARTED: 'researchStarted', // { player, techId, cost }
+            RESEARCH_COMPLETED: 'researchCompleted', // { player, techId }
+            RESEARCH_REQUESTED: 'researchRequested', // { techId }
+
+            // Diplomacy Events
+            RELATION_CHANGED: 'relationChanged', // { factions, relation, change, reason }
+            TREATY_SIGNED: 'treatySigned', // { treaty }
+            TREATY_REJECTED: 'treatyRejected', // { from, to, treatyType }
+            TREATY_ENDED: 'treatyEnded', // { treaty, reason: 'expired' | 'broken' | 'superseded' }
+            TREATY_PROPOSAL_REQUESTED: 'treatyProposalRequested', // { to, treatyType }
+            TREATY_BREAK_REQUESTED: 'treatyBreakRequested', // { treatyId }
+
+            // Trade Events
+            TRADE_COMPLETED: 'tradeCompleted', // { type: 'market' | 'offer', player, partner, given, received }
+            TRADE_REJECTED: 'tradeRejected', // { from, to, offer, request }
+            MARKET_TRADE_REQUESTED: 'marketTradeRequested', // { give, receive, amount }
+            TRADE_OFFER_REQUESTED: 'tradeOfferRequested', // { to, offer, request }
+
             // AI Events
             AI_ACTION_TAKEN: 'aiActionTaken',
 
@@ -106,6 +162,10 @@ class GameEventBus extends Phaser.Events.EventEmitter {
         this.emit(this.events.GAME_STATE_LOADED, { gameStateSummary });
     }
 
+    emitGameSaved(slot, name, isAutosave = false) {
+        this.emit(this.events.GAME_SAVED, { slot, name, isAutosave });
+    }
+
     emitGameMessage(message, type = 'info', duration = 3000) {
         this.emit(this.events.GAME_MESSAGE, { message, type, duration });
         // This can also be directly tied to showNotification if preferred
@@ -142,6 +142,24 @@ export class TerritoryManager {
         this.gameEventBus.emit(this.gameEventBus.events.MAP_INITIALIZED, { territoryCount: this.gameState.territories.size });
     }
 
+    /**
+     * Replaces all territories with ones restored from save data.
+     * @param {Array<[string, object]>} territoryData - [id, serializedTerritory] pairs, as written by GameState.saveState.
+     */
+    loadTerritories(territoryData = []) {
+        this.gameState.territories.clear();
+        this.gameEventBus.emit(this.gameEventBus.events.TERRITORIES_CLEARED);
+
+        territoryData.forEach(([id, data]) => {
+            const territory = Territory.deserialize(data);
+            territory.id = id;
+            this.gameState.addTerritory(territory);
+        });
+
+        console.log(`TerritoryManager restored ${this.gameState.territories.size} territories.`);
+        this.gameEventBus.emit(this.gameEventBus.events.MAP_INITIALIZED, { territoryCount: this.gameState.territories.size });
+    }
+
     getAllTerritories() {
         return Array.from(this.gameState.territories.values());
     }
@@ -186,6 +204,10 @@ export class TerritoryManager {
     claimTerritory(territoryId, playerId, cost) {
         const territory = this.gameState.getTerritory(territoryId);
         if (territory) {
+            if (!territory.isPassable()) {
+                console.warn(`Territory ${territoryId} cannot be claimed: ${territory.getTerrainStats().name} is impassable`);
+                return false;
+            }
             if (territory.owner === OWNERS.NEUTRAL || territory.owner !== playerId) { // Basic claim logic
                 const oldOwner = territory.owner;
                 territory.owner = playerId;
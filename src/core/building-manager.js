@@ -0,0 +1,270 @@
+/**
+ * Colony Conquest - Building Manager
+ * Constructs buildings and fortifications on owned territories and works out what each faction can see
+ */
+
+import { GAME_CONFIG, BUILDING_STATS, RESOURCE_TYPES } from '../utils/constants.js';
+
+/**
+ * BuildingManager class - Construction, build progress, fortification levels and vision
+ */
+export class BuildingManager {
+    constructor(gameState, gameEventBus) {
+        if (!gameState) {
+            throw new Error("BuildingManager requires a GameState instance.");
+        }
+        if (!gameEventBus) {
+            throw new Error("BuildingManager requires a GameEventBus instance.");
+        }
+        this.gameState = gameState;
+        this.gameEventBus = gameEventBus;
+
+        this.gameEventBus.on(this.gameEventBus.events.TERRITORY_OWNERSHIP_CHANGED, this._handleOwnershipChanged, this);
+    }
+
+    _handleOwnershipChanged({ territory, newOwner, oldOwner }) {
+        // Construction sites are abandoned when a territory is lost; finished buildings change hands with it,
+        // but its fortifications are damaged in the fighting
+        if (territory && oldOwner !== null && oldOwner !== undefined) {
+            territory.structures = territory.getCompletedStructures();
+
+            const loss = Math.min(territory.fortificationLevel, GAME_CONFIG.FORTIFICATIONS.CAPTURE_LOSS);
+            if (loss > 0) {
+                this.setFortificationLevel(territory, territory.fortificationLevel - loss, newOwner, 'captured');
+            }
+        }
+    }
+
+    /**
+     * Number of buildings a territory has room for
+     */
+    getSlotLimit(territory) {
+        const buildings = GAME_CONFIG.BUILDINGS;
+        return territory.isHomeBase ? buildings.HOME_BASE_SLOTS : buildings.SLOTS_PER_TERRITORY;
+    }
+
+    /**
+     * Check whether a building can be constructed in a territory
+     * @param {string} player - Building player
+     * @param {string} territoryId - Owned territory to build in
+     * @param {string} buildingType - BUILDING_TYPES value
+     * @returns {object} { canBuild, reason, cost }
+     */
+    canBuild(player, territoryId, buildingType) {
+        const stats = BUILDING_STATS[buildingType];
+        if (!stats) {
+            return { canBuild: false, reason: 'unknown_building_type' };
+        }
+
+        const territory = this.gameState.getTerritory(territoryId);
+        if (!territory) {
+            return { canBuild: false, reason: 'territory_not_found' };
+        }
+        if (territory.owner !== player) {
+            return { canBuild: false, reason: 'not_owned' };
+        }
+        if (territory.hasStructure(buildingType)) {
+            return { canBuild: false, reason: 'already_built' };
+        }
+        if (territory.structures.length >= this.getSlotLimit(territory)) {
+            return { canBuild: false, reason: 'no_free_slots' };
+        }
+
+        const randomEventManager = this.gameState.getRandomEventManager();
+        const cost = randomEventManager ? randomEventManager.applyCostModifier('build', player, stats.cost) : { ...stats.cost };
+        const resourceManager = this.gameState.getResourceManager();
+        if (!resourceManager || !resourceManager.canAfford(player, cost)) {
+            return { canBuild: false, reason: 'insufficient_resources', cost };
+        }
+
+        return { canBuild: true, cost };
+    }
+
+    /**
+     * Pay for a building and start its construction
+     * @returns {object} { success, reason, cost }
+     */
+    build(player, territoryId, buildingType) {
+        const validation = this.canBuild(player, territoryId, buildingType);
+        if (!validation.canBuild) {
+            return { success: false, reason: validation.reason, cost: validation.cost };
+        }
+
+        const spendResult = this.gameState.getResourceManager().spendResources(player, validation.cost, 'construction');
+        if (!spendResult.success) {
+            return { success: false, reason: spendResult.reason, cost: validation.cost };
+        }
+
+        this.gameState.getTerritory(territoryId).structures.push({
+            type: buildingType,
+            turnsLeft: BUILDING_STATS[buildingType].buildTurns
+        });
+        this.gameEventBus.emit(this.gameEventBus.events.BUILDING_STARTED, { player, territoryId, buildingType, cost: validation.cost });
+
+        return { success: true, cost: validation.cost };
+    }
+
+    /**
+     * Advance every construction site of a player by one turn
+     * @returns {Array<object>} Buildings completed this turn { territoryId, buildingType }
+     */
+    advanceConstruction(player) {
+        const completed = [];
+        this.gameState.getTerritoriesByOwner(player).forEach(territory => {
+            territory.structures.forEach(structure => {
+                if (structure.turnsLeft <= 0) return;
+
+                structure.turnsLeft--;
+                if (structure.turnsLeft === 0) {
+                    completed.push({ territoryId: territory.id, buildingType: structure.type });
+                    this.gameEventBus.emit(this.gameEventBus.events.BUILDING_COMPLETED, {
+                        player, territoryId: territory.id, buildingType: structure.type
+                    });
+                }
+            });
+        });
+        return completed;
+    }
+
+    /**
+     * Cost of raising a territory's fortifications by one level; each level costs more than the last
+     */
+    getFortificationCost(territory) {
+        const nextLevel = territory.fortificationLevel + 1;
+        const cost = {};
+        Object.entries(GAME_CONFIG.FORTIFICATIONS.BASE_COST).forEach(([resourceType, amount]) => {
+            cost[resourceType] = amount * nextLevel;
+        });
+        return cost;
+    }
+
+    /**
+     * Check whether a territory's fortifications can be upgraded
+     * @returns {object} { canFortify, reason, cost }
+     */
+    canFortify(player, territoryId) {
+        const territory = this.gameState.getTerritory(territoryId);
+        if (!territory) {
+            return { canFortify: false, reason: 'territory_not_found' };
+        }
+        if (territory.owner !== player) {
+            return { canFortify: false, reason: 'not_owned' };
+        }
+        if (territory.fortificationLevel >= GAME_CONFIG.FORTIFICATIONS.MAX_LEVEL) {
+            return { canFortify: false, reason: 'max_level' };
+        }
+
+        const cost = this.getFortificationCost(territory);
+        const resourceManager = this.gameState.getResourceManager();
+        if (!resourceManager || !resourceManager.canAfford(player, cost)) {
+            return { canFortify: false, reason: 'insufficient_resources', cost };
+        }
+
+        return { canFortify: true, cost };
+    }
+
+    /**
+     * Raise a territory's fortification level by one
+     * @returns {object} { success, reason, cost, level }
+     */
+    fortify(player, territoryId) {
+        const validation = this.canFortify(player, territoryId);
+        if (!validation.canFortify) {
+            return { success: false, reason: validation.reason, cost: validation.cost };
+        }
+
+        const spendResult = this.gameState.getResourceManager().spendResources(player, validation.cost, 'fortification');
+        if (!spendResult.success) {
+            return { success: false, reason: spendResult.reason, cost: validation.cost };
+        }
+
+        const territory = this.gameState.getTerritory(territoryId);
+        this.setFortificationLevel(territory, territory.fortificationLevel + 1, player, 'upgraded');
+        return { success: true, cost: validation.cost, level: territory.fortificationLevel };
+    }
+
+    /**
+     * Change a territory's fortification level and announce it
+     */
+    setFortificationLevel(territory, level, player, reason) {
+        const change = level - territory.fortificationLevel;
+        territory.fortificationLevel = level;
+        this.gameEventBus.emit(this.gameEventBus.events.FORTIFICATION_CHANGED, {
+            player, territoryId: territory.id, level, change, reason
+        });
+    }
+
+    /**
+     * Gold a territory's fortifications cost each turn
+     */
+    getTerritoryFortificationUpkeep(territory) {
+        return territory.fortificationLevel * GAME_CONFIG.FORTIFICATIONS.UPKEEP_PER_LEVEL;
+    }
+
+    /**
+     * Gold the player's fortifications cost each turn
+     */
+    getFortificationUpkeep(player) {
+        return this.gameState.getTerritoriesByOwner(player)
+            .reduce((total, territory) => total + this.getTerritoryFortificationUpkeep(territory), 0);
+    }
+
+    /**
+     * Deduct fortification upkeep. Fortifications that cannot be maintained fall
+     * into disrepair, the strongest first.
+     * @returns {object} { paid, degraded } - Gold paid and levels lost
+     */
+    payFortificationUpkeep(player) {
+        const resources = this.gameState.getResources(player);
+        const available = resources ? resources[RESOURCE_TYPES.GOLD] || 0 : 0;
+        let upkeep = this.getFortificationUpkeep(player);
+        let degraded = 0;
+
+        while (upkeep > available) {
+            const territory = this.gameState.getTerritoriesByOwner(player)
+                .filter(owned => this.getTerritoryFortificationUpkeep(owned) > 0)
+                .sort((a, b) => b.fortificationLevel - a.fortificationLevel)[0];
+
+            this.setFortificationLevel(territory, territory.fortificationLevel - 1, player, 'disrepair');
+            upkeep -= GAME_CONFIG.FORTIFICATIONS.UPKEEP_PER_LEVEL;
+            degraded++;
+        }
+
+        if (upkeep > 0) {
+            this.gameState.getResourceManager().spendResources(player, { [RESOURCE_TYPES.GOLD]: upkeep }, 'fortification_upkeep');
+        }
+        if (degraded > 0) {
+            this.gameEventBus.emitGameMessage(`${degraded} ${player} fortification level(s) fell into disrepair - not enough gold for upkeep`, 'warning', 3000);
+        }
+
+        return { paid: upkeep, degraded };
+    }
+
+    /**
+     * How many hexes a territory can see, including its watchtowers
+     */
+    getVisionRange(territory) {
+        return GAME_CONFIG.BUILDINGS.BASE_VISION + territory.getStructureEffect('vision');
+    }
+
+    /**
+     * Check whether a player can see into a territory (its garrison and buildings):
+     * their own land, plus anything within vision range of it
+     */
+    isVisibleTo(player, territory) {
+        if (territory.owner === player) return true;
+
+        const hexGrid = this.gameState.getHexGrid();
+        if (!hexGrid) return false;
+
+        return this.gameState.getTerritoriesByOwner(player).some(owned =>
+            hexGrid.getDistance(owned.q, owned.r, territory.q, territory.r) <= this.getVisionRange(owned));
+    }
+
+    /**
+     * Stop listening to game events
+     */
+    destroy() {
+        this.gameEventBus.off(this.gameEventBus.events.TERRITORY_OWNERSHIP_CHANGED, this._handleOwnershipChanged, this);
+    }
+}
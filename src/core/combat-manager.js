@@ -0,0 +1,172 @@
+/**
+ * Colony Conquest - Combat Manager
+ * Validates attacks on adjacent enemy territories and resolves their outcome
+ */
+
+import { GAME_CONFIG, OWNERS } from '../utils/constants.js';
+import { randomInt } from '../utils/math-utils.js';
+
+export const COMBAT_RESULTS = {
+    CONQUERED: 'conquered',
+    REPELLED: 'repelled'
+};
+
+/**
+ * CombatManager class - Attack validation, cost and resolution
+ */
+export class CombatManager {
+    constructor(gameState, gameEventBus, territoryManager, hexGrid) {
+        if (!gameState) {
+            throw new Error("CombatManager requires a GameState instance.");
+        }
+        if (!gameEventBus) {
+            throw new Error("CombatManager requires a GameEventBus instance.");
+        }
+        if (!territoryManager) {
+            throw new Error("CombatManager requires a TerritoryManager instance.");
+        }
+        if (!hexGrid) {
+            throw new Error("CombatManager requires a HexGrid instance.");
+        }
+        this.gameState = gameState;
+        this.gameEventBus = gameEventBus;
+        this.territoryManager = territoryManager;
+        this.hexGrid = hexGrid;
+    }
+
+    /**
+     * Territories owned by the attacker that border the target
+     */
+    getSupportingTerritories(attacker, territory) {
+        return this.hexGrid.getNeighbors(territory.q, territory.r)
+            .map(neighbor => this.gameState.getTerritory(neighbor.key))
+            .filter(neighbor => neighbor && neighbor.owner === attacker);
+    }
+
+    /**
+     * Supplies needed to attack a territory; scales with its defense
+     */
+    getAttackCost(territory) {
+        const combat = GAME_CONFIG.COMBAT;
+        const cost = { ...combat.ATTACK_COST };
+        cost.food = (cost.food || 0) + territory.getDefenseValue() * combat.FOOD_PER_DEFENSE_POINT;
+        return cost;
+    }
+
+    /**
+     * Attack strength before the roll: base strength plus support from bordering
+     * territories and the attack stats of the garrisons stationed in them
+     */
+    getAttackStrength(attacker, territory) {
+        const combat = GAME_CONFIG.COMBAT;
+        const supporters = this.getSupportingTerritories(attacker, territory);
+        const support = supporters.length * combat.SUPPORT_BONUS_PER_TERRITORY;
+        const garrisonAttack = supporters.reduce((total, supporter) => total + supporter.getGarrisonStrength('attack'), 0);
+        return combat.BASE_ATTACK_STRENGTH + Math.min(combat.MAX_SUPPORT_BONUS, support) +
+            Math.floor(garrisonAttack * combat.GARRISON_ATTACK_FACTOR);
+    }
+
+    /**
+     * Probability that an attack succeeds, given both sides roll one DICE_SIDES die
+     * @returns {number} Chance of conquest (0-1)
+     */
+    getWinChance(attacker, territory) {
+        const sides = GAME_CONFIG.COMBAT.DICE_SIDES;
+        const margin = this.getAttackStrength(attacker, territory) - territory.getDefenseValue();
+        let wins = 0;
+        for (let attackDie = 1; attackDie <= sides; attackDie++) {
+            for (let defenseDie = 1; defenseDie <= sides; defenseDie++) {
+                if (margin + attackDie > defenseDie) wins++;
+            }
+        }
+        return wins / (sides * sides);
+    }
+
+    /**
+     * Check whether an attack is allowed, without performing it
+     * @param {string} attacker - Attacking player
+     * @param {string} territoryId - Target territory
+     * @returns {object} { canAttack, reason, cost }
+     */
+    canAttack(attacker, territoryId) {
+        if (this.gameState.isGameOver()) {
+            return { canAttack: false, reason: 'game_over' };
+        }
+
+        const territory = this.gameState.getTerritory(territoryId);
+        if (!territory) {
+            return { canAttack: false, reason: 'territory_not_found' };
+        }
+        if (territory.owner === attacker) {
+            return { canAttack: false, reason: 'own_territory' };
+        }
+        // Neutral land is claimed, not attacked
+        if (territory.owner === OWNERS.NEUTRAL || territory.owner === undefined) {
+            return { canAttack: false, reason: 'neutral_territory' };
+        }
+        const diplomacyManager = this.gameState.getDiplomacyManager();
+        if (diplomacyManager && diplomacyManager.blocksAttack(attacker, territory.owner)) {
+            return { canAttack: false, reason: 'treaty_in_effect' };
+        }
+        if (this.getSupportingTerritories(attacker, territory).length === 0) {
+            return { canAttack: false, reason: 'not_adjacent' };
+        }
+
+        const cost = this.getAttackCost(territory);
+        const resourceManager = this.gameState.getResourceManager();
+        if (!resourceManager || !resourceManager.canAfford(attacker, cost)) {
+            return { canAttack: false, reason: 'insufficient_resources', cost };
+        }
+
+        return { canAttack: true, cost };
+    }
+
+    /**
+     * Attack an adjacent enemy territory
+     * @param {string} attacker - Attacking player
+     * @param {string} territoryId - Target territory
+     * @returns {object} { success, reason } or the combat report { success, result, attackRoll, defenseRoll, ... }
+     */
+    attack(attacker, territoryId) {
+        const validation = this.canAttack(attacker, territoryId);
+        if (!validation.canAttack) {
+            return { success: false, reason: validation.reason, cost: validation.cost };
+        }
+
+        const spendResult = this.gameState.getResourceManager().spendResources(attacker, validation.cost);
+        if (!spendResult.success) {
+            return { success: false, reason: spendResult.reason, cost: validation.cost };
+        }
+
+        const territory = this.gameState.getTerritory(territoryId);
+        const defender = territory.owner;
+        const sides = GAME_CONFIG.COMBAT.DICE_SIDES;
+        const attackRoll = this.getAttackStrength(attacker, territory) + randomInt(1, sides);
+        const defenseRoll = territory.getDefenseValue() + randomInt(1, sides);
+        const result = attackRoll > defenseRoll ? COMBAT_RESULTS.CONQUERED : COMBAT_RESULTS.REPELLED;
+
+        // Every attack counts as a contest, whether or not it succeeds
+        territory.timesContested++;
+        if (result === COMBAT_RESULTS.CONQUERED) {
+            territory.clearUnits(); // The defending garrison is routed
+            this.territoryManager.claimTerritory(territoryId, attacker, null); // COMBAT_RESOLVED announces the conquest
+            territory.previousOwner = defender;
+            territory.turnClaimed = this.gameState.currentTurn;
+        }
+
+        const report = {
+            success: true,
+            result,
+            attacker,
+            defender,
+            territoryId,
+            attackRoll,
+            defenseRoll,
+            cost: validation.cost
+        };
+        this.gameEventBus.emit(this.gameEventBus.events.COMBAT_RESOLVED, report);
+        console.log(`⚔️ ${attacker} attacked ${territoryId} (${defender}): ${attackRoll} vs ${defenseRoll}, ${result}`);
+
+        return report;
+    }
+}
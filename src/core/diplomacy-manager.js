@@ -0,0 +1,246 @@
+/**
+ * Colony Conquest - Diplomacy Manager
+ * Tracks relations between factions, negotiates treaties and keeps their history
+ */
+
+import { GAME_CONFIG, TREATIES, TREATY_TYPES } from '../utils/constants.js';
+import { clamp } from '../utils/math-utils.js';
+
+/**
+ * DiplomacyManager class - Relation scores, treaty proposals and expiry
+ */
+export class DiplomacyManager {
+    constructor(gameState, gameEventBus) {
+        if (!gameState) {
+            throw new Error("DiplomacyManager requires a GameState instance.");
+        }
+        if (!gameEventBus) {
+            throw new Error("DiplomacyManager requires a GameEventBus instance.");
+        }
+        this.gameState = gameState;
+        this.gameEventBus = gameEventBus;
+        this.aiPlayers = new Map(); // Faction id -> AIPlayer answering proposals for it
+
+        this.gameEventBus.on(this.gameEventBus.events.COMBAT_RESOLVED, this._handleCombatResolved, this);
+        this.gameEventBus.on(this.gameEventBus.events.TURN_START, this._handleTurnStart, this);
+    }
+
+    /**
+     * Let an AI player answer the proposals made to its faction
+     */
+    registerAIPlayer(aiPlayer) {
+        this.aiPlayers.set(aiPlayer.playerId, aiPlayer);
+    }
+
+    get state() {
+        return this.gameState.getDiplomacyState();
+    }
+
+    /**
+     * Key of a faction pair; the same whichever side is asked first
+     */
+    getPairKey(factionA, factionB) {
+        return [factionA, factionB].sort().join('|');
+    }
+
+    /**
+     * Relation score between two factions (GAME_CONFIG.DIPLOMACY.MIN_RELATION to MAX_RELATION)
+     */
+    getRelation(factionA, factionB) {
+        return this.state.relations[this.getPairKey(factionA, factionB)] || 0;
+    }
+
+    /**
+     * Describe a relation score, e.g. for the Diplomacy panel
+     */
+    getRelationLabel(relation) {
+        if (relation <= -50) return 'Hostile';
+        if (relation < -10) return 'Unfriendly';
+        if (relation < 20) return 'Neutral';
+        if (relation < 50) return 'Friendly';
+        return 'Trusted';
+    }
+
+    /**
+     * Adjust the relation between two factions
+     * @param {string} reason - Why it changed, e.g. 'attack' or 'treaty_signed'
+     */
+    changeRelation(factionA, factionB, change, reason) {
+        const { MIN_RELATION, MAX_RELATION } = GAME_CONFIG.DIPLOMACY;
+        const key = this.getPairKey(factionA, factionB);
+        const relation = clamp(this.getRelation(factionA, factionB) + change, MIN_RELATION, MAX_RELATION);
+        this.state.relations[key] = relation;
+
+        this.gameEventBus.emit(this.gameEventBus.events.RELATION_CHANGED, {
+            factions: [factionA, factionB], relation, change, reason
+        });
+        return relation;
+    }
+
+    /**
+     * Active treaties, optionally only those between two factions
+     */
+    getActiveTreaties(factionA = null, factionB = null) {
+        return this.state.treaties.filter(treaty => treaty.status === 'active' &&
+            (!factionA || treaty.parties.includes(factionA)) &&
+            (!factionB || treaty.parties.includes(factionB)));
+    }
+
+    /**
+     * Every active treaty (ceasefire, pact or alliance) forbids attacks between its parties
+     */
+    blocksAttack(attacker, defender) {
+        return this.getActiveTreaties(attacker, defender).length > 0;
+    }
+
+    /**
+     * Check whether a treaty can be proposed
+     * @returns {object} { canPropose, reason }
+     */
+    canPropose(from, to, treatyType) {
+        if (this.gameState.isGameOver()) {
+            return { canPropose: false, reason: 'game_over' };
+        }
+        if (!TREATIES[treatyType]) {
+            return { canPropose: false, reason: 'unknown_treaty' };
+        }
+        if (from === to || !this.gameState.resources[to]) {
+            return { canPropose: false, reason: 'invalid_faction' };
+        }
+        if (!this.aiPlayers.has(to)) {
+            return { canPropose: false, reason: 'no_response' };
+        }
+
+        const active = this.getActiveTreaties(from, to);
+        if (active.some(treaty => treaty.type === treatyType)) {
+            return { canPropose: false, reason: 'already_active' };
+        }
+        if (active.some(treaty => treaty.type === TREATY_TYPES.ALLIANCE)) {
+            return { canPropose: false, reason: 'already_allied' };
+        }
+
+        return { canPropose: true };
+    }
+
+    /**
+     * Propose a treaty; the receiving AI accepts or rejects it straight away
+     * @returns {object} { success, accepted, reason, treaty }
+     */
+    propose(from, to, treatyType) {
+        const validation = this.canPropose(from, to, treatyType);
+        if (!validation.canPropose) {
+            return { success: false, reason: validation.reason };
+        }
+
+        const relation = this.getRelation(from, to);
+        const accepted = this.aiPlayers.get(to).considerTreaty(from, treatyType, relation);
+
+        if (!accepted) {
+            this.recordHistory('rejected', { type: treatyType, parties: [from, to] }, from);
+            this.changeRelation(from, to, -GAME_CONFIG.DIPLOMACY.REJECTION_PENALTY, 'treaty_rejected');
+            this.gameEventBus.emit(this.gameEventBus.events.TREATY_REJECTED, { from, to, treatyType });
+            return { success: true, accepted: false };
+        }
+
+        const treaty = this.signTreaty(from, to, treatyType);
+        return { success: true, accepted: true, treaty };
+    }
+
+    /**
+     * Put a treaty into effect. An alliance replaces any lesser treaty between the parties.
+     */
+    signTreaty(from, to, treatyType) {
+        const terms = TREATIES[treatyType];
+        if (treatyType === TREATY_TYPES.ALLIANCE) {
+            this.getActiveTreaties(from, to).forEach(existing => this.endTreaty(existing, 'superseded'));
+        }
+
+        const currentTurn = this.gameState.currentTurn;
+        const treaty = {
+            id: this.state.nextTreatyId++,
+            type: treatyType,
+            parties: [from, to],
+            startTurn: currentTurn,
+            endTurn: terms.duration === null ? null : currentTurn + terms.duration,
+            status: 'active'
+        };
+        this.state.treaties.push(treaty);
+
+        this.recordHistory('signed', treaty, from);
+        this.changeRelation(from, to, terms.relationBonus, 'treaty_signed');
+        this.gameEventBus.emit(this.gameEventBus.events.TREATY_SIGNED, { treaty });
+        return treaty;
+    }
+
+    /**
+     * Break a treaty before it runs out, at a cost in relations
+     * @returns {object} { success, reason }
+     */
+    breakTreaty(faction, treatyId) {
+        const treaty = this.state.treaties.find(entry => entry.id === treatyId);
+        if (!treaty || treaty.status !== 'active') {
+            return { success: false, reason: 'treaty_not_found' };
+        }
+        if (!treaty.parties.includes(faction)) {
+            return { success: false, reason: 'not_a_party' };
+        }
+
+        const other = treaty.parties.find(party => party !== faction);
+        this.endTreaty(treaty, 'broken', faction);
+        this.changeRelation(faction, other, -GAME_CONFIG.DIPLOMACY.BREAK_PENALTY, 'treaty_broken');
+        return { success: true };
+    }
+
+    /**
+     * Mark a treaty as ended and record why
+     */
+    endTreaty(treaty, reason, by = null) {
+        treaty.status = reason;
+        treaty.endedTurn = this.gameState.currentTurn;
+        this.recordHistory(reason, treaty, by);
+        this.gameEventBus.emit(this.gameEventBus.events.TREATY_ENDED, { treaty, reason });
+    }
+
+    /**
+     * Add an entry to the treaty history saved with the game
+     */
+    recordHistory(action, treaty, by) {
+        const history = this.state.history;
+        history.push({
+            turn: this.gameState.currentTurn,
+            action,
+            treatyType: treaty.type,
+            parties: [...treaty.parties],
+            by
+        });
+        if (history.length > GAME_CONFIG.DIPLOMACY.HISTORY_LIMIT) {
+            history.shift();
+        }
+    }
+
+    _handleCombatResolved({ attacker, defender }) {
+        this.changeRelation(attacker, defender, -GAME_CONFIG.DIPLOMACY.ATTACK_PENALTY, 'attack');
+    }
+
+    _handleTurnStart({ turnNumber }) {
+        // Treaties are measured in rounds, so only act on the first turn of each round
+        if (turnNumber <= this.state.lastRoundProcessed) return;
+        this.state.lastRoundProcessed = turnNumber;
+
+        this.getActiveTreaties().forEach(treaty => {
+            if (treaty.endTurn !== null && turnNumber >= treaty.endTurn) {
+                this.endTreaty(treaty, 'expired');
+            } else {
+                this.changeRelation(treaty.parties[0], treaty.parties[1], GAME_CONFIG.DIPLOMACY.TREATY_GOODWILL, 'treaty_goodwill');
+            }
+        });
+    }
+
+    /**
+     * Stop listening to game events
+     */
+    destroy() {
+        this.gameEventBus.off(this.gameEventBus.events.COMBAT_RESOLVED, this._handleCombatResolved, this);
+        this.gameEventBus.off(this.gameEventBus.events.TURN_START, this._handleTurnStart, this);
+    }
+}
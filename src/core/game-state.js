@@ -3,7 +3,10 @@
  * Central state management for the entire game
  */
 
-import { GAME_CONFIG, RESOURCE_TYPES, OWNERS, TURN_PHASES, GAME_STATES } from '../utils/constants.js';
+import { RESOURCE_TYPES, OWNERS, TURN_PHASES, GAME_STATES, WORKER_STATS } from '../utils/constants.js';
+import { Territory } from '../map/territory.js';
+import { rng } from '../utils/random.js';
+import { createStartingResources, createEmptyResources } from '../utils/resource-registry.js';
 
 /**
  * GameState class - Manages all game data and state transitions
@@ -20,6 +23,16 @@ export class GameState {
         this._territoryManager = null; // To be set by GameScene
         this._hexGrid = null; // To be set by GameScene
         this._resourceManager = null; // To be set by GameScene
+        this._victoryManager = null; // To be set by GameScene
+        this._combatManager = null; // To be set by GameScene
+        this._unitManager = null; // To be set by GameScene
+        this._researchManager = null; // To be set by GameScene
+        this._diplomacyManager = null; // To be set by GameScene
+        this._tradeManager = null; // To be set by GameScene
+        this._workerManager = null; // To be set by GameScene
+        this._buildingManager = null; // To be set by GameScene
+        this._influenceManager = null; // To be set by GameScene
+        this._randomEventManager = null; // To be set by GameScene
 
         this._subscribeToEvents(); // Call to subscribe to game events
     }
@@ -34,6 +47,133 @@ export class GameState {
         this._territoryManager = territoryManager;
     }
 
+    // Add setter for VictoryManager
+    setVictoryManager(victoryManager) {
+        this._victoryManager = victoryManager;
+    }
+
+    // Add setter for CombatManager
+    setCombatManager(combatManager) {
+        this._combatManager = combatManager;
+    }
+
+    /**
+     * Get reference to the CombatManager (set by GameScene)
+     */
+    getCombatManager() {
+        return this._combatManager;
+    }
+
+    // Add setter for ResearchManager
+    setResearchManager(researchManager) {
+        this._researchManager = researchManager;
+    }
+
+    /**
+     * Get reference to the ResearchManager (set by GameScene)
+     */
+    getResearchManager() {
+        return this._researchManager;
+    }
+
+    // Add setter for DiplomacyManager
+    setDiplomacyManager(diplomacyManager) {
+        this._diplomacyManager = diplomacyManager;
+    }
+
+    /**
+     * Get reference to the DiplomacyManager (set by GameScene)
+     */
+    getDiplomacyManager() {
+        return this._diplomacyManager;
+    }
+
+    // Add setter for BuildingManager
+    setBuildingManager(buildingManager) {
+        this._buildingManager = buildingManager;
+    }
+
+    /**
+     * Get reference to the BuildingManager (set by GameScene)
+     */
+    getBuildingManager() {
+        return this._buildingManager;
+    }
+
+    // Add setter for WorkerManager
+    setWorkerManager(workerManager) {
+        this._workerManager = workerManager;
+    }
+
+    /**
+     * Get reference to the WorkerManager (set by GameScene)
+     */
+    getWorkerManager() {
+        return this._workerManager;
+    }
+
+    // Add setter for InfluenceManager
+    setInfluenceManager(influenceManager) {
+        this._influenceManager = influenceManager;
+    }
+
+    /**
+     * Get reference to the InfluenceManager (set by GameScene)
+     */
+    getInfluenceManager() {
+        return this._influenceManager;
+    }
+
+    // Add setter for RandomEventManager
+    setRandomEventManager(randomEventManager) {
+        this._randomEventManager = randomEventManager;
+    }
+
+    /**
+     * Get reference to the RandomEventManager (set by GameScene)
+     */
+    getRandomEventManager() {
+        return this._randomEventManager;
+    }
+
+    // Add setter for TradeManager
+    setTradeManager(tradeManager) {
+        this._tradeManager = tradeManager;
+    }
+
+    /**
+     * Get reference to the TradeManager (set by GameScene)
+     */
+    getTradeManager() {
+        return this._tradeManager;
+    }
+
+    // Add setter for UnitManager
+    setUnitManager(unitManager) {
+        this._unitManager = unitManager;
+    }
+
+    /**
+     * Get reference to the UnitManager (set by GameScene)
+     */
+    getUnitManager() {
+        return this._unitManager;
+    }
+
+    /**
+     * Get reference to the HexGrid (set by GameScene)
+     */
+    getHexGrid() {
+        return this._hexGrid;
+    }
+
+    /**
+     * Get reference to the TerritoryManager (set by GameScene)
+     */
+    getTerritoryManager() {
+        return this._territoryManager;
+    }
+
     // Add setter for ResourceManager
     setResourceManager(resourceManager) {
         this._resourceManager = resourceManager;
@@ -48,49 +188,85 @@ export class GameState {
         this.currentPlayer = OWNERS.PLAYER;
         this.currentPhase = TURN_PHASES.ACTION_PHASE;
         
-        // Player resources
-        this.resources = {
-            [OWNERS.PLAYER]: { ...GAME_CONFIG.INITIAL_RESOURCES },
-            [OWNERS.AI]: { ...GAME_CONFIG.INITIAL_RESOURCES }
-        };
+        // Factions in turn order, the human player first; resources, workers and statistics are kept per faction
+        this.setFactions(this.factions || [OWNERS.PLAYER, OWNERS.AI_1]);
+
+        // Research progress per player: { completed: [techId], active: { techId, progress } | null }
+        this.research = {};
+
+        // Relations, treaties and treaty history between factions
+        this.diplomacy = this.createDiplomacyState();
+
+        // Market supply that drives exchange rates
+        this.market = this.createMarketState();
+
+        // When the next random event is due and the events still in effect
+        this.randomEvents = this.createRandomEventState();
+
+        // Options the game was started with (AI difficulty, personality, seed, ...), kept for saves and restarts
+        this.settings = {};
         
         // Territory management
         this.territories = new Map(); // This map will be managed by TerritoryManager
         this.selectedTerritory = null;
         
-        // Game history and statistics
+        // Game history
         this.turnHistory = [];
         this.gameEvents = []; // This might be for logging, distinct from GameEventBus
+        
+        // Legacy event system listeners property removed
+    }
+
+    /**
+     * Set the factions taking part and give each fresh resources, workers, statistics and victory progress
+     * @param {Array<string>} factions - Faction ids in turn order, the human player first (e.g. ['player', 'ai_1', 'ai_2'])
+     */
+    setFactions(factions) {
+        this.factions = [...factions];
+        this.resources = {};
+        this.workers = {};
         this.statistics = {
-            territoriesOwned: {
-                [OWNERS.PLAYER]: 0,
-                [OWNERS.AI]: 0,
-                [OWNERS.NEUTRAL]: 0
-            },
-            resourcesCollected: {
-                [OWNERS.PLAYER]: { gold: 0, wood: 0, metal: 0, food: 0 },
-                [OWNERS.AI]: { gold: 0, wood: 0, metal: 0, food: 0 }
-            }
+            territoriesOwned: { [OWNERS.NEUTRAL]: 0 },
+            resourcesCollected: {}
         };
-        
-        // Victory conditions tracking
         this.victoryProgress = {
-            territorialDominance: {
-                [OWNERS.PLAYER]: 0,
-                [OWNERS.AI]: 0
-            },
-            economicProgress: {
-                [OWNERS.PLAYER]: 0,
-                [OWNERS.AI]: 0
-            },
-            strategicPointsHeld: {
-                [OWNERS.PLAYER]: 0,
-                [OWNERS.AI]: 0,
-                turnsHeld: 0
-            }
+            territorialDominance: {},
+            economicProgress: {},
+            strategicPointsHeld: {},
+            strategicTurnsHeld: {}, // Consecutive turns a faction has held every strategic point
+            victoryPoints: {}       // Earned by holding strategic points
         };
-        
-        // Legacy event system listeners property removed
+
+        this.factions.forEach(faction => {
+            this.resources[faction] = createStartingResources();
+            this.workers[faction] = this.createWorkerCounts();
+            this.statistics.territoriesOwned[faction] = 0;
+            this.statistics.resourcesCollected[faction] = createEmptyResources();
+            Object.values(this.victoryProgress).forEach(progress => {
+                progress[faction] = 0;
+            });
+        });
+    }
+
+    /**
+     * Factions taking part, in turn order
+     */
+    getFactions() {
+        return [...this.factions];
+    }
+
+    /**
+     * Factions played by the computer
+     */
+    getAIFactions() {
+        return this.factions.filter(faction => faction !== OWNERS.PLAYER);
+    }
+
+    /**
+     * An AI faction that has lost every territory is out of the game and no longer takes turns
+     */
+    isEliminated(faction) {
+        return this.territories.size > 0 && this.getTerritoriesByOwner(faction).length === 0;
     }
 
     _subscribeToEvents() {
@@ -330,6 +506,75 @@ export class GameState {
         return { ...this.resources[player] };
     }
     
+    /**
+     * Get the worker counts of a player (a live reference, so callers can update it)
+     */
+    getWorkerCounts(player) {
+        if (!this.workers[player]) {
+            this.workers[player] = this.createWorkerCounts();
+        }
+        return this.workers[player];
+    }
+
+    /**
+     * Zero count for every worker type
+     */
+    createWorkerCounts() {
+        return Object.fromEntries(Object.keys(WORKER_STATS).map(workerType => [workerType, 0]));
+    }
+
+    /**
+     * Fresh diplomacy state: relation scores keyed by faction pair, treaties and their history
+     */
+    createDiplomacyState() {
+        return { relations: {}, treaties: [], history: [], nextTreatyId: 1, lastRoundProcessed: 0 };
+    }
+
+    /**
+     * Get the diplomacy state (a live reference, so the DiplomacyManager can update it)
+     */
+    getDiplomacyState() {
+        return this.diplomacy;
+    }
+
+    /**
+     * Fresh market state: surplus (positive) or shortage (negative) of each traded resource
+     */
+    createMarketState() {
+        return { supply: {}, lastRoundProcessed: 0 };
+    }
+
+    /**
+     * Get the market state (a live reference, so the TradeManager can update it)
+     */
+    getMarketState() {
+        return this.market;
+    }
+
+    /**
+     * Fresh random event state; the first event is scheduled when the first round resolves
+     */
+    createRandomEventState() {
+        return { nextEventTurn: null, active: [] };
+    }
+
+    /**
+     * Get the random event state (a live reference, so the RandomEventManager can update it)
+     */
+    getRandomEventState() {
+        return this.randomEvents;
+    }
+
+    /**
+     * Get the research progress of a player (a live reference, so callers can update it)
+     */
+    getResearchState(player) {
+        if (!this.research[player]) {
+            this.research[player] = { completed: [], active: null };
+        }
+        return this.research[player];
+    }
+    
     /**
      * Get reference to the ResourceManager (to be set by the game)
      */
@@ -369,15 +614,22 @@ export class GameState {
             territories: this.getStateSummary()
         });
         
-        if (this.currentPlayer === OWNERS.PLAYER) {
-            this.currentPlayer = OWNERS.AI;
-            this.currentPhase = TURN_PHASES.ACTION_PHASE;        } else {
-            this.currentPlayer = OWNERS.PLAYER;            
+        // Pass the turn to the next faction still in the game; the human player is never skipped
+        let index = this.factions.indexOf(this.currentPlayer);
+        do {
+            index = (index + 1) % this.factions.length;
+        } while (index !== 0 && this.isEliminated(this.factions[index]));
+
+        this.currentPlayer = this.factions[index];
+        if (index === 0) {
+            // Back to the first faction: a new round begins
             this.currentTurn++;
             this.currentPhase = TURN_PHASES.RESOURCE_COLLECTION;
             
             // Note: Resource collection will be handled by the TurnManager
             // during the RESOURCE_COLLECTION phase, not here
+        } else {
+            this.currentPhase = TURN_PHASES.ACTION_PHASE;
         }
         
         this.checkVictoryConditions();
@@ -395,11 +647,10 @@ export class GameState {
     updateStatistics() {
         if (!this.territories) return;
 
-        const newTerritoriesOwned = {
-            [OWNERS.PLAYER]: 0,
-            [OWNERS.AI]: 0,
-            [OWNERS.NEUTRAL]: 0
-        };
+        const newTerritoriesOwned = { [OWNERS.NEUTRAL]: 0 };
+        this.factions.forEach(faction => {
+            newTerritoriesOwned[faction] = 0;
+        });
 
         for (const territory of this.territories.values()) {
             if (territory.owner && newTerritoriesOwned[territory.owner] !== undefined) {
@@ -417,25 +668,20 @@ export class GameState {
     /**
      * Check victory conditions based on current game state.
      * This should be called after significant state changes (e.g., territory capture, turn end).
+     * Evaluation is delegated to the VictoryManager, which updates this.victoryProgress.
      */
     checkVictoryConditions() {
-        // Placeholder for victory condition logic
-        // Example: Check for territorial dominance
-        const playerTerritories = this.statistics.territoriesOwned[OWNERS.PLAYER];
-        const aiTerritories = this.statistics.territoriesOwned[OWNERS.AI];
-        const totalTerritories = this.territories.size;
-
-        if (totalTerritories > 0) {
-            this.victoryProgress.territorialDominance[OWNERS.PLAYER] = (playerTerritories / totalTerritories) * 100;
-            this.victoryProgress.territorialDominance[OWNERS.AI] = (aiTerritories / totalTerritories) * 100;
-
-            // Example: Victory if player owns > 60% of territories
-            if (this.victoryProgress.territorialDominance[OWNERS.PLAYER] > GAME_CONFIG.VICTORY_CONDITIONS.TERRITORIAL_DOMINANCE_PERCENTAGE) {
-                // this.gameEventBus.emit(this.gameEventBus.events.VICTORY_CONDITION_MET, { player: OWNERS.PLAYER, condition: 'territorialDominance' });
-                // console.log("Player has met territorial dominance victory condition!");
-            }
+        if (!this._victoryManager) {
+            return null;
         }
-        // Add other victory condition checks (economic, strategic points)
+        return this._victoryManager.checkVictoryConditions();
+    }
+
+    /**
+     * Check if the game has been decided
+     */
+    isGameOver() {
+        return this.gameStatus === GAME_STATES.VICTORY || this.gameStatus === GAME_STATES.GAME_OVER;
     }
 
     /**
@@ -455,49 +701,66 @@ export class GameState {
 
     /**
      * Load game state from JSON
+     * @param {string|object} jsonState - Output of saveState(), either as a string or already parsed
      */
     loadState(jsonState) {
         try {
-            const state = JSON.parse(jsonState);
+            const state = typeof jsonState === 'string' ? JSON.parse(jsonState) : jsonState;
             
             this.currentTurn = state.currentTurn || 1;
             this.currentPlayer = state.currentPlayer || OWNERS.PLAYER;
             this.currentPhase = state.currentPhase || TURN_PHASES.ACTION_PHASE;
             const oldStatus = this.gameStatus;
             this.gameStatus = state.gameStatus || GAME_STATES.LOADING;
-            this.resources = state.resources || {
-                [OWNERS.PLAYER]: { ...GAME_CONFIG.INITIAL_RESOURCES },
-                [OWNERS.AI]: { ...GAME_CONFIG.INITIAL_RESOURCES }
-            };
-            this.victoryProgress = state.victoryProgress || { /* initial structure */ };
+            // Saves from before factions were stored list them as the keys of their resources
+            this.setFactions(state.factions || (state.resources ? Object.keys(state.resources) : [OWNERS.PLAYER, OWNERS.AI_1]));
+            this.resources = state.resources || this.resources;
+            this.victoryProgress = state.victoryProgress || this.victoryProgress;
             this.turnHistory = state.turnHistory || [];
             this.gameEvents = state.gameEvents || [];
-            this.statistics = state.statistics || { /* initial structure */ };
-            
-            // Territories will be loaded by TerritoryManager via GameScene
-            // For now, clear and potentially load if _territoryManager is not yet set
-            this.territories.clear();
-            if (state.territoryData && Array.isArray(state.territoryData)) { // Assuming territoryData is an array of [id, data]
-                state.territoryData.forEach(([id, territoryObj]) => {
-                    // This is a simplified load; Territory objects might need proper instantiation
-                    // For a full load, this should likely go through TerritoryManager to create/update Territory instances
-                    const territory = new Territory(territoryObj.q, territoryObj.r); // Assuming Territory is available here
-                    Object.assign(territory, territoryObj);
+            this.statistics = state.statistics || this.statistics;
+            this.workers = state.workers || this.workers;
+            this.research = state.research || {};
+            this.diplomacy = state.diplomacy || this.createDiplomacyState();
+            this.market = state.market || this.createMarketState();
+            this.randomEvents = state.randomEvents || this.createRandomEventState();
+            this.settings = state.settings || {};
+            this.selectedTerritory = null;
+
+            // The grid must be restored before territories, which are validated against it
+            if (state.hexGrid && this._hexGrid) {
+                this._hexGrid.fromJSON(state.hexGrid);
+            }
+
+            const territoryData = Array.isArray(state.territoryData) ? state.territoryData : [];
+            if (this._territoryManager) {
+                this._territoryManager.loadTerritories(territoryData);
+            } else {
+                this.territories.clear();
+                territoryData.forEach(([id, data]) => {
+                    const territory = Territory.deserialize(data);
+                    territory.id = id;
                     this.territories.set(id, territory);
                 });
             }
+
+            if (state.resourceManager && this._resourceManager) {
+                this._resourceManager.deserialize(state.resourceManager);
+            }
             
             this.updateStatistics(); // Recalculate stats based on loaded territories
 
-            // Emit events through GameEventBus
             if (this.gameEventBus) {
-                // Assuming GameEventBus has methods like emitGameLoaded, emitNewTurn
-                // If not, these might need to be added to GameEventBus or mapped to existing events.
-                this.gameEventBus.emit(this.gameEventBus.events.GAME_LOADED || 'gameLoaded', { newStatus: this.gameStatus, oldStatus });
-                this.gameEventBus.emit(this.gameEventBus.events.NEW_TURN || 'newTurn', { turn: this.currentTurn, player: this.currentPlayer, phase: this.currentPhase });
+                this.gameEventBus.emitGameStatusChanged(this.gameStatus, oldStatus);
+                this.gameEventBus.emitGameStateLoaded(this.getStateSummary());
                 this.gameEventBus.emitResourcesChanged(null, this.resources, 'state_loaded');
             }
 
+            // Continue the random sequence where the save left off. Restored last: rebuilding
+            // territories (and listeners of the load events) draw random numbers of their own.
+            if (state.rng) {
+                rng.setState(state.rng);
+            }
 
             console.log("GameState loaded successfully.");
             return true;
@@ -512,21 +775,32 @@ export class GameState {
      * Save game state to JSON
      */
     saveState() {
-        const territoryData = this._territoryManager 
-            ? this._territoryManager.getAllTerritories().map(t => [t.id, t.toJSON ? t.toJSON() : { ...t }])
-            : Array.from(this.territories.entries()).map(([id, t]) => [id, t.toJSON ? t.toJSON() : { ...t }]);
+        const territories = this._territoryManager
+            ? this._territoryManager.getAllTerritories()
+            : Array.from(this.territories.values());
+        const territoryData = territories.map(t => [t.id, t.serialize ? t.serialize() : { ...t }]);
 
         return JSON.stringify({
             currentTurn: this.currentTurn,
             currentPlayer: this.currentPlayer,
             currentPhase: this.currentPhase,
             gameStatus: this.gameStatus,
+            factions: this.factions,
             resources: this.resources,
             victoryProgress: this.victoryProgress,
             statistics: this.statistics,
             turnHistory: this.turnHistory,
             gameEvents: this.gameEvents,
+            workers: this.workers,
+            research: this.research,
+            diplomacy: this.diplomacy,
+            market: this.market,
+            randomEvents: this.randomEvents,
+            settings: this.settings,
+            rng: rng.getState(),
+            hexGrid: this._hexGrid ? this._hexGrid.toJSON() : null,
             territoryData: territoryData, // Use the serialized territory data
+            resourceManager: this._resourceManager ? this._resourceManager.serialize() : null
         });
     }
 
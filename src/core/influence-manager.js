@@ -0,0 +1,126 @@
+/**
+ * Colony Conquest - Influence Manager
+ * Spreads faction influence outward from owned territories and lets neutral land change sides
+ */
+
+import { GAME_CONFIG, OWNERS, TERRITORY_TYPES } from '../utils/constants.js';
+
+/**
+ * InfluenceManager class - Influence sources, per-territory scores and influence flips
+ */
+export class InfluenceManager {
+    constructor(gameState, gameEventBus) {
+        if (!gameState) {
+            throw new Error("InfluenceManager requires a GameState instance.");
+        }
+        if (!gameEventBus) {
+            throw new Error("InfluenceManager requires a GameEventBus instance.");
+        }
+        this.gameState = gameState;
+        this.gameEventBus = gameEventBus;
+    }
+
+    /**
+     * How strongly an owned territory radiates influence: its base strength plus
+     * bonuses for a home base, a strategic point and each completed building
+     */
+    getSourceStrength(territory) {
+        const influence = GAME_CONFIG.INFLUENCE;
+        let strength = influence.BASE_STRENGTH;
+        if (territory.isHomeBase) {
+            strength += influence.HOME_BASE_BONUS;
+        }
+        if (territory.territoryType === TERRITORY_TYPES.STRATEGIC_POINT) {
+            strength += influence.STRATEGIC_POINT_BONUS;
+        }
+        strength += territory.getCompletedStructures().length * influence.BUILDING_BONUS;
+        return strength;
+    }
+
+    /**
+     * Influence every faction exerts on every territory this round; it weakens with
+     * distance from each source and stops at GAME_CONFIG.INFLUENCE.RANGE hexes
+     * @returns {Map<string, object>} Territory id -> amounts keyed by faction
+     */
+    calculatePressure() {
+        const { RANGE, FALLOFF } = GAME_CONFIG.INFLUENCE;
+        const hexGrid = this.gameState.getHexGrid();
+        const pressure = new Map();
+        if (!hexGrid) return pressure;
+
+        this.gameState.territories.forEach(source => {
+            if (source.owner === OWNERS.NEUTRAL) return;
+
+            const strength = this.getSourceStrength(source);
+            hexGrid.getHexesInRange(source.q, source.r, RANGE).forEach(hexData => {
+                const amount = strength - hexGrid.getDistance(source.q, source.r, hexData.coord.q, hexData.coord.r) * FALLOFF;
+                if (amount <= 0 || !this.gameState.getTerritory(hexData.key)) return;
+
+                const amounts = pressure.get(hexData.key) || {};
+                amounts[source.owner] = (amounts[source.owner] || 0) + amount;
+                pressure.set(hexData.key, amounts);
+            });
+        });
+        return pressure;
+    }
+
+    /**
+     * Influence a faction has built up in a territory
+     */
+    getInfluence(territory, faction) {
+        return territory.influence[faction] || 0;
+    }
+
+    /**
+     * Faction with the most influence in a territory, or null if nobody has any or it is tied
+     */
+    getDominantFaction(territory) {
+        const ranked = Object.entries(territory.influence).sort((a, b) => b[1] - a[1]);
+        if (ranked.length === 0 || ranked[0][1] <= 0 || (ranked[1] && ranked[1][1] === ranked[0][1])) {
+            return null;
+        }
+        return ranked[0][0];
+    }
+
+    /**
+     * Run one round of influence: existing influence fades, this round's pressure is added,
+     * and neutral territories where a faction has passed the threshold join that faction
+     * @returns {Array<object>} Territories that changed sides { territoryId, faction, influence }
+     */
+    processInfluence() {
+        const { DECAY, FLIP_THRESHOLD } = GAME_CONFIG.INFLUENCE;
+        const pressure = this.calculatePressure();
+
+        this.gameState.territories.forEach(territory => {
+            const amounts = pressure.get(territory.id) || {};
+            const influence = {};
+            new Set([...Object.keys(territory.influence), ...Object.keys(amounts)]).forEach(faction => {
+                const value = Math.round(this.getInfluence(territory, faction) * (1 - DECAY)) + (amounts[faction] || 0);
+                if (value > 0) {
+                    influence[faction] = value;
+                }
+            });
+            territory.influence = influence;
+        });
+
+        const flipped = [];
+        this.gameState.territories.forEach(territory => {
+            if (territory.owner !== OWNERS.NEUTRAL || !territory.isPassable()) return;
+
+            const faction = this.getDominantFaction(territory);
+            if (faction && territory.influence[faction] >= FLIP_THRESHOLD) {
+                flipped.push({ territoryId: territory.id, faction, influence: territory.influence[faction] });
+            }
+        });
+
+        const territoryManager = this.gameState.getTerritoryManager();
+        flipped.forEach(flip => {
+            if (territoryManager && territoryManager.claimTerritory(flip.territoryId, flip.faction, null)) {
+                this.gameEventBus.emit(this.gameEventBus.events.TERRITORY_INFLUENCED, flip);
+            }
+        });
+
+        this.gameEventBus.emit(this.gameEventBus.events.INFLUENCE_UPDATED, { flipped });
+        return flipped;
+    }
+}
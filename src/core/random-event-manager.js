@@ -0,0 +1,300 @@
+/**
+ * Colony Conquest - Random Event Manager
+ * Draws random events from their data definitions, applies their effects and ends them when they run out
+ */
+
+import { GAME_CONFIG, OWNERS, RANDOM_EVENTS } from '../utils/constants.js';
+import { randomChoice, randomInt } from '../utils/math-utils.js';
+import { rng } from '../utils/random.js';
+
+const EVENT_TARGETS = ['all', 'random_faction', 'weakest_faction', 'random_territory'];
+const LASTING_EFFECTS = ['production_multiplier', 'cost_modifier'];
+const INSTANT_EFFECTS = ['grant_resources', 'lose_resources', 'resource_value', 'revolt', 'destroy_building'];
+
+/**
+ * RandomEventManager class - Event scheduling, targeting, effects and durations
+ */
+export class RandomEventManager {
+    constructor(gameState, gameEventBus, definitions = RANDOM_EVENTS) {
+        if (!gameState) {
+            throw new Error("RandomEventManager requires a GameState instance.");
+        }
+        if (!gameEventBus) {
+            throw new Error("RandomEventManager requires a GameEventBus instance.");
+        }
+        this.gameState = gameState;
+        this.gameEventBus = gameEventBus;
+        this.definitions = this.loadDefinitions(definitions);
+    }
+
+    get state() {
+        return this.gameState.getRandomEventState();
+    }
+
+    /**
+     * Keep the event definitions that are well formed; malformed ones are reported and skipped
+     * @param {object} definitions - Event definitions keyed by event id (see RANDOM_EVENTS)
+     * @returns {object} Usable definitions keyed by event id
+     */
+    loadDefinitions(definitions) {
+        const loaded = {};
+        Object.entries(definitions).forEach(([eventId, definition]) => {
+            const effects = Array.isArray(definition.effects) ? definition.effects : [];
+            const valid = definition.name && definition.weight > 0 &&
+                EVENT_TARGETS.includes(definition.target) &&
+                effects.length > 0 &&
+                effects.every(effect => LASTING_EFFECTS.includes(effect.type) || INSTANT_EFFECTS.includes(effect.type));
+
+            if (valid) {
+                loaded[eventId] = definition;
+            } else {
+                console.warn(`⚠️ Skipping malformed random event definition: ${eventId}`);
+            }
+        });
+        return loaded;
+    }
+
+    /**
+     * Factions taking part in the game
+     */
+    getFactions() {
+        return this.gameState.getFactions();
+    }
+
+    /**
+     * Pick the turn the next event happens, somewhere in the configured frequency window
+     */
+    scheduleNextEvent(fromTurn) {
+        const [minTurns, maxTurns] = GAME_CONFIG.RANDOM_EVENT_FREQUENCY;
+        this.state.nextEventTurn = fromTurn + randomInt(minTurns, maxTurns);
+    }
+
+    /**
+     * Once per round: end events that have run their course, then trigger a new one if it is due
+     * @returns {object|null} Event triggered this round, if any
+     */
+    processRound() {
+        const currentTurn = this.gameState.currentTurn;
+
+        this.state.active = this.state.active.filter(active => {
+            if (active.endTurn > currentTurn) return true;
+            this.gameEventBus.emit(this.gameEventBus.events.RANDOM_EVENT_ENDED, {
+                eventId: active.eventId, name: this.definitions[active.eventId].name, factions: active.factions
+            });
+            return false;
+        });
+
+        if (this.state.nextEventTurn === null) {
+            this.scheduleNextEvent(currentTurn);
+        }
+        if (currentTurn < this.state.nextEventTurn) {
+            return null;
+        }
+
+        this.scheduleNextEvent(currentTurn);
+        return this.triggerRandomEvent();
+    }
+
+    /**
+     * Check an event's conditions and work out who it would affect
+     * @returns {object|null} { factions, territory } or null if the event cannot happen now
+     */
+    resolveTargets(eventId) {
+        const definition = this.definitions[eventId];
+        const conditions = definition.conditions || {};
+        if (conditions.minTurn && this.gameState.currentTurn < conditions.minTurn) return null;
+        if (definition.duration > 0 && this.state.active.some(active => active.eventId === eventId)) return null;
+
+        const ownedCount = faction => this.gameState.getTerritoriesByOwner(faction).length;
+        const qualifies = faction => !conditions.minTerritories || ownedCount(faction) >= conditions.minTerritories;
+
+        if (definition.target === 'random_territory') {
+            const candidates = Array.from(this.gameState.territories.values())
+                .filter(territory => this.matchesTerritoryFilter(territory, definition.territory || {}) &&
+                    (territory.owner === OWNERS.NEUTRAL || qualifies(territory.owner)));
+            if (candidates.length === 0) return null;
+
+            const territory = randomChoice(candidates);
+            return { factions: territory.owner === OWNERS.NEUTRAL ? [] : [territory.owner], territory };
+        }
+
+        const factions = this.getFactions().filter(qualifies);
+        if (factions.length === 0) return null;
+
+        switch (definition.target) {
+            case 'random_faction':
+                return { factions: [randomChoice(factions)], territory: null };
+            case 'weakest_faction': {
+                const fewest = Math.min(...factions.map(ownedCount));
+                return { factions: [randomChoice(factions.filter(faction => ownedCount(faction) === fewest))], territory: null };
+            }
+            default:
+                return { factions, territory: null };
+        }
+    }
+
+    /**
+     * Check a territory against a definition's `territory` filter
+     */
+    matchesTerritoryFilter(territory, filter) {
+        const owned = territory.owner !== OWNERS.NEUTRAL;
+        if (!territory.isPassable()) return false;
+        if (filter.owned !== undefined && owned !== filter.owned) return false;
+        if (filter.homeBase !== undefined && !!territory.isHomeBase !== filter.homeBase) return false;
+        if (filter.hasBuildings && territory.getCompletedStructures().length === 0) return false;
+        if (filter.minResourceValue && territory.resourceValue < filter.minResourceValue) return false;
+        return true;
+    }
+
+    /**
+     * Trigger an event: a given one, or one drawn by weight from those that can happen now
+     * @param {string} [eventId] - Key of the event definitions
+     * @returns {object|null} { eventId, factions, territoryId, endTurn } or null if no event could happen
+     */
+    triggerRandomEvent(eventId = null) {
+        let targets = null;
+        if (eventId) {
+            targets = this.definitions[eventId] ? this.resolveTargets(eventId) : null;
+        } else {
+            const eligible = [];
+            Object.keys(this.definitions).forEach(id => {
+                const resolved = this.resolveTargets(id);
+                if (resolved) eligible.push({ id, targets: resolved });
+            });
+            if (eligible.length === 0) return null;
+
+            // Weighted draw
+            let roll = rng.next() * eligible.reduce((total, entry) => total + this.definitions[entry.id].weight, 0);
+            const drawn = eligible.find(entry => (roll -= this.definitions[entry.id].weight) < 0) || eligible[eligible.length - 1];
+            eventId = drawn.id;
+            targets = drawn.targets;
+        }
+        if (!targets) return null;
+
+        const definition = this.definitions[eventId];
+        const { factions, territory } = targets;
+        definition.effects
+            .filter(effect => INSTANT_EFFECTS.includes(effect.type))
+            .forEach(effect => this.applyInstantEffect(effect, factions, territory));
+
+        // Production multipliers run as timed modifiers of the ResourceManager, which counts them down
+        const resourceManager = this.gameState.getResourceManager();
+        if (resourceManager && definition.duration > 0) {
+            definition.effects
+                .filter(effect => effect.type === 'production_multiplier')
+                .forEach(effect => factions.forEach(faction => {
+                    resourceManager.setResourceMultiplier(effect.resource, effect.multiplier, definition.duration, faction, definition.name);
+                }));
+        }
+
+        const currentTurn = this.gameState.currentTurn;
+        const record = {
+            eventId,
+            factions,
+            territoryId: territory ? territory.id : null,
+            startTurn: currentTurn,
+            endTurn: currentTurn + definition.duration
+        };
+        if (definition.duration > 0) {
+            this.state.active.push(record);
+        }
+
+        this.gameState.gameEvents.push({
+            turn: currentTurn,
+            event: definition.name,
+            description: definition.description,
+            factions,
+            territoryId: record.territoryId
+        });
+        this.gameEventBus.emit(this.gameEventBus.events.RANDOM_EVENT_TRIGGERED, {
+            event: { id: eventId, name: definition.name, description: definition.description, disaster: !!definition.disaster },
+            factions,
+            territoryId: record.territoryId,
+            duration: definition.duration,
+            endTurn: record.endTurn
+        });
+        return record;
+    }
+
+    /**
+     * Apply an effect that happens once, when the event is triggered
+     */
+    applyInstantEffect(effect, factions, territory) {
+        const resourceManager = this.gameState.getResourceManager();
+
+        switch (effect.type) {
+            case 'grant_resources':
+                factions.forEach(faction => resourceManager.addResources(faction, effect.amounts, 'random_event'));
+                break;
+
+            case 'lose_resources':
+                factions.forEach(faction => {
+                    const lost = Math.floor((this.gameState.getResources(faction)[effect.resource] || 0) * effect.share);
+                    if (lost > 0) {
+                        resourceManager.spendResources(faction, { [effect.resource]: lost }, 'random_event');
+                    }
+                });
+                break;
+
+            case 'resource_value':
+                territory.resourceValue = Math.max(1, territory.resourceValue + effect.change);
+                this.gameEventBus.emitTerritoryUpdated(territory, { resourceValue: territory.resourceValue });
+                break;
+
+            case 'revolt': {
+                territory.clearUnits();
+                const territoryManager = this.gameState.getTerritoryManager();
+                if (territoryManager) {
+                    territoryManager.claimTerritory(territory.id, OWNERS.NEUTRAL, null);
+                }
+                break;
+            }
+
+            case 'destroy_building': {
+                const burned = randomChoice(territory.getCompletedStructures());
+                territory.structures = territory.structures.filter(structure => structure !== burned);
+                this.gameEventBus.emitTerritoryUpdated(territory, { structures: territory.structures });
+                break;
+            }
+        }
+    }
+
+    /**
+     * Lasting effects of a type from the events currently affecting a faction
+     */
+    getActiveEffects(type, faction) {
+        return this.state.active
+            .filter(active => active.factions.includes(faction))
+            .flatMap(active => this.definitions[active.eventId].effects.filter(effect => effect.type === type));
+    }
+
+    /**
+     * Events currently in effect, optionally only those affecting one faction
+     */
+    getActiveEvents(faction = null) {
+        return this.state.active
+            .filter(active => !faction || active.factions.includes(faction))
+            .map(active => ({
+                ...active,
+                name: this.definitions[active.eventId].name,
+                description: this.definitions[active.eventId].description
+            }));
+    }
+
+    /**
+     * Scale a cost by the cost modifiers active events give a faction for an action
+     * @param {string} action - 'claim', 'recruit' or 'build'
+     * @returns {object} The adjusted cost (a new object)
+     */
+    applyCostModifier(action, faction, cost) {
+        const multiplier = this.getActiveEffects('cost_modifier', faction)
+            .filter(effect => effect.action === action)
+            .reduce((total, effect) => total * effect.multiplier, 1);
+
+        const adjusted = {};
+        Object.entries(cost).forEach(([resourceType, amount]) => {
+            adjusted[resourceType] = multiplier === 1 || amount <= 0 ? amount : Math.max(1, Math.ceil(amount * multiplier));
+        });
+        return adjusted;
+    }
+}
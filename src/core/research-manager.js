@@ -0,0 +1,149 @@
+/**
+ * Colony Conquest - Research Manager
+ * Runs one research project per player through the TECHNOLOGIES tree and applies completed techs
+ */
+
+import { TECHNOLOGIES } from '../utils/constants.js';
+
+/**
+ * ResearchManager class - Starts, advances and completes technology research
+ */
+export class ResearchManager {
+    constructor(gameState, gameEventBus) {
+        if (!gameState) {
+            throw new Error("ResearchManager requires a GameState instance.");
+        }
+        if (!gameEventBus) {
+            throw new Error("ResearchManager requires a GameEventBus instance.");
+        }
+        this.gameState = gameState;
+        this.gameEventBus = gameEventBus;
+    }
+
+    /**
+     * Check whether a player has completed a technology
+     */
+    isResearched(player, techId) {
+        return this.gameState.getResearchState(player).completed.includes(techId);
+    }
+
+    /**
+     * The project a player is working on
+     * @returns {object|null} { techId, progress, turns }
+     */
+    getActiveResearch(player) {
+        const active = this.gameState.getResearchState(player).active;
+        return active ? { ...active, turns: TECHNOLOGIES[active.techId].turns } : null;
+    }
+
+    /**
+     * Status of a technology for a player: 'researched', 'in_progress', 'available' or 'locked'
+     */
+    getTechnologyStatus(player, techId) {
+        const research = this.gameState.getResearchState(player);
+        if (research.completed.includes(techId)) return 'researched';
+        if (research.active && research.active.techId === techId) return 'in_progress';
+        const prerequisitesMet = TECHNOLOGIES[techId].prerequisites.every(prerequisite => research.completed.includes(prerequisite));
+        return prerequisitesMet ? 'available' : 'locked';
+    }
+
+    /**
+     * Technologies a player could start researching now (ignoring cost)
+     */
+    getAvailableTechnologies(player) {
+        return Object.keys(TECHNOLOGIES).filter(techId => this.getTechnologyStatus(player, techId) === 'available');
+    }
+
+    /**
+     * Check whether a player can start researching a technology
+     * @returns {object} { canStart, reason, cost }
+     */
+    canStartResearch(player, techId) {
+        const tech = TECHNOLOGIES[techId];
+        if (!tech) {
+            return { canStart: false, reason: 'unknown_technology' };
+        }
+
+        const status = this.getTechnologyStatus(player, techId);
+        if (status === 'researched') {
+            return { canStart: false, reason: 'already_researched' };
+        }
+        if (status === 'locked') {
+            return { canStart: false, reason: 'missing_prerequisites' };
+        }
+        if (this.gameState.getResearchState(player).active) {
+            return { canStart: false, reason: 'research_in_progress' };
+        }
+
+        const cost = { ...tech.cost };
+        const resourceManager = this.gameState.getResourceManager();
+        if (!resourceManager || !resourceManager.canAfford(player, cost)) {
+            return { canStart: false, reason: 'insufficient_resources', cost };
+        }
+
+        return { canStart: true, cost };
+    }
+
+    /**
+     * Pay for a technology and make it the player's active project
+     * @returns {object} { success, reason, cost }
+     */
+    startResearch(player, techId) {
+        const validation = this.canStartResearch(player, techId);
+        if (!validation.canStart) {
+            return { success: false, reason: validation.reason, cost: validation.cost };
+        }
+
+        const spendResult = this.gameState.getResourceManager().spendResources(player, validation.cost);
+        if (!spendResult.success) {
+            return { success: false, reason: spendResult.reason, cost: validation.cost };
+        }
+
+        this.gameState.getResearchState(player).active = { techId, progress: 0 };
+        this.gameEventBus.emit(this.gameEventBus.events.RESEARCH_STARTED, { player, techId, cost: validation.cost });
+
+        return { success: true, cost: validation.cost };
+    }
+
+    /**
+     * Advance the player's active project by one turn, completing it when done
+     * @returns {string|null} The technology completed this turn, if any
+     */
+    advanceResearch(player) {
+        const research = this.gameState.getResearchState(player);
+        if (!research.active) return null;
+
+        research.active.progress++;
+        const { techId, progress } = research.active;
+        if (progress < TECHNOLOGIES[techId].turns) {
+            return null;
+        }
+
+        research.active = null;
+        research.completed.push(techId);
+        this.applyEffects(player);
+
+        this.gameEventBus.emit(this.gameEventBus.events.RESEARCH_COMPLETED, { player, techId });
+        console.log(`🔬 ${player} completed research: ${TECHNOLOGIES[techId].name}`);
+        return techId;
+    }
+
+    /**
+     * Set the player's production multipliers from every technology they have completed
+     */
+    applyEffects(player) {
+        const resourceManager = this.gameState.getResourceManager();
+        if (!resourceManager) return;
+
+        const multipliers = {};
+        this.gameState.getResearchState(player).completed.forEach(techId => {
+            Object.entries(TECHNOLOGIES[techId].multipliers).forEach(([resourceType, multiplier]) => {
+                multipliers[resourceType] = (multipliers[resourceType] || 1.0) * multiplier;
+            });
+        });
+
+        Object.entries(multipliers).forEach(([resourceType, multiplier]) => {
+            resourceManager.setResourceMultiplier(resourceType, multiplier, null, player);
+        });
+    }
+}
@@ -3,7 +3,8 @@
  * Handles resource calculations, validation, and management
  */
 
-import { RESOURCE_TYPES, GAME_CONFIG, OWNERS } from '../utils/constants.js';
+import { RESOURCE_TYPES, OWNERS } from '../utils/constants.js';
+import { getResourceIds, getStockpiledResources, getStockpileResource, createEmptyResources, getBaseClaimCost } from '../utils/resource-registry.js';
 
 /**
  * ResourceManager class - Manages all resource-related operations
@@ -12,7 +13,11 @@ export class ResourceManager {
     constructor(gameState) {
         this.gameState = gameState;
         this.resourceMultipliers = new Map();
+        this.playerResourceMultipliers = new Map(); // e.g. researched technologies, keyed `${player}_${resourceType}`
+        this.playerProductionModifiers = new Map(); // e.g. AI difficulty handicap/bonus
         this.temporaryBoosts = new Map();
+        this.timedModifiers = []; // Multipliers and boosts that run out: { kind, player, resourceType, value, turnsLeft, source }
+        this.lastRoundProcessed = 0; // Last round in which modifiers affecting every player counted down
         this.resourceHistory = [];
         
         this.initializeMultipliers();
@@ -23,7 +28,7 @@ export class ResourceManager {
      */
     initializeMultipliers() {
         // Base multiplier for each resource type (can be modified by events)
-        Object.values(RESOURCE_TYPES).forEach(resourceType => {
+        getResourceIds().forEach(resourceType => {
             this.resourceMultipliers.set(resourceType, 1.0);
         });
     }
@@ -33,44 +38,87 @@ export class ResourceManager {
      */
     calculateResourceProduction(player) {
         const ownedTerritories = this.gameState.getTerritoriesByOwner(player);
-        const production = {
-            [RESOURCE_TYPES.GOLD]: 0,
-            [RESOURCE_TYPES.WOOD]: 0,
-            [RESOURCE_TYPES.METAL]: 0,
-            [RESOURCE_TYPES.FOOD]: 0
-        };
+        const production = createEmptyResources();
         
         ownedTerritories.forEach(territory => {
-            const resourceType = territory.resourceType;
-            const baseValue = territory.resourceValue;
-            const multiplier = this.getResourceMultiplier(resourceType);
-            const boost = this.getTemporaryBoost(player, resourceType);
-            
-            production[resourceType] += Math.floor(baseValue * multiplier + boost);
+            // Territories without a registered resource (e.g. home bases) only produce through their buildings;
+            // stone and iron are turned into metal, which its multipliers and boosts then apply to.
+            // Mixed zones yield a second resource on top of their own.
+            territory.getResourceYields().forEach(({ resourceType: yielded, resourceValue }) => {
+                const resourceType = getStockpileResource(yielded);
+                if (!resourceType) return;
+
+                const multiplier = this.getResourceMultiplier(resourceType, player) * this.getPlayerProductionModifier(player);
+                const boost = this.getTemporaryBoost(player, resourceType);
+                production[resourceType] += Math.floor(resourceValue * multiplier + boost);
+            });
+
+            // Completed buildings add their own output
+            Object.entries(territory.getStructureProduction()).forEach(([buildingResource, amount]) => {
+                const buildingMultiplier = this.getResourceMultiplier(buildingResource, player) * this.getPlayerProductionModifier(player);
+                production[buildingResource] = (production[buildingResource] || 0) + Math.floor(amount * buildingMultiplier);
+            });
         });
+
+        // Workers add to production and benefit from the same multipliers
+        const workerManager = this.gameState.getWorkerManager();
+        if (workerManager) {
+            Object.entries(workerManager.getProductionBonus(player)).forEach(([resourceType, bonus]) => {
+                const multiplier = this.getResourceMultiplier(resourceType, player) * this.getPlayerProductionModifier(player);
+                production[resourceType] = (production[resourceType] || 0) + Math.floor(bonus * multiplier);
+            });
+        }
         
         return production;
     }
 
     /**
      * Get current resource multiplier for a resource type
+     * @param {string} [player] - Include the multipliers that apply only to this player (research, random events)
      */
-    getResourceMultiplier(resourceType) {
-        return this.resourceMultipliers.get(resourceType) || 1.0;
+    getResourceMultiplier(resourceType, player = null) {
+        let multiplier = this.resourceMultipliers.get(resourceType) || 1.0;
+        if (player) {
+            multiplier *= this.playerResourceMultipliers.get(`${player}_${resourceType}`) || 1.0;
+        }
+
+        // Timed multipliers scale the permanent ones, which are back in effect when they run out
+        this.timedModifiers
+            .filter(modifier => modifier.kind === 'multiplier' && (modifier.player === null || modifier.player === player))
+            .filter(modifier => modifier.resourceType === 'all' || modifier.resourceType === resourceType)
+            .forEach(modifier => { multiplier *= modifier.value; });
+        return multiplier;
     }
 
     /**
      * Set resource multiplier (for events/upgrades)
+     * @param {string} resourceType - Resource id, or 'all' for a timed multiplier on every resource
+     * @param {number} [duration] - Turns the multiplier lasts, on top of the permanent one; sets the permanent one if omitted
+     * @param {string} [player] - Only affect this player's production (e.g. research); all players if omitted
+     * @param {string} [source] - What applied it, shown in the Resource panel
      */
-    setResourceMultiplier(resourceType, multiplier, duration = null) {
-        this.resourceMultipliers.set(resourceType, multiplier);
-        
-        // Auto-reset after duration if specified
+    setResourceMultiplier(resourceType, multiplier, duration = null, player = null, source = null) {
         if (duration) {
-            setTimeout(() => {
-                this.resourceMultipliers.set(resourceType, 1.0);
-            }, duration);
+            this.timedModifiers.push({ kind: 'multiplier', player, resourceType, value: multiplier, turnsLeft: duration, source });
+            return;
         }
+
+        const multipliers = player ? this.playerResourceMultipliers : this.resourceMultipliers;
+        multipliers.set(player ? `${player}_${resourceType}` : resourceType, multiplier);
+    }
+
+    /**
+     * Get the production modifier applied to all of a player's territories
+     */
+    getPlayerProductionModifier(player) {
+        return this.playerProductionModifiers.get(player) || 1.0;
+    }
+
+    /**
+     * Set a production modifier for a player (e.g. AI difficulty handicap or bonus)
+     */
+    setPlayerProductionModifier(player, modifier) {
+        this.playerProductionModifiers.set(player, modifier);
     }
 
     /**
@@ -83,21 +131,67 @@ export class ResourceManager {
 
     /**
      * Apply temporary resource boost
+     * @param {number} duration - Number of the player's turns the boost lasts
+     * @param {string} [source] - What applied it, shown in the Resource panel
      */
-    applyTemporaryBoost(player, resourceType, amount, duration) {
+    applyTemporaryBoost(player, resourceType, amount, duration, source = null) {
         const key = `${player}_${resourceType}`;
         const currentBoost = this.temporaryBoosts.get(key) || 0;
         this.temporaryBoosts.set(key, currentBoost + amount);
-        
-        // Remove boost after duration
-        setTimeout(() => {
-            const newBoost = (this.temporaryBoosts.get(key) || 0) - amount;
-            if (newBoost <= 0) {
-                this.temporaryBoosts.delete(key);
-            } else {
-                this.temporaryBoosts.set(key, newBoost);
+        this.timedModifiers.push({ kind: 'boost', player, resourceType, value: amount, turnsLeft: duration, source });
+    }
+
+    /**
+     * Count down timed multipliers and boosts at the end of a player's turn. Those of the
+     * player count down every turn of theirs, those affecting everyone once per round.
+     * @param {string} player - Player whose turn is ending
+     * @param {number} turnNumber - Current round
+     * @returns {Array<object>} Modifiers that expired
+     */
+    advanceTimedModifiers(player, turnNumber) {
+        const countGlobal = turnNumber > this.lastRoundProcessed;
+        if (countGlobal) {
+            this.lastRoundProcessed = turnNumber;
+        }
+
+        const expired = [];
+        this.timedModifiers = this.timedModifiers.filter(modifier => {
+            if (modifier.player === player || (modifier.player === null && countGlobal)) {
+                modifier.turnsLeft--;
+            }
+            if (modifier.turnsLeft > 0) return true;
+
+            expired.push(modifier);
+            return false;
+        });
+
+        // Expired multipliers simply stop applying; boosts are taken back off the running total
+        expired.forEach(modifier => {
+            if (modifier.kind === 'boost') {
+                const key = `${modifier.player}_${modifier.resourceType}`;
+                const newBoost = (this.temporaryBoosts.get(key) || 0) - modifier.value;
+                if (newBoost <= 0) {
+                    this.temporaryBoosts.delete(key);
+                } else {
+                    this.temporaryBoosts.set(key, newBoost);
+                }
             }
-        }, duration);
+
+            const gameEventBus = this.gameState.gameEventBus;
+            if (gameEventBus) {
+                gameEventBus.emit(gameEventBus.events.RESOURCE_MODIFIER_EXPIRED, { ...modifier });
+            }
+        });
+        return expired;
+    }
+
+    /**
+     * Timed multipliers and boosts affecting a player, including those affecting everyone
+     */
+    getTimedModifiers(player) {
+        return this.timedModifiers
+            .filter(modifier => modifier.player === null || modifier.player === player)
+            .map(modifier => ({ ...modifier }));
     }
 
     /**
@@ -119,7 +213,7 @@ export class ResourceManager {
      * Calculate territory claiming cost
      */
     getTerritoryClaimCost(territory, player) {
-        const baseCost = { ...GAME_CONFIG.TERRITORY_CLAIM_COST };
+        const baseCost = getBaseClaimCost();
         
         // Modify cost based on territory properties
         if (territory.resourceType === RESOURCE_TYPES.GOLD) {
@@ -133,6 +227,14 @@ export class ResourceManager {
             });
         }
         
+        // Rough terrain is harder to settle
+        const terrainModifier = territory.getTerrainStats ? territory.getTerrainStats().claimCostModifier : 1;
+        if (terrainModifier !== 1) {
+            Object.keys(baseCost).forEach(resource => {
+                baseCost[resource] = Math.ceil(baseCost[resource] * terrainModifier);
+            });
+        }
+
         // Check for neighboring territories (influence system)
         const neighborBonus = this.calculateNeighborBonus(territory, player);
         if (neighborBonus > 0) {
@@ -142,7 +244,9 @@ export class ResourceManager {
             });
         }
         
-        return baseCost;
+        // Random events can make claiming cheaper or dearer for a while
+        const randomEventManager = this.gameState.getRandomEventManager();
+        return randomEventManager ? randomEventManager.applyCostModifier('claim', player, baseCost) : baseCost;
     }
 
     /**
@@ -157,7 +261,9 @@ export class ResourceManager {
             let adjacentOwned = 0;
             
             neighbors.forEach(neighbor => {
-                if (neighbor && neighbor.owner === player) {
+                // Neighbors are hex data entries; ownership lives on the territory
+                const neighborTerritory = neighbor ? this.gameState.getTerritory(neighbor.key) : null;
+                if (neighborTerritory && neighborTerritory.owner === player) {
                     adjacentOwned++;
                 }
             });
@@ -169,8 +275,9 @@ export class ResourceManager {
         return bonus;
     }    /**
      * Spend resources for a player with validation and transaction logging
+     * @param {string} [purpose] - What the resources were spent on, recorded with the transaction
      */
-    spendResources(player, cost) {
+    spendResources(player, cost, purpose = 'resource_spending') {
         // Validate inputs
         if (!player || typeof player !== 'string') {
             return { success: false, reason: 'invalid_player' };
@@ -209,29 +316,56 @@ export class ResourceManager {
         const afterResources = this.gameState.getResources(player);
         
         // Record transaction in history
-        this.recordTransaction(player, 'spend', cost, beforeResources, afterResources);
-        
-        // Emit event for UI updates
-        this.gameState.emit('resourceChanged', {
-            player,
-            action: 'spent',
-            amounts: cost,
-            before: beforeResources,
-            after: afterResources,
-            details: { transaction: 'resource_spending' }
-        });
+        this.recordTransaction(player, 'spend', cost, beforeResources, afterResources, purpose);
+        
+        // Emit event for listeners interested in completed transactions.
+        // GameState.spendResources already emits RESOURCES_CHANGED for UI updates.
+        const gameEventBus = this.gameState.gameEventBus;
+        if (gameEventBus) {
+            gameEventBus.emit(gameEventBus.events.RESOURCES_SPENT, {
+                player,
+                spentAmounts: cost,
+                purpose
+            });
+        }
         
         return { success: true, cost, after: afterResources };
     }
 
+    /**
+     * Give resources to a player with transaction logging
+     * @param {object} amounts - Amounts keyed by resource type
+     * @param {string} [purpose] - Where the resources came from, recorded with the transaction
+     */
+    addResources(player, amounts, purpose = 'income') {
+        if (!this.gameState.getResources(player)) {
+            return { success: false, reason: 'player_not_found' };
+        }
+        if (!amounts || typeof amounts !== 'object' || Object.values(amounts).some(amount => amount < 0)) {
+            return { success: false, reason: 'invalid_amounts' };
+        }
+
+        const beforeResources = { ...this.gameState.getResources(player) };
+        Object.entries(amounts).forEach(([resourceType, amount]) => {
+            if (amount > 0) {
+                this.gameState.addResources(player, resourceType, amount);
+            }
+        });
+        const afterResources = this.gameState.getResources(player);
+
+        this.recordTransaction(player, 'gain', amounts, beforeResources, afterResources, purpose);
+        return { success: true, amounts, after: afterResources };
+    }
+
     /**
      * Record a resource transaction in history
      */
-    recordTransaction(player, action, amounts, beforeResources, afterResources) {
+    recordTransaction(player, action, amounts, beforeResources, afterResources, purpose = null) {
         this.resourceHistory.push({
             turn: this.gameState.currentTurn,
             player: player,
             action: action,
+            purpose: purpose,
             amounts: amounts,
             before: beforeResources,
             after: afterResources,
@@ -353,14 +487,9 @@ export class ResourceManager {
     calculateProductionRatio(production) {
         const total = Object.values(production).reduce((sum, val) => sum + val, 0);
         
-        if (total === 0) return { gold: 0, wood: 0, metal: 0, food: 0 };
+        if (total === 0) return createEmptyResources();
         
-        return {
-            [RESOURCE_TYPES.GOLD]: production[RESOURCE_TYPES.GOLD] / total,
-            [RESOURCE_TYPES.WOOD]: production[RESOURCE_TYPES.WOOD] / total,
-            [RESOURCE_TYPES.METAL]: production[RESOURCE_TYPES.METAL] / total,
-            [RESOURCE_TYPES.FOOD]: production[RESOURCE_TYPES.FOOD] / total
-        };
+        return Object.fromEntries(getStockpiledResources().map(resourceType => [resourceType, (production[resourceType] || 0) / total]));
     }
 
     /**
@@ -432,45 +561,52 @@ export class ResourceManager {
             boosts: Object.fromEntries(
                 Array.from(this.temporaryBoosts.entries())
                     .filter(([key]) => key.startsWith(player))
-            )
+            ),
+            timedModifiers: this.getTimedModifiers(player)
         };
     }
 
     /**
-     * Reset all temporary effects
+     * Serialize multipliers, modifiers, boosts and history for save/load
+     * @returns {object} Serialized data
      */
-    resetTemporaryEffects() {
-        this.temporaryBoosts.clear();
+    serialize() {
+        return {
+            resourceMultipliers: Array.from(this.resourceMultipliers.entries()),
+            playerResourceMultipliers: Array.from(this.playerResourceMultipliers.entries()),
+            playerProductionModifiers: Array.from(this.playerProductionModifiers.entries()),
+            temporaryBoosts: Array.from(this.temporaryBoosts.entries()),
+            timedModifiers: this.timedModifiers.map(modifier => ({ ...modifier })),
+            lastRoundProcessed: this.lastRoundProcessed,
+            resourceHistory: this.resourceHistory
+        };
+    }
+
+    /**
+     * Restore state produced by serialize()
+     * @param {object} data - Serialized data
+     */
+    deserialize(data = {}) {
+        this.resourceMultipliers.clear();
         this.initializeMultipliers();
+        (data.resourceMultipliers || []).forEach(([resourceType, multiplier]) => {
+            this.resourceMultipliers.set(resourceType, multiplier);
+        });
+
+        this.playerResourceMultipliers = new Map(data.playerResourceMultipliers || []);
+        this.playerProductionModifiers = new Map(data.playerProductionModifiers || []);
+        this.temporaryBoosts = new Map(data.temporaryBoosts || []);
+        this.timedModifiers = (data.timedModifiers || []).map(modifier => ({ ...modifier }));
+        this.lastRoundProcessed = data.lastRoundProcessed || 0;
+        this.resourceHistory = data.resourceHistory || [];
     }
 
     /**
-     * Apply global resource event
+     * Reset all temporary effects
      */
-    applyGlobalResourceEvent(event) {
-        switch (event.type) {
-            case 'resource_boom':
-                [OWNERS.PLAYER, OWNERS.AI].forEach(player => {
-                    Object.values(RESOURCE_TYPES).forEach(resourceType => {
-                        this.gameState.addResources(player, resourceType, event.amount || 2);
-                    });
-                });
-                break;
-                
-            case 'resource_drought':
-                Object.values(RESOURCE_TYPES).forEach(resourceType => {
-                    this.setResourceMultiplier(resourceType, 0.5, event.duration || 30000);
-                });
-                break;
-                
-            case 'trade_winds':
-                Object.values(RESOURCE_TYPES).forEach(resourceType => {
-                    this.setResourceMultiplier(resourceType, 1.5, event.duration || 15000);
-                });
-                break;
-                
-            default:
-                console.warn(`Unknown resource event type: ${event.type}`);
-        }
+    resetTemporaryEffects() {
+        this.temporaryBoosts.clear();
+        this.timedModifiers = [];
+        this.initializeMultipliers();
     }
 }
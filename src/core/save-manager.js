@@ -0,0 +1,312 @@
+/**
+ * Colony Conquest - Save Manager
+ * Persists games to named localStorage slots and autosaves at the end of each turn
+ */
+
+export const SAVE_SCHEMA_VERSION = 1;
+export const AUTOSAVE_SLOT = 'autosave';
+
+const STORAGE_PREFIX = 'colonyConquest.save.';
+
+/**
+ * Player-facing explanations for the failure reasons returned by SaveManager
+ */
+export const SAVE_ERROR_MESSAGES = {
+    invalid_slot: 'No save slot was given',
+    storage_error: 'Browser storage is full or unavailable',
+    slot_empty: 'That save slot is empty',
+    corrupted_save: 'The save data is corrupted',
+    malformed_json: 'The file is not valid JSON',
+    invalid_save: 'The file is not a Colony Conquest save',
+    unsupported_version: 'The save was made by a newer version of the game',
+    missing_migration: 'The save is from an old version that can no longer be upgraded',
+    missing_state: 'The save contains no game state',
+    invalid_turn: 'The save has an invalid turn number',
+    invalid_resources: 'The save has invalid resource data',
+    invalid_territories: 'The save has invalid territory data',
+    invalid_hex_grid: 'The save has invalid map data',
+    invalid_state: 'The game state could not be restored'
+};
+
+/**
+ * Migration hooks keyed by the version they upgrade from.
+ * Each hook receives save data of version N and returns it as version N + 1.
+ */
+const MIGRATIONS = {
+    // Version 0: unversioned saves held the raw GameState.saveState() payload
+    0: (data) => ({
+        version: 1,
+        name: data.name || 'Imported game',
+        savedAt: data.savedAt || null,
+        turn: data.currentTurn || 1,
+        state: data.state || data
+    })
+};
+
+/**
+ * SaveManager class - Writes, lists, loads and migrates saved games
+ */
+export class SaveManager {
+    constructor(gameState, gameEventBus, storage = window.localStorage) {
+        if (!gameState) {
+            throw new Error("SaveManager requires a GameState instance.");
+        }
+        if (!gameEventBus) {
+            throw new Error("SaveManager requires a GameEventBus instance.");
+        }
+        this.gameState = gameState;
+        this.gameEventBus = gameEventBus;
+        this.storage = storage;
+        this.autosaveEnabled = false;
+    }
+
+    /**
+     * Start saving to the autosave slot whenever a turn ends
+     */
+    enableAutosave() {
+        if (this.autosaveEnabled) return;
+        this.autosaveEnabled = true;
+        this.gameEventBus.on(this.gameEventBus.events.TURN_END, this._handleTurnEnd, this);
+    }
+
+    /**
+     * Stop autosaving
+     */
+    disableAutosave() {
+        if (!this.autosaveEnabled) return;
+        this.autosaveEnabled = false;
+        this.gameEventBus.off(this.gameEventBus.events.TURN_END, this._handleTurnEnd, this);
+    }
+
+    _handleTurnEnd() {
+        // A finished game has nothing left to resume
+        if (this.gameState.isGameOver()) return;
+        this.save(AUTOSAVE_SLOT, `Autosave - Turn ${this.gameState.currentTurn}`);
+    }
+
+    /**
+     * Build a versioned save record from the current game
+     * @param {string} name - Display name of the save
+     * @returns {object} Save data
+     */
+    createSaveData(name) {
+        return {
+            version: SAVE_SCHEMA_VERSION,
+            name,
+            savedAt: new Date().toISOString(),
+            turn: this.gameState.currentTurn,
+            state: JSON.parse(this.gameState.saveState())
+        };
+    }
+
+    /**
+     * Save the current game to a slot
+     * @param {string} slot - Slot identifier
+     * @param {string} [name] - Display name, defaults to the slot identifier
+     * @returns {object} { success, reason }
+     */
+    save(slot, name = slot) {
+        if (!slot) {
+            return { success: false, reason: 'invalid_slot' };
+        }
+
+        try {
+            const saveData = this.createSaveData(name);
+            this.storage.setItem(STORAGE_PREFIX + slot, JSON.stringify(saveData));
+        } catch (error) {
+            // Usually QuotaExceededError or storage being unavailable (private browsing)
+            console.error(`❌ Failed to save game to slot '${slot}':`, error);
+            return { success: false, reason: 'storage_error' };
+        }
+
+        this.gameEventBus.emitGameSaved(slot, name, slot === AUTOSAVE_SLOT);
+        console.log(`💾 Game saved to slot '${slot}'`);
+        return { success: true };
+    }
+
+    /**
+     * Load a saved game from a slot into GameState
+     * @param {string} slot - Slot identifier
+     * @returns {object} { success, reason }
+     */
+    load(slot) {
+        const raw = this.storage.getItem(STORAGE_PREFIX + slot);
+        if (raw === null) {
+            return { success: false, reason: 'slot_empty' };
+        }
+
+        let saveData;
+        try {
+            saveData = JSON.parse(raw);
+        } catch (error) {
+            console.error(`❌ Save slot '${slot}' is corrupted:`, error);
+            return { success: false, reason: 'corrupted_save' };
+        }
+
+        return this.restoreSaveData(saveData);
+    }
+
+    /**
+     * Migrate save data to the current schema and apply it to GameState
+     * @param {object} saveData - Parsed save record
+     * @returns {object} { success, reason }
+     */
+    restoreSaveData(saveData) {
+        const migrated = this.migrate(saveData);
+        if (!migrated.success) {
+            return migrated;
+        }
+
+        const invalidReason = this.validateSaveData(migrated.data);
+        if (invalidReason) {
+            return { success: false, reason: invalidReason };
+        }
+
+        const loaded = this.gameState.loadState(migrated.data.state);
+        return loaded ? { success: true } : { success: false, reason: 'invalid_state' };
+    }
+
+    /**
+     * Run migration hooks until the save matches SAVE_SCHEMA_VERSION
+     * @param {object} saveData - Parsed save record
+     * @returns {object} { success, data, reason }
+     */
+    migrate(saveData) {
+        if (!saveData || typeof saveData !== 'object' || Array.isArray(saveData)) {
+            return { success: false, reason: 'invalid_save' };
+        }
+
+        let data = saveData;
+        let version = data.version || 0;
+
+        if (version > SAVE_SCHEMA_VERSION) {
+            return { success: false, reason: 'unsupported_version' };
+        }
+
+        while (version < SAVE_SCHEMA_VERSION) {
+            const migration = MIGRATIONS[version];
+            if (!migration) {
+                return { success: false, reason: 'missing_migration' };
+            }
+            data = migration(data);
+            version = data.version;
+        }
+
+        return { success: true, data };
+    }
+
+    /**
+     * Check that migrated save data holds everything GameState.loadState needs
+     * @param {object} saveData - Save record at SAVE_SCHEMA_VERSION
+     * @returns {string|null} Reason the data is invalid, or null if it is valid
+     */
+    validateSaveData(saveData) {
+        const state = saveData.state;
+        if (!state || typeof state !== 'object') {
+            return 'missing_state';
+        }
+        if (!Number.isInteger(state.currentTurn) || state.currentTurn < 1) {
+            return 'invalid_turn';
+        }
+        if (!state.resources || typeof state.resources !== 'object') {
+            return 'invalid_resources';
+        }
+
+        const validTerritory = (entry) => Array.isArray(entry)
+            && typeof entry[0] === 'string'
+            && entry[1] && Number.isFinite(entry[1].q) && Number.isFinite(entry[1].r);
+        if (!Array.isArray(state.territoryData) || !state.territoryData.every(validTerritory)) {
+            return 'invalid_territories';
+        }
+
+        if (state.hexGrid && !Array.isArray(state.hexGrid.hexes)) {
+            return 'invalid_hex_grid';
+        }
+        return null;
+    }
+
+    /**
+     * Download the current game as a .json save file
+     * @param {string} [name] - Display name stored in the file, also used for the file name
+     */
+    exportToFile(name = `Turn ${this.gameState.currentTurn}`) {
+        const saveData = this.createSaveData(name);
+        const fileName = `colony-conquest-${name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.json`;
+
+        const blob = new Blob([JSON.stringify(saveData, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+
+        console.log(`📤 Game exported to ${fileName}`);
+        return { success: true, fileName };
+    }
+
+    /**
+     * Load a game from the text of an exported save file
+     * @param {string} text - File contents
+     * @returns {object} { success, reason }
+     */
+    importFromText(text) {
+        let saveData;
+        try {
+            saveData = JSON.parse(text);
+        } catch (error) {
+            return { success: false, reason: 'malformed_json' };
+        }
+
+        const result = this.restoreSaveData(saveData);
+        if (result.success) {
+            console.log('📥 Game imported from file');
+        }
+        return result;
+    }
+
+    /**
+     * List the saved games, newest first
+     * @returns {Array<object>} { slot, name, savedAt, turn, version }
+     */
+    listSlots() {
+        const slots = [];
+        for (let i = 0; i < this.storage.length; i++) {
+            const key = this.storage.key(i);
+            if (!key || !key.startsWith(STORAGE_PREFIX)) continue;
+
+            const slot = key.slice(STORAGE_PREFIX.length);
+            try {
+                const { name, savedAt, turn, version } = JSON.parse(this.storage.getItem(key));
+                slots.push({ slot, name: name || slot, savedAt, turn, version: version || 0 });
+            } catch (error) {
+                slots.push({ slot, name: slot, savedAt: null, turn: null, version: null, corrupted: true });
+            }
+        }
+
+        return slots.sort((a, b) => String(b.savedAt).localeCompare(String(a.savedAt)));
+    }
+
+    /**
+     * Check whether a slot holds a saved game
+     */
+    hasSlot(slot) {
+        return this.storage.getItem(STORAGE_PREFIX + slot) !== null;
+    }
+
+    /**
+     * Delete a saved game
+     */
+    deleteSlot(slot) {
+        this.storage.removeItem(STORAGE_PREFIX + slot);
+    }
+
+    /**
+     * Stop listening to game events
+     */
+    destroy() {
+        this.disableAutosave();
+    }
+}
@@ -0,0 +1,227 @@
+/**
+ * Colony Conquest - Trade Manager
+ * Runs the resource market and negotiates direct trade offers between factions
+ */
+
+import { GAME_CONFIG } from '../utils/constants.js';
+import { clamp } from '../utils/math-utils.js';
+
+/**
+ * TradeManager class - Market exchange rates, exchanges and trade offers
+ */
+export class TradeManager {
+    constructor(gameState, gameEventBus) {
+        if (!gameState) {
+            throw new Error("TradeManager requires a GameState instance.");
+        }
+        if (!gameEventBus) {
+            throw new Error("TradeManager requires a GameEventBus instance.");
+        }
+        this.gameState = gameState;
+        this.gameEventBus = gameEventBus;
+        this.aiPlayers = new Map(); // Faction id -> AIPlayer answering trade offers for it
+
+        this.gameEventBus.on(this.gameEventBus.events.TURN_START, this._handleTurnStart, this);
+    }
+
+    /**
+     * Let an AI player answer the trade offers made to its faction
+     */
+    registerAIPlayer(aiPlayer) {
+        this.aiPlayers.set(aiPlayer.playerId, aiPlayer);
+    }
+
+    get market() {
+        return this.gameState.getMarketState();
+    }
+
+    /**
+     * Resources the market deals in
+     */
+    getTradableResources() {
+        return Object.keys(GAME_CONFIG.TRADE.BASE_VALUES);
+    }
+
+    /**
+     * Current market value of one unit of a resource. Resources the market has
+     * been flooded with are cheaper, those it is short of dearer.
+     */
+    getPrice(resourceType) {
+        const trade = GAME_CONFIG.TRADE;
+        const supply = this.market.supply[resourceType] || 0;
+        const factor = clamp(1 - supply * trade.SUPPLY_SENSITIVITY, trade.MIN_PRICE_FACTOR, trade.MAX_PRICE_FACTOR);
+        return trade.BASE_VALUES[resourceType] * factor;
+    }
+
+    /**
+     * What the market pays for `amount` of one resource in another, after its fee
+     * @returns {object} { received, rate } - Units received and units per unit given
+     */
+    getQuote(give, receive, amount) {
+        const rate = this.getPrice(give) * (1 - GAME_CONFIG.TRADE.MARKET_FEE) / this.getPrice(receive);
+        return { received: Math.floor(amount * rate), rate };
+    }
+
+    /**
+     * Check whether a market exchange is possible
+     * @returns {object} { canTrade, reason, cost, received }
+     */
+    canExchange(player, give, receive, amount) {
+        if (this.gameState.isGameOver()) {
+            return { canTrade: false, reason: 'game_over' };
+        }
+        const tradable = this.getTradableResources();
+        if (!tradable.includes(give) || !tradable.includes(receive) || give === receive) {
+            return { canTrade: false, reason: 'invalid_resources' };
+        }
+        if (!Number.isInteger(amount) || amount < 1) {
+            return { canTrade: false, reason: 'invalid_amount' };
+        }
+
+        const cost = { [give]: amount };
+        const { received } = this.getQuote(give, receive, amount);
+        if (received < 1) {
+            return { canTrade: false, reason: 'amount_too_small', cost };
+        }
+
+        const resourceManager = this.gameState.getResourceManager();
+        if (!resourceManager || !resourceManager.canAfford(player, cost)) {
+            return { canTrade: false, reason: 'insufficient_resources', cost };
+        }
+
+        return { canTrade: true, cost, received };
+    }
+
+    /**
+     * Sell resources to the market for another resource at the current rate
+     * @returns {object} { success, reason, cost, received }
+     */
+    exchange(player, give, receive, amount) {
+        const validation = this.canExchange(player, give, receive, amount);
+        if (!validation.canTrade) {
+            return { success: false, reason: validation.reason, cost: validation.cost };
+        }
+
+        const resourceManager = this.gameState.getResourceManager();
+        const spendResult = resourceManager.spendResources(player, validation.cost, 'market_trade');
+        if (!spendResult.success) {
+            return { success: false, reason: spendResult.reason, cost: validation.cost };
+        }
+        const gained = { [receive]: validation.received };
+        resourceManager.addResources(player, gained, 'market_trade');
+
+        // The market now holds more of what was sold and less of what was bought
+        const supply = this.market.supply;
+        supply[give] = (supply[give] || 0) + amount;
+        supply[receive] = (supply[receive] || 0) - validation.received;
+
+        this.gameEventBus.emit(this.gameEventBus.events.TRADE_COMPLETED, {
+            type: 'market', player, partner: null, given: validation.cost, received: gained
+        });
+        return { success: true, cost: validation.cost, received: validation.received };
+    }
+
+    /**
+     * Check whether a trade offer can be put to another faction
+     * @param {object} offer - Resources the proposer gives
+     * @param {object} request - Resources the proposer wants in return
+     * @returns {object} { canTrade, reason }
+     */
+    canOffer(from, to, offer, request) {
+        if (this.gameState.isGameOver()) {
+            return { canTrade: false, reason: 'game_over' };
+        }
+        if (from === to || !this.gameState.resources[to]) {
+            return { canTrade: false, reason: 'invalid_faction' };
+        }
+        if (!this.aiPlayers.has(to)) {
+            return { canTrade: false, reason: 'no_response' };
+        }
+        if (!this.isValidBundle(offer) || !this.isValidBundle(request) ||
+            Object.keys(offer).some(resourceType => request[resourceType] !== undefined)) {
+            return { canTrade: false, reason: 'invalid_offer' };
+        }
+
+        const resourceManager = this.gameState.getResourceManager();
+        if (!resourceManager || !resourceManager.canAfford(from, offer)) {
+            return { canTrade: false, reason: 'insufficient_resources' };
+        }
+        if (!resourceManager.canAfford(to, request)) {
+            return { canTrade: false, reason: 'partner_cannot_afford' };
+        }
+
+        return { canTrade: true };
+    }
+
+    /**
+     * Offer resources to another faction in exchange for others; the receiving AI
+     * accepts or rejects it straight away
+     * @returns {object} { success, accepted, reason }
+     */
+    proposeTrade(from, to, offer, request) {
+        const validation = this.canOffer(from, to, offer, request);
+        if (!validation.canTrade) {
+            return { success: false, reason: validation.reason };
+        }
+
+        const diplomacyManager = this.gameState.getDiplomacyManager();
+        const relation = diplomacyManager ? diplomacyManager.getRelation(from, to) : 0;
+        const accepted = this.aiPlayers.get(to).considerTrade(from, offer, request, relation);
+
+        if (!accepted) {
+            this.gameEventBus.emit(this.gameEventBus.events.TRADE_REJECTED, { from, to, offer, request });
+            return { success: true, accepted: false };
+        }
+
+        const resourceManager = this.gameState.getResourceManager();
+        resourceManager.spendResources(from, offer, 'trade_offer');
+        resourceManager.spendResources(to, request, 'trade_offer');
+        resourceManager.addResources(from, request, 'trade_offer');
+        resourceManager.addResources(to, offer, 'trade_offer');
+
+        if (diplomacyManager) {
+            diplomacyManager.changeRelation(from, to, GAME_CONFIG.TRADE.TRADE_GOODWILL, 'trade');
+        }
+
+        this.gameEventBus.emit(this.gameEventBus.events.TRADE_COMPLETED, {
+            type: 'offer', player: from, partner: to, given: offer, received: request
+        });
+        return { success: true, accepted: true };
+    }
+
+    /**
+     * Market value of a bundle of resources at current prices
+     */
+    getBundleValue(bundle) {
+        return Object.entries(bundle).reduce((total, [resourceType, amount]) => total + this.getPrice(resourceType) * amount, 0);
+    }
+
+    /**
+     * A bundle is a non-empty set of positive whole amounts of tradable resources
+     */
+    isValidBundle(bundle) {
+        if (!bundle || typeof bundle !== 'object') return false;
+        const entries = Object.entries(bundle);
+        const tradable = this.getTradableResources();
+        return entries.length > 0 && entries.every(([resourceType, amount]) =>
+            tradable.includes(resourceType) && Number.isInteger(amount) && amount > 0);
+    }
+
+    _handleTurnStart({ turnNumber }) {
+        // Surpluses and shortages ease off once per round, pulling prices back toward their base value
+        if (turnNumber <= this.market.lastRoundProcessed) return;
+        this.market.lastRoundProcessed = turnNumber;
+
+        const supply = this.market.supply;
+        Object.keys(supply).forEach(resourceType => {
+            supply[resourceType] = Math.trunc(supply[resourceType] * (1 - GAME_CONFIG.TRADE.SUPPLY_RECOVERY));
+        });
+    }
+
+    /**
+     * Stop listening to game events
+     */
+    destroy() {
+        this.gameEventBus.off(this.gameEventBus.events.TURN_START, this._handleTurnStart, this);
+    }
+}
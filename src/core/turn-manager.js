@@ -9,16 +9,32 @@ import { TURN_PHASES, OWNERS } from '../utils/constants.js';
  * TurnManager class - Handles turn sequence and phase management
  */
 export class TurnManager {
-    constructor(gameState) {
+    constructor(gameState, gameEventBus = null) {
         this.gameState = gameState;
+        this.gameEventBus = gameEventBus;
         this.phaseActions = new Map();
         this.turnStartCallbacks = [];
         this.turnEndCallbacks = [];
         this.phaseChangeCallbacks = [];
+        this.aiPlayers = new Map(); // Faction id -> AIPlayer taking its turns, registered by GameScene
         
         this.initializePhases();
     }
 
+    /**
+     * Let an AI player act for its faction during that faction's AI turn phase
+     */
+    registerAIPlayer(aiPlayer) {
+        this.aiPlayers.set(aiPlayer.playerId, aiPlayer);
+    }
+
+    /**
+     * AI player acting for a faction, if any
+     */
+    getAIPlayer(faction) {
+        return this.aiPlayers.get(faction) || null;
+    }
+
     /**
      * Initialize phase handlers
      */
@@ -88,6 +104,19 @@ export class TurnManager {
                 player: this.gameState.currentPlayer
             });
         });
+        if (this.gameEventBus) {
+            this.gameEventBus.emitTurnStart(this.gameState.currentTurn, this.gameState.currentPlayer);
+        }
+
+        // Research and construction advance once at the start of each faction's turns
+        const researchManager = this.gameState.getResearchManager();
+        if (researchManager) {
+            researchManager.advanceResearch(this.gameState.currentPlayer);
+        }
+        const buildingManager = this.gameState.getBuildingManager();
+        if (buildingManager) {
+            buildingManager.advanceConstruction(this.gameState.currentPlayer);
+        }
 
         // Begin with appropriate phase
         if (this.gameState.currentPlayer === OWNERS.PLAYER) {
@@ -101,6 +130,17 @@ export class TurnManager {
      * End current turn and advance to next
      */
     endTurn() {
+        // No more turns once a victory condition has been met
+        if (this.gameState.isGameOver()) {
+            return;
+        }
+
+        // Once per round, as the player's turn ends: influence spreads and random events come and go
+        if (this.gameState.currentPlayer === OWNERS.PLAYER) {
+            this.processInfluenceChanges();
+            this.checkRandomEvents();
+        }
+
         // Notify turn end callbacks
         this.turnEndCallbacks.forEach(callback => {
             callback({
@@ -108,12 +148,23 @@ export class TurnManager {
                 player: this.gameState.currentPlayer
             });
         });
+        if (this.gameEventBus) {
+            this.gameEventBus.emitTurnEnd(this.gameState.currentTurn, this.gameState.currentPlayer);
+        }
+
+        // Timed production multipliers and boosts count down as turns are played
+        const resourceManager = this.gameState.getResourceManager();
+        if (resourceManager) {
+            resourceManager.advanceTimedModifiers(this.gameState.currentPlayer, this.gameState.currentTurn);
+        }
 
         // Advance to next turn
         this.gameState.nextTurn();
         
-        // Start the next turn
-        this.startTurn();
+        // Start the next turn (unless ending this one decided the game)
+        if (!this.gameState.isGameOver()) {
+            this.startTurn();
+        }
     }
 
     /**
@@ -202,24 +253,30 @@ export class TurnManager {
      */
     enterResourceCollection() {
         // UI: Show resource collection animation
-    }    /**
+    }
+
+    /**
      * Resource Collection Phase - Execute
      */
     executeResourceCollection() {
-        const player = this.gameState.currentPlayer;
-        
-        // Get resources before collection
-        const beforeResources = { ...this.gameState.getResources(player) }; // Clone before state
-        
-        // Get the resource production data from the resource manager
-        const resourceManager = this.gameState.getResourceManager();
-        
-        if (!resourceManager) {
+        if (!this.gameState.getResourceManager()) {
             console.warn('⚠️ Resource Manager not available! Cannot collect resources.');
             // Advance phase even if resource manager is missing to avoid getting stuck
             this.gameState.currentPhase = TURN_PHASES.ACTION_PHASE;
             return;
         }
+
+        this.collectIncome(this.gameState.currentPlayer);
+
+        // Collection is instant; hand control to the player for their actions
+        this.advancePhase();
+    }
+
+    /**
+     * Collect a faction's resources for the turn, then pay its army, workers and fortifications
+     */
+    collectIncome(player) {
+        const resourceManager = this.gameState.getResourceManager();
         
         // Calculate production (for logging and event data)
         const production = resourceManager.calculateResourceProduction(player);
@@ -227,9 +284,6 @@ export class TurnManager {
         // Collect resources - this method should now update the gameState directly
         const collectedAmounts = resourceManager.collectResources(player);
         
-        // Get resources after collection
-        const afterResources = this.gameState.getResources(player);
-        
         // Verify resources were actually added
         let resourcesAdded = false;
         Object.keys(production).forEach(type => {
@@ -241,10 +295,24 @@ export class TurnManager {
         
         if (!resourcesAdded && Object.values(production).some(pVal => pVal > 0)) {
             console.warn('⚠️ No resources were added during collection, despite expected production!');
-        } else if (resourcesAdded) {
-            // Resources successfully processed for collection
-        } else {
-            // No production expected or no resources collected.
+        }
+
+        // Feed the army from the freshly collected food
+        const unitManager = this.gameState.getUnitManager();
+        if (unitManager) {
+            unitManager.payUpkeep(player);
+        }
+
+        // Then the workers, who leave if they go hungry
+        const workerManager = this.gameState.getWorkerManager();
+        if (workerManager) {
+            workerManager.payUpkeep(player);
+        }
+
+        // Finally the fortifications, which fall into disrepair without gold
+        const buildingManager = this.gameState.getBuildingManager();
+        if (buildingManager) {
+            buildingManager.payFortificationUpkeep(player);
         }
     }
 
@@ -260,12 +328,9 @@ export class TurnManager {
     enterActionPhase() {
         const player = this.gameState.currentPlayer;
         
-        if (player === OWNERS.PLAYER) {
+        if (player === OWNERS.PLAYER && this.gameEventBus) {
             // Enable player controls
-            this.gameState.emit('gameStateChanged', {
-                phase: TURN_PHASES.ACTION_PHASE,
-                message: 'Your turn - Click territories to claim them!'
-            });
+            this.gameEventBus.emitGameMessage('Your turn - Claim neutral territories or attack adjacent enemies!', 'info', 2500);
         }
     }
 
@@ -299,10 +364,7 @@ export class TurnManager {
      */
     executeResolution() {
         // Process any pending actions
-        // Apply influence changes
-        // Check for random events
-        this.processInfluenceChanges();
-        this.checkRandomEvents();
+        // (Influence and random events are processed once per round in endTurn)
     }
 
     /**
@@ -321,9 +383,20 @@ export class TurnManager {
      * AI Turn Phase - Execute
      */
     executeAITurn() {
-        // AI logic will be implemented here
-        // For now, just simulate some AI activity
-        this.simulateAIActions();
+        const faction = this.gameState.currentPlayer;
+        if (this.gameState.getResourceManager()) {
+            this.collectIncome(faction);
+        }
+
+        const aiPlayer = this.getAIPlayer(faction);
+        if (aiPlayer) {
+            aiPlayer.takeTurn();
+        } else {
+            console.warn(`⚠️ No AI player assigned to ${faction} - skipping AI actions`);
+        }
+
+        // AI factions play one after another and hand control back to the player
+        this.endTurn();
     }
 
     /**
@@ -335,96 +408,33 @@ export class TurnManager {
     // Helper Methods
 
     /**
-     * Process influence changes between territories
+     * Process influence changes between territories; endTurn calls this as the
+     * player's turn ends, so influence spreads once per round
      */
     processInfluenceChanges() {
-        // Implementation for influence system
-        // This will be expanded when influence mechanics are added
+        const influenceManager = this.gameState.getInfluenceManager();
+        if (influenceManager) {
+            influenceManager.processInfluence();
+        }
     }
 
     /**
-     * Check for and trigger random events
+     * Check for and trigger random events; like influence, once per round
      */
     checkRandomEvents() {
-        const [minTurns, maxTurns] = [3, 7]; // From constants
-        const shouldTriggerEvent = Math.random() < 0.3; // 30% chance per turn
-        
-        if (shouldTriggerEvent && this.gameState.currentTurn > 2) {
-            this.triggerRandomEvent();
+        const randomEventManager = this.gameState.getRandomEventManager();
+        if (randomEventManager) {
+            randomEventManager.processRound();
         }
     }
 
     /**
-     * Trigger a random event
-     */
-    triggerRandomEvent() {
-        const events = [
-            {
-                name: 'Resource Boom',
-                description: 'All players gain +2 resources of each type',
-                effect: () => {
-                    [OWNERS.PLAYER, OWNERS.AI].forEach(player => {
-                        Object.keys(this.gameState.resources[player]).forEach(resource => {
-                            this.gameState.addResources(player, resource, 2);
-                        });
-                    });
-                }
-            },
-            {
-                name: 'Trade Winds',
-                description: 'Resource production increased this turn',
-                effect: () => {
-                    // Temporary boost effect
-                }
-            },
-            {
-                name: 'Market Fluctuation',
-                description: 'Territory claiming costs reduced by 1',
-                effect: () => {
-                }
-            }
-        ];
-        
-        const event = events[Math.floor(Math.random() * events.length)];
-        
-        event.effect();
-        
-        this.gameState.gameEvents.push({
-            turn: this.gameState.currentTurn,
-            event: event.name,
-            description: event.description
-        });
-        
-        this.gameState.emit('gameStateChanged', {
-            event: event,
-            message: `Random Event: ${event.name}`
-        });
-    }
-
-    /**
-     * Simulate AI actions (placeholder for actual AI implementation)
+     * Trigger a random event now, regardless of when the next one is due
+     * @param {string} [eventId] - Key of RANDOM_EVENTS; drawn by weight if omitted
      */
-    simulateAIActions() {
-        console.log('🤖 AI is making decisions...');
-        
-        // Simple AI: Try to claim a random neutral territory
-        const neutralTerritories = this.gameState.getTerritoriesByOwner(null);
-        
-        if (neutralTerritories.length > 0) {
-            const randomTerritory = neutralTerritories[Math.floor(Math.random() * neutralTerritories.length)];
-            
-            // Check if AI can afford to claim this territory
-            const claimCost = { gold: 3, wood: 2, metal: 1, food: 2 };
-            
-            if (this.gameState.spendResources(OWNERS.AI, claimCost)) {
-                this.gameState.setTerritoryOwner(randomTerritory.id, OWNERS.AI);
-                console.log(`🤖 AI claimed territory: ${randomTerritory.id}`);
-            } else {
-                console.log('🤖 AI doesn\'t have enough resources to claim territory');
-            }
-        } else {
-            console.log('🤖 AI found no neutral territories to claim');
-        }
+    triggerRandomEvent(eventId = null) {
+        const randomEventManager = this.gameState.getRandomEventManager();
+        return randomEventManager ? randomEventManager.triggerRandomEvent(eventId) : null;
     }
 
     /**
@@ -0,0 +1,265 @@
+/**
+ * Colony Conquest - Unit Manager
+ * Recruits units into territory garrisons and charges their food upkeep
+ */
+
+import { GAME_CONFIG, RESOURCE_TYPES, UNIT_STATS } from '../utils/constants.js';
+
+/**
+ * UnitManager class - Recruitment, army totals and upkeep
+ */
+export class UnitManager {
+    constructor(gameState, gameEventBus) {
+        if (!gameState) {
+            throw new Error("UnitManager requires a GameState instance.");
+        }
+        if (!gameEventBus) {
+            throw new Error("UnitManager requires a GameEventBus instance.");
+        }
+        this.gameState = gameState;
+        this.gameEventBus = gameEventBus;
+
+        this.gameEventBus.on(this.gameEventBus.events.TURN_START, this._handleTurnStart, this);
+    }
+
+    _handleTurnStart({ currentPlayer }) {
+        // Units that marched last turn are ready to move again
+        this.gameState.territories.forEach(territory => {
+            if (territory.owner === currentPlayer) {
+                territory.movedUnits = {};
+            }
+        });
+    }
+
+    /**
+     * Check whether a unit can be recruited in a territory
+     * @param {string} player - Recruiting player
+     * @param {string} territoryId - Territory to station the unit in
+     * @param {string} unitType - UNIT_TYPES value
+     * @returns {object} { canRecruit, reason, cost }
+     */
+    canRecruit(player, territoryId, unitType) {
+        const stats = UNIT_STATS[unitType];
+        if (!stats) {
+            return { canRecruit: false, reason: 'unknown_unit_type' };
+        }
+        const researchManager = this.gameState.getResearchManager();
+        if (stats.requires && !(researchManager && researchManager.isResearched(player, stats.requires))) {
+            return { canRecruit: false, reason: 'requires_research' };
+        }
+
+        const territory = this.gameState.getTerritory(territoryId);
+        if (!territory) {
+            return { canRecruit: false, reason: 'territory_not_found' };
+        }
+        if (territory.owner !== player) {
+            return { canRecruit: false, reason: 'not_owned' };
+        }
+        if (territory.unitCount >= GAME_CONFIG.UNITS.MAX_GARRISON) {
+            return { canRecruit: false, reason: 'garrison_full' };
+        }
+
+        const randomEventManager = this.gameState.getRandomEventManager();
+        const cost = randomEventManager ? randomEventManager.applyCostModifier('recruit', player, stats.cost) : { ...stats.cost };
+        const resourceManager = this.gameState.getResourceManager();
+        if (!resourceManager || !resourceManager.canAfford(player, cost)) {
+            return { canRecruit: false, reason: 'insufficient_resources', cost };
+        }
+
+        return { canRecruit: true, cost };
+    }
+
+    /**
+     * Recruit one unit into an owned territory's garrison
+     * @returns {object} { success, reason, cost }
+     */
+    recruit(player, territoryId, unitType) {
+        const validation = this.canRecruit(player, territoryId, unitType);
+        if (!validation.canRecruit) {
+            return { success: false, reason: validation.reason, cost: validation.cost };
+        }
+
+        const spendResult = this.gameState.getResourceManager().spendResources(player, validation.cost);
+        if (!spendResult.success) {
+            return { success: false, reason: spendResult.reason, cost: validation.cost };
+        }
+
+        this.gameState.getTerritory(territoryId).addUnits(unitType, 1);
+        this.gameEventBus.emit(this.gameEventBus.events.UNITS_CHANGED, {
+            player, territoryId, unitType, change: 1, reason: 'recruited'
+        });
+
+        return { success: true, cost: validation.cost };
+    }
+
+    /**
+     * Cheapest route between two territories that only passes through the player's own land
+     * @returns {Array<string>} Territory ids from start to destination, or an empty array if there is none
+     */
+    findRoute(player, fromId, toId) {
+        const from = this.gameState.getTerritory(fromId);
+        const to = this.gameState.getTerritory(toId);
+        const hexGrid = this.gameState.getHexGrid();
+        if (!from || !to || !hexGrid) return [];
+
+        const isPassable = (hexData) => {
+            const territory = this.gameState.getTerritory(hexData.key);
+            return !!territory && territory.owner === player && territory.isPassable();
+        };
+        const getMoveCost = (hexData) => this.gameState.getTerritory(hexData.key).getTerrainStats().moveCost;
+        return hexGrid.findPath(from.q, from.r, to.q, to.r, isPassable, getMoveCost).map(hexData => hexData.key);
+    }
+
+    /**
+     * Movement a route takes: the terrain cost of every territory entered after the first
+     */
+    getRouteCost(route) {
+        return route.slice(1).reduce((total, territoryId) =>
+            total + this.gameState.getTerritory(territoryId).getTerrainStats().moveCost, 0);
+    }
+
+    /**
+     * Check whether units can march from one owned territory to another this turn
+     * @param {string} player - Moving player
+     * @param {string} fromId - Territory the units leave
+     * @param {string} toId - Destination territory
+     * @param {string} unitType - UNIT_TYPES value
+     * @param {number} count - Number of units to move
+     * @returns {object} { canMove, reason, route, range, cost }
+     */
+    canMoveUnits(player, fromId, toId, unitType, count) {
+        const stats = UNIT_STATS[unitType];
+        if (!stats) {
+            return { canMove: false, reason: 'unknown_unit_type', route: [] };
+        }
+
+        const from = this.gameState.getTerritory(fromId);
+        const to = this.gameState.getTerritory(toId);
+        if (!from || !to) {
+            return { canMove: false, reason: 'territory_not_found', route: [] };
+        }
+        if (from.owner !== player || to.owner !== player) {
+            return { canMove: false, reason: 'not_owned', route: [] };
+        }
+        if (fromId === toId) {
+            return { canMove: false, reason: 'same_territory', route: [] };
+        }
+        if (!Number.isInteger(count) || count < 1 || count > from.getMovableUnits(unitType)) {
+            return { canMove: false, reason: 'not_enough_units', route: [] };
+        }
+
+        const route = this.findRoute(player, fromId, toId);
+        const range = stats.movement;
+        if (route.length === 0) {
+            return { canMove: false, reason: 'no_route', route, range };
+        }
+        // Units can always advance one territory, however rough the ground
+        const cost = this.getRouteCost(route);
+        if (route.length > 2 && cost > range) {
+            return { canMove: false, reason: 'out_of_range', route, range, cost };
+        }
+        if (to.unitCount + count > GAME_CONFIG.UNITS.MAX_GARRISON) {
+            return { canMove: false, reason: 'garrison_full', route, range, cost };
+        }
+
+        return { canMove: true, route, range, cost };
+    }
+
+    /**
+     * March units to another owned territory; they cannot move again this turn
+     * @returns {object} { success, reason, route }
+     */
+    moveUnits(player, fromId, toId, unitType, count) {
+        const validation = this.canMoveUnits(player, fromId, toId, unitType, count);
+        if (!validation.canMove) {
+            return { success: false, reason: validation.reason, route: validation.route };
+        }
+
+        const from = this.gameState.getTerritory(fromId);
+        const to = this.gameState.getTerritory(toId);
+        from.removeUnits(unitType, count);
+        to.addUnits(unitType, count);
+        to.movedUnits[unitType] = (to.movedUnits[unitType] || 0) + count;
+
+        this.gameEventBus.emit(this.gameEventBus.events.UNITS_CHANGED, {
+            player, territoryId: toId, fromTerritoryId: fromId, unitType, change: count, reason: 'moved', route: validation.route
+        });
+
+        return { success: true, route: validation.route };
+    }
+
+    /**
+     * Territories of a player that hold a garrison
+     */
+    getGarrisons(player) {
+        return Array.from(this.gameState.territories.values())
+            .filter(territory => territory.owner === player && territory.unitCount > 0);
+    }
+
+    /**
+     * Total units of each type across a player's territories
+     * @returns {object} Unit counts keyed by unit type
+     */
+    getArmy(player) {
+        const army = {};
+        Object.keys(UNIT_STATS).forEach(unitType => {
+            army[unitType] = 0;
+        });
+        this.getGarrisons(player).forEach(territory => {
+            Object.entries(territory.units).forEach(([unitType, count]) => {
+                army[unitType] = (army[unitType] || 0) + count;
+            });
+        });
+        return army;
+    }
+
+    /**
+     * Food the player's army eats each turn
+     */
+    getUpkeep(player) {
+        const army = this.getArmy(player);
+        return Object.entries(army).reduce((total, [unitType, count]) =>
+            total + (UNIT_STATS[unitType] ? UNIT_STATS[unitType].upkeep.food * count : 0), 0);
+    }
+
+    /**
+     * Deduct the army's food upkeep. Units that cannot be fed desert, the
+     * hungriest unit from the largest garrison first.
+     * @returns {object} { paid, deserted } - Food paid and units lost
+     */
+    payUpkeep(player) {
+        const resources = this.gameState.getResources(player);
+        const available = resources ? resources[RESOURCE_TYPES.FOOD] || 0 : 0;
+        let upkeep = this.getUpkeep(player);
+        let deserted = 0;
+
+        while (upkeep > available) {
+            const garrison = this.getGarrisons(player).sort((a, b) => b.unitCount - a.unitCount)[0];
+            const unitType = Object.keys(garrison.units)
+                .sort((a, b) => UNIT_STATS[b].upkeep.food - UNIT_STATS[a].upkeep.food)[0];
+
+            garrison.removeUnits(unitType, 1);
+            upkeep -= UNIT_STATS[unitType].upkeep.food;
+            deserted++;
+            this.gameEventBus.emit(this.gameEventBus.events.UNITS_CHANGED, {
+                player, territoryId: garrison.id, unitType, change: -1, reason: 'deserted'
+            });
+        }
+
+        if (upkeep > 0) {
+            this.gameState.getResourceManager().spendResources(player, { [RESOURCE_TYPES.FOOD]: upkeep });
+        }
+        if (deserted > 0) {
+            this.gameEventBus.emitGameMessage(`${deserted} ${player} unit(s) deserted - not enough food for upkeep`, 'warning', 3000);
+        }
+
+        return { paid: upkeep, deserted };
+    }
+
+    /**
+     * Stop listening to game events
+     */
+    destroy() {
+        this.gameEventBus.off(this.gameEventBus.events.TURN_START, this._handleTurnStart, this);
+    }
+}
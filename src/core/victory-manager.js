@@ -0,0 +1,259 @@
+/**
+ * Colony Conquest - Victory Manager
+ * Tracks progress toward each victory condition and declares the winner
+ */
+
+import { GAME_CONFIG, GAME_STATES, OWNERS, TERRITORY_TYPES } from '../utils/constants.js';
+
+export const VICTORY_TYPES = {
+    TERRITORIAL: 'territorial_dominance',
+    ECONOMIC: 'economic_victory',
+    STRATEGIC: 'strategic_points',
+    VICTORY_POINTS: 'victory_points',
+    CONQUEST: 'conquest',
+    TURN_LIMIT: 'turn_limit'
+};
+
+/**
+ * VictoryManager class - Evaluates territorial, economic, strategic-point and victory-point victories
+ */
+export class VictoryManager {
+    constructor(gameState, gameEventBus) {
+        if (!gameState) {
+            throw new Error("VictoryManager requires a GameState instance.");
+        }
+        if (!gameEventBus) {
+            throw new Error("VictoryManager requires a GameEventBus instance.");
+        }
+        this.gameState = gameState;
+        this.gameEventBus = gameEventBus;
+        this.result = null; // { winner, condition, details } once the game is decided
+
+        this.gameEventBus.on(this.gameEventBus.events.TURN_END, this._handleTurnEnd, this);
+        this.gameEventBus.on(this.gameEventBus.events.GAME_STATE_LOADED, this._handleGameStateLoaded, this);
+    }
+
+    /**
+     * Factions competing for victory
+     */
+    getFactions() {
+        return this.gameState.getFactions();
+    }
+
+    /**
+     * At the end of each faction's turn, count consecutive turns it has held every strategic point
+     * and award it victory points for each strategic point it holds
+     */
+    _handleTurnEnd({ endingPlayer }) {
+        if (!this.isGameActive() || !endingPlayer) return;
+
+        const progress = this.gameState.victoryProgress;
+        if (!progress.strategicTurnsHeld) {
+            progress.strategicTurnsHeld = {};
+        }
+        if (!progress.victoryPoints) {
+            progress.victoryPoints = {};
+        }
+
+        const strategicPoints = this.getStrategicPoints();
+        const held = strategicPoints.filter(t => t.owner === endingPlayer).length;
+        const holdsAll = strategicPoints.length > 0 && held === strategicPoints.length;
+        progress.strategicTurnsHeld[endingPlayer] = holdsAll ? (progress.strategicTurnsHeld[endingPlayer] || 0) + 1 : 0;
+        progress.victoryPoints[endingPlayer] = (progress.victoryPoints[endingPlayer] || 0) +
+            held * GAME_CONFIG.SPECIAL_TERRITORIES.VICTORY_POINTS;
+
+        this.checkVictoryConditions();
+    }
+
+    /**
+     * A loaded game that is still in progress has not been decided yet
+     */
+    _handleGameStateLoaded() {
+        if (!this.gameState.isGameOver()) {
+            this.result = null;
+        }
+    }
+
+    /**
+     * Only a game in progress can be won
+     */
+    isGameActive() {
+        return this.result === null && this.gameState.gameStatus === GAME_STATES.PLAYING;
+    }
+
+    /**
+     * Update victory progress for all factions and declare a winner if a condition is met
+     * @returns {object|null} The victory result, if the game was decided
+     */
+    checkVictoryConditions() {
+        this.updateProgress();
+
+        if (!this.isGameActive()) {
+            return this.result;
+        }
+
+        const conditions = GAME_CONFIG.VICTORY_CONDITIONS;
+        const progress = this.gameState.victoryProgress;
+
+        for (const faction of this.getFactions()) {
+            if (progress.territorialDominance[faction] >= conditions.TERRITORIAL_DOMINANCE * 100) {
+                return this.declareVictory(faction, VICTORY_TYPES.TERRITORIAL, {
+                    percentage: progress.territorialDominance[faction]
+                });
+            }
+
+            if (progress.economicProgress[faction] >= 100) {
+                return this.declareVictory(faction, VICTORY_TYPES.ECONOMIC, {
+                    resources: this.gameState.getResources(faction)
+                });
+            }
+
+            if ((progress.strategicTurnsHeld[faction] || 0) >= conditions.STRATEGIC_POINTS_TURNS) {
+                return this.declareVictory(faction, VICTORY_TYPES.STRATEGIC, {
+                    turnsHeld: progress.strategicTurnsHeld[faction],
+                    strategicPoints: this.getStrategicPoints().map(t => t.id)
+                });
+            }
+
+            if ((progress.victoryPoints[faction] || 0) >= conditions.VICTORY_POINTS) {
+                return this.declareVictory(faction, VICTORY_TYPES.VICTORY_POINTS, {
+                    victoryPoints: progress.victoryPoints[faction]
+                });
+            }
+        }
+
+        const conquest = this.checkConquest();
+        if (conquest) {
+            return conquest;
+        }
+
+        if (this.gameState.currentTurn > GAME_CONFIG.MAX_TURNS) {
+            return this.declareTurnLimitVictory();
+        }
+
+        return null;
+    }
+
+    /**
+     * Recalculate the victoryProgress block stored in GameState
+     */
+    updateProgress() {
+        const progress = this.gameState.victoryProgress;
+        // Water cannot be held, so it does not count towards dominance
+        const territories = Array.from(this.gameState.territories.values()).filter(t => t.isPassable());
+        const strategicPoints = territories.filter(t => this.isStrategicPoint(t));
+
+        progress.territorialDominance = {};
+        progress.economicProgress = {};
+        progress.strategicPointsHeld = {};
+        progress.strategicTurnsHeld = progress.strategicTurnsHeld || {};
+        progress.victoryPoints = progress.victoryPoints || {};
+
+        this.getFactions().forEach(faction => {
+            const owned = territories.filter(t => t.owner === faction).length;
+            progress.territorialDominance[faction] = territories.length > 0 ? (owned / territories.length) * 100 : 0;
+            progress.economicProgress[faction] = this.calculateEconomicProgress(faction);
+            progress.strategicPointsHeld[faction] = strategicPoints.filter(t => t.owner === faction).length;
+            progress.strategicTurnsHeld[faction] = progress.strategicTurnsHeld[faction] || 0;
+            progress.victoryPoints[faction] = progress.victoryPoints[faction] || 0;
+        });
+    }
+
+    /**
+     * Economic progress is limited by the faction's scarcest resource
+     * @returns {number} Percentage (0-100) toward GAME_CONFIG.VICTORY_CONDITIONS.ECONOMIC_VICTORY
+     */
+    calculateEconomicProgress(faction) {
+        const resources = this.gameState.getResources(faction);
+        const amounts = Object.values(resources);
+        if (amounts.length === 0) return 0;
+
+        const target = GAME_CONFIG.VICTORY_CONDITIONS.ECONOMIC_VICTORY;
+        return Math.min(100, (Math.min(...amounts) / target) * 100);
+    }
+
+    /**
+     * Factions ranked by territory owned, then victory points, then total resources
+     */
+    getStandings() {
+        const victoryPoints = this.gameState.victoryProgress.victoryPoints || {};
+        const standings = this.getFactions().map(faction => ({
+            faction,
+            territories: this.gameState.getTerritoriesByOwner(faction).length,
+            victoryPoints: victoryPoints[faction] || 0,
+            resources: Object.values(this.gameState.getResources(faction)).reduce((sum, val) => sum + val, 0)
+        }));
+
+        return standings.sort((a, b) =>
+            (b.territories - a.territories) || (b.victoryPoints - a.victoryPoints) || (b.resources - a.resources));
+    }
+
+    /**
+     * The last faction holding territory wins. Once the human player has been wiped out
+     * the game is lost, and the strongest faction left standing is declared the winner.
+     */
+    checkConquest() {
+        const standings = this.getStandings();
+        const remaining = standings.filter(standing => standing.territories > 0);
+        if (remaining.length === 0) {
+            return null;
+        }
+
+        const playerEliminated = this.gameState.isEliminated(OWNERS.PLAYER);
+        if (remaining.length > 1 && !playerEliminated) {
+            return null;
+        }
+
+        return this.declareVictory(remaining[0].faction, VICTORY_TYPES.CONQUEST, {
+            eliminated: standings.filter(standing => standing.territories === 0).map(standing => standing.faction),
+            standings
+        });
+    }
+
+    /**
+     * When MAX_TURNS runs out, the faction with the most territory wins (victory points, then total resources, break ties)
+     */
+    declareTurnLimitVictory() {
+        const standings = this.getStandings();
+
+        return this.declareVictory(standings[0].faction, VICTORY_TYPES.TURN_LIMIT, {
+            maxTurns: GAME_CONFIG.MAX_TURNS,
+            standings
+        });
+    }
+
+    /**
+     * Record the result, update the game status and notify listeners
+     */
+    declareVictory(winner, condition, details = {}) {
+        this.result = { winner, condition, details: { ...details, turn: this.gameState.currentTurn } };
+        this.gameState.gameStatus = winner === OWNERS.PLAYER ? GAME_STATES.VICTORY : GAME_STATES.GAME_OVER;
+
+        this.gameEventBus.emitVictoryConditionMet(winner, condition, this.result.details);
+        console.log(`🏆 ${winner} wins by ${condition} on turn ${this.gameState.currentTurn}`);
+
+        return this.result;
+    }
+
+    /**
+     * Get all strategic point territories on the map
+     */
+    getStrategicPoints() {
+        return Array.from(this.gameState.territories.values()).filter(t => this.isStrategicPoint(t));
+    }
+
+    /**
+     * Check if a territory is a strategic point
+     */
+    isStrategicPoint(territory) {
+        return territory.territoryType === TERRITORY_TYPES.STRATEGIC_POINT;
+    }
+
+    /**
+     * Stop listening to game events
+     */
+    destroy() {
+        this.gameEventBus.off(this.gameEventBus.events.TURN_END, this._handleTurnEnd, this);
+        this.gameEventBus.off(this.gameEventBus.events.GAME_STATE_LOADED, this._handleGameStateLoaded, this);
+    }
+}
@@ -0,0 +1,165 @@
+/**
+ * Colony Conquest - Worker Manager
+ * Trains and dismisses workers, limits them by population and feeds them each turn
+ */
+
+import { GAME_CONFIG, RESOURCE_TYPES, WORKER_STATS } from '../utils/constants.js';
+
+/**
+ * WorkerManager class - Worker training, population caps, production bonuses and upkeep
+ */
+export class WorkerManager {
+    constructor(gameState, gameEventBus) {
+        if (!gameState) {
+            throw new Error("WorkerManager requires a GameState instance.");
+        }
+        if (!gameEventBus) {
+            throw new Error("WorkerManager requires a GameEventBus instance.");
+        }
+        this.gameState = gameState;
+        this.gameEventBus = gameEventBus;
+    }
+
+    /**
+     * Worker counts of a player keyed by worker type (a live reference)
+     */
+    getWorkers(player) {
+        return this.gameState.getWorkerCounts(player);
+    }
+
+    /**
+     * Total number of workers a player employs
+     */
+    getTotalWorkers(player) {
+        return Object.values(this.getWorkers(player)).reduce((sum, count) => sum + count, 0);
+    }
+
+    /**
+     * Workers a player can support: a base population plus more for every food territory owned
+     */
+    getPopulationCap(player) {
+        const { BASE_POPULATION, POPULATION_PER_FOOD_TERRITORY } = GAME_CONFIG.WORKERS;
+        const foodTerritories = this.gameState.getTerritoriesByOwner(player)
+            .filter(territory => territory.resourceType === RESOURCE_TYPES.FOOD).length;
+        return BASE_POPULATION + foodTerritories * POPULATION_PER_FOOD_TERRITORY;
+    }
+
+    /**
+     * Extra production the player's workers add each turn, before multipliers
+     * @returns {object} Amounts keyed by resource type
+     */
+    getProductionBonus(player) {
+        const bonus = {};
+        Object.entries(this.getWorkers(player)).forEach(([workerType, count]) => {
+            const stats = WORKER_STATS[workerType];
+            if (stats && count > 0) {
+                bonus[stats.produces] = (bonus[stats.produces] || 0) + stats.bonus * count;
+            }
+        });
+        return bonus;
+    }
+
+    /**
+     * Food the player's workers eat each turn
+     */
+    getUpkeep(player) {
+        return Object.entries(this.getWorkers(player)).reduce((total, [workerType, count]) =>
+            total + (WORKER_STATS[workerType] ? WORKER_STATS[workerType].upkeep.food * count : 0), 0);
+    }
+
+    /**
+     * Check whether a worker can be trained
+     * @returns {object} { canTrain, reason, cost }
+     */
+    canTrain(player, workerType) {
+        const stats = WORKER_STATS[workerType];
+        if (!stats) {
+            return { canTrain: false, reason: 'unknown_worker_type' };
+        }
+        if (this.getTotalWorkers(player) >= this.getPopulationCap(player)) {
+            return { canTrain: false, reason: 'population_cap' };
+        }
+
+        const cost = { ...stats.cost };
+        const resourceManager = this.gameState.getResourceManager();
+        if (!resourceManager || !resourceManager.canAfford(player, cost)) {
+            return { canTrain: false, reason: 'insufficient_resources', cost };
+        }
+
+        return { canTrain: true, cost };
+    }
+
+    /**
+     * Train one worker of the given type
+     * @returns {object} { success, reason, cost }
+     */
+    train(player, workerType) {
+        const validation = this.canTrain(player, workerType);
+        if (!validation.canTrain) {
+            return { success: false, reason: validation.reason, cost: validation.cost };
+        }
+
+        const spendResult = this.gameState.getResourceManager().spendResources(player, validation.cost, 'worker_training');
+        if (!spendResult.success) {
+            return { success: false, reason: spendResult.reason, cost: validation.cost };
+        }
+
+        this.getWorkers(player)[workerType]++;
+        this.gameEventBus.emit(this.gameEventBus.events.WORKERS_CHANGED, {
+            player, workerType, change: 1, reason: 'trained'
+        });
+
+        return { success: true, cost: validation.cost };
+    }
+
+    /**
+     * Dismiss one worker of the given type; its training cost is not refunded
+     * @returns {object} { success, reason }
+     */
+    dismiss(player, workerType) {
+        const workers = this.getWorkers(player);
+        if (!workers[workerType]) {
+            return { success: false, reason: 'no_workers' };
+        }
+
+        workers[workerType]--;
+        this.gameEventBus.emit(this.gameEventBus.events.WORKERS_CHANGED, {
+            player, workerType, change: -1, reason: 'dismissed'
+        });
+        return { success: true };
+    }
+
+    /**
+     * Deduct the workers' food upkeep. Workers that cannot be fed leave, and so do
+     * any above the population cap (e.g. after losing a food territory).
+     * @returns {object} { paid, left } - Food paid and workers lost
+     */
+    payUpkeep(player) {
+        const workers = this.getWorkers(player);
+        const resources = this.gameState.getResources(player);
+        const available = resources ? resources[RESOURCE_TYPES.FOOD] || 0 : 0;
+        const cap = this.getPopulationCap(player);
+        let left = 0;
+
+        while (this.getTotalWorkers(player) > 0 &&
+            (this.getUpkeep(player) > available || this.getTotalWorkers(player) > cap)) {
+            // The most numerous kind of worker leaves first
+            const workerType = Object.keys(workers).sort((a, b) => workers[b] - workers[a])[0];
+            workers[workerType]--;
+            left++;
+            this.gameEventBus.emit(this.gameEventBus.events.WORKERS_CHANGED, {
+                player, workerType, change: -1, reason: 'left'
+            });
+        }
+
+        const upkeep = this.getUpkeep(player);
+        if (upkeep > 0) {
+            this.gameState.getResourceManager().spendResources(player, { [RESOURCE_TYPES.FOOD]: upkeep }, 'worker_upkeep');
+        }
+        if (left > 0) {
+            this.gameEventBus.emitGameMessage(`${left} ${player} worker(s) left - not enough food or housing`, 'warning', 3000);
+        }
+
+        return { paid: upkeep, left };
+    }
+}
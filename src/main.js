@@ -4,7 +4,10 @@
  */
 
 import { GAME_CONFIG, COLORS, ASSETS } from './utils/constants.js';
+import { SetupScene } from './scenes/SetupScene.js';
 import { GameScene } from './scenes/GameScene.js';
+import { GameOverScene } from './scenes/GameOverScene.js';
+import { EditorScene } from './scenes/EditorScene.js';
 
 /**
  * Phaser Game Configuration
@@ -27,7 +30,7 @@ const config = {
             height: 1200
         }
     },
-    scene: [GameScene],
+    scene: [], // Scenes are added in initGame so they can receive launch options
     physics: {
         default: 'arcade',
         arcade: {
@@ -41,14 +44,53 @@ const config = {
  */
 let game;
 
+/**
+ * Read launch options from the page URL, e.g. index.html?difficulty=HARD&ais=2&personality=WARLORD,SETTLER&seed=1234&size=9&preset=ISLANDS
+ */
+function getLaunchOptions() {
+    const params = new URLSearchParams(window.location.search);
+    const options = {};
+    
+    if (params.has('difficulty')) {
+        options.difficulty = params.get('difficulty').toUpperCase();
+    }
+    if (params.has('ais')) {
+        options.aiCount = Number(params.get('ais'));
+    }
+    if (params.has('personality')) {
+        // One personality per AI faction, in turn order
+        options.aiPersonalities = params.get('personality').toUpperCase().split(',');
+    }
+    if (params.has('size')) {
+        options.mapSize = Number(params.get('size'));
+    }
+    if (params.has('preset')) {
+        options.mapPreset = params.get('preset').toUpperCase();
+    }
+    if (params.has('seed')) {
+        // Numeric seeds are kept as numbers so "?seed=42" matches a seed of 42 passed in code
+        const seed = params.get('seed');
+        options.seed = /^\d+$/.test(seed) ? Number(seed) : seed;
+    }
+    
+    return options;
+}
+
 /**
  * Initialize the game
+ * @param {object} options - Launch options; the setup screen starts from them, or GameScene.init
+ *                           receives them directly when resuming a save (loadSlot)
  */
-function initGame() {
+function initGame(options = getLaunchOptions()) {
     console.log('🎮 Colony Conquest - Initializing...');
     
-    // Create Phaser game instance
+    // Create Phaser game instance; new games open on the setup screen
+    const resuming = !!options.loadSlot;
     game = new Phaser.Game(config);
+    game.scene.add('SetupScene', SetupScene, !resuming, options);
+    game.scene.add('GameScene', GameScene, resuming, options);
+    game.scene.add('GameOverScene', GameOverScene, false);
+    game.scene.add('EditorScene', EditorScene, false);
     
     console.log('✅ Game initialized successfully');
 }
@@ -65,10 +107,10 @@ document.addEventListener('DOMContentLoaded', function() {
 window.gameDebug = {
     getGame: () => game,
     getGameScene: () => game?.scene?.getScene('GameScene'),
-    restartGame: () => {
+    restartGame: (options) => {
         if (game) {
             game.destroy(true);
-            initGame();
+            initGame(options);
         }
     }
 };
@@ -207,12 +207,16 @@ export class HexGrid {
 
     /**
      * Find path between two hexes using A* algorithm
+     * @param {function} [isPassable] - Called with each hex's data; hexes it rejects are never entered
+     * @param {function} [getMoveCost] - Called with each hex's data; the cost of entering it, at least 1
+     * @returns {Array<object>} Hexes of the cheapest route from start to end inclusive, or an empty array if there is no path
      */
-    findPath(startQ, startR, endQ, endR) {
+    findPath(startQ, startR, endQ, endR, isPassable = () => true, getMoveCost = () => 1) {
         const start = this.getHex(startQ, startR);
         const end = this.getHex(endQ, endR);
         
-        if (!start || !end) return [];
+        if (!start || !end || !isPassable(end)) return [];
+        if (start.key === end.key) return [start];
         
         const openSet = new Set([start.key]);
         const cameFrom = new Map();
@@ -228,7 +232,7 @@ export class HexGrid {
             let lowestF = Infinity;
             
             for (const key of openSet) {
-                const f = fScore.get(key) || Infinity;
+                const f = fScore.has(key) ? fScore.get(key) : Infinity;
                 if (f < lowestF) {
                     lowestF = f;
                     current = this.hexes.get(key);
@@ -247,11 +251,12 @@ export class HexGrid {
             // Check neighbors
             for (const neighborKey of current.neighbors) {
                 const neighbor = this.hexes.get(neighborKey);
-                if (!neighbor) continue;
+                if (!neighbor || !isPassable(neighbor)) continue;
                 
-                const tentativeG = (gScore.get(current.key) || 0) + 1;
+                const tentativeG = gScore.get(current.key) + getMoveCost(neighbor);
                 
-                if (tentativeG < (gScore.get(neighbor.key) || Infinity)) {
+                // The start hex has a gScore of 0, so missing scores must not be confused with it
+                if (tentativeG < (gScore.has(neighbor.key) ? gScore.get(neighbor.key) : Infinity)) {
                     cameFrom.set(neighbor.key, current.key);
                     gScore.set(neighbor.key, tentativeG);
                     fScore.set(neighbor.key, tentativeG + hexDistance(neighbor.coord, end.coord));
@@ -407,6 +412,26 @@ export class HexGrid {
         console.log(`📥 HexGrid loaded from JSON: ${this.hexes.size} hexes`);
     }
 
+    /**
+     * Draw every hex as a filled polygon, e.g. for a map preview
+     * @param {Phaser.GameObjects.Graphics} graphics - Graphics object to draw on
+     * @param {number} originX - Pixel position of the center hex
+     * @param {number} originY - Pixel position of the center hex
+     * @param {function} getStyle - (hexData) => { fill, border, borderWidth } colors of a hex; borderWidth defaults to 1
+     */
+    draw(graphics, originX, originY, getStyle) {
+        this.hexes.forEach(hexData => {
+            const pixel = hexToPixel(hexData.coord, this.hexSize);
+            const corners = hexCorners({ x: originX + pixel.x, y: originY + pixel.y }, this.hexSize);
+            const { fill, border, borderWidth } = getStyle(hexData);
+
+            graphics.fillStyle(fill, 1);
+            graphics.fillPoints(corners, true);
+            graphics.lineStyle(borderWidth || 1, border, 1);
+            graphics.strokePoints(corners, true);
+        });
+    }
+
     /**
      * Create spiral iterator for traversing hexes in spiral order
      */
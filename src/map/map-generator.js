@@ -4,7 +4,17 @@
  */
 
 import { HexGrid } from './hex-grid.js';
-import { GAME_CONFIG, RESOURCE_TYPES, OWNERS } from '../utils/constants.js';
+import { GAME_CONFIG, RESOURCE_TYPES, OWNERS, TERRITORY_TYPES, TERRAIN_TYPES, TERRAIN_STATS } from '../utils/constants.js';
+import { shuffleArray, randomChoice, weightedChoice, hex, hexLerp, hexRound } from '../utils/math-utils.js';
+import { getStockpileResource } from '../utils/resource-registry.js';
+import { rng } from '../utils/random.js';
+
+// Map options used when generateBalancedMap is not given them (see MAP_PRESETS)
+const DEFAULT_MAP_OPTIONS = {
+    resourceRichness: 1,   // Multiplier on resource values
+    strategicDensity: 1,   // Multiplier on the number of strategic points
+    islands: false         // Flood the land between the players
+};
 
 export class MapGenerator {
     constructor(hexGrid, territoryManager) { // Accept hexGrid and territoryManager
@@ -17,6 +27,7 @@ export class MapGenerator {
         this.hexGrid = hexGrid; // Store hexGrid instance
         this.territoryManager = territoryManager; // Store territoryManager instance
         this.playerStartPositions = []; // Still useful for internal logic
+        this.options = { ...DEFAULT_MAP_OPTIONS };
     }
 
     /**
@@ -24,11 +35,13 @@ export class MapGenerator {
      * This method will now orchestrate the creation of territories via TerritoryManager.
      * @param {number} playerCount - Number of players (e.g., 2).
      * @param {number} mapSize - Optional map size (radius), defaults to GAME_CONFIG.GRID_SIZE.
+     * @param {object} [options] - { resourceRichness, strategicDensity, islands }, e.g. from a MAP_PRESETS entry
      */
-    generateBalancedMap(playerCount = 2, mapSize = GAME_CONFIG.GRID_SIZE) {
+    generateBalancedMap(playerCount = 2, mapSize = GAME_CONFIG.GRID_SIZE, options = {}) {
         this.validateInput(playerCount, mapSize); // mapSize might not be directly used if hexGrid is pre-initialized
         
         this.playerStartPositions = []; // Reset for this generation
+        this.options = { ...DEFAULT_MAP_OPTIONS, ...options };
 
         // 1. Create initial territory objects for all hexes in the grid via TerritoryManager
         // TerritoryManager.initializeTerritories can create default territories for all hexes.
@@ -48,25 +61,40 @@ export class MapGenerator {
             resourceType: RESOURCE_TYPES.NONE,
             resourceValue: 0,
             isHomeBase: false,
-            isHomeBaseFor: OWNERS.NONE
+            isHomeBaseFor: OWNERS.NONE,
+            territoryType: TERRITORY_TYPES.RESOURCE_NODE,
+            secondaryResourceType: null,
+            secondaryResourceValue: 0,
+            terrain: TERRAIN_TYPES.PLAINS
         }));
 
-        // 2. Distribute resources strategically
-        territoryConfigs = this.distributeResources(territoryConfigs, mapSize);
-        
-        // 3. Set player starting positions and mark home bases
+        // 2. Set player starting positions and mark home bases
         territoryConfigs = this.setPlayerStartPositions(territoryConfigs, playerCount, mapSize);
+
+        // 3. Lay out the terrain, keeping the start positions on open land
+        territoryConfigs = this.generateTerrain(territoryConfigs);
+
+        // 4. Distribute resources strategically, as the terrain allows
+        territoryConfigs = this.distributeResources(territoryConfigs, mapSize);
+
+        // On island maps, flood the land between the players
+        if (this.options.islands) {
+            territoryConfigs = this.carveIslands(territoryConfigs);
+        }
+
+        // 5. Place strategic points and mixed zones between the start positions
+        territoryConfigs = this.placeSpecialTerritories(territoryConfigs);
         
-        // 4. Balance resource accessibility (optional, can be complex)
+        // 6. Balance resource accessibility (optional, can be complex)
         // territoryConfigs = this.balanceResourceAccess(territoryConfigs, playerCount, mapSize);
         
-        // 5. Finalize and register all territories with TerritoryManager
+        // 7. Finalize and register all territories with TerritoryManager
         this.territoryManager.initializeTerritories(territoryConfigs);
         
-        // 6. Validate map (optional, internal checks)
+        // 8. Validate map (optional, internal checks)
         // this.validateMapSetup(playerCount);
 
-        console.log(`MapGenerator: Generated and configured map for ${playerCount} players.`);
+        console.log(`MapGenerator: Generated and configured map for ${playerCount} players.`, this.options);
         // No longer returns map data directly, GameScene will use TerritoryManager
     }
 
@@ -104,42 +132,99 @@ export class MapGenerator {
     }
 
     /**
-     * Distribute resources across the map with strategic balance
+     * Distribute resources across the map with strategic balance. Each territory gets one of the
+     * resources its terrain can hold; terrain that holds none (water) gets no resource at all.
      * @param {Array<object>} currentConfigs - The current array of territory configuration objects.
      * @param {number} mapSize - The size of the map.
      * @returns {Array<object>} Updated territory configs.
      */
     distributeResources(currentConfigs, mapSize) {
-        const totalTerritories = currentConfigs.length;
-        if (totalTerritories === 0) return currentConfigs;
-
-        // Calculate target distribution (example)
-        const targetDistribution = {
-            [RESOURCE_TYPES.FOOD]: Math.ceil(totalTerritories * 0.35), // 35% food (most common)
-            [RESOURCE_TYPES.WOOD]: Math.ceil(totalTerritories * 0.25), // 25% wood
-            [RESOURCE_TYPES.STONE]: Math.ceil(totalTerritories * 0.20), // 20% stone
-            [RESOURCE_TYPES.IRON]: Math.ceil(totalTerritories * 0.12),  // 12% iron
-            [RESOURCE_TYPES.GOLD]: Math.ceil(totalTerritories * 0.08)   // 8% gold (rarest)
+        // Share of the land each resource would have if the terrain allowed any of them
+        const resourceShares = {
+            [RESOURCE_TYPES.FOOD]: 0.35,  // most common
+            [RESOURCE_TYPES.WOOD]: 0.25,
+            [RESOURCE_TYPES.STONE]: 0.20,
+            [RESOURCE_TYPES.IRON]: 0.12,
+            [RESOURCE_TYPES.GOLD]: 0.08   // rarest
         };
-        
-        // Assign resources based on target distribution
-        const shuffledTerritories = this.shuffleArray([...currentConfigs]);
-        let resourceIndex = 0;
-        
-        for (const [resourceType, count] of Object.entries(targetDistribution)) {
-            for (let i = 0; i < count && resourceIndex < shuffledTerritories.length; i++) {
-                const territoryConfig = shuffledTerritories[resourceIndex];
-                // Avoid overwriting home bases if they are already marked
-                if (!territoryConfig.isHomeBase) {
-                    territoryConfig.resourceType = resourceType;
-                    territoryConfig.resourceValue = this.generateBalancedResourceValue(resourceType);
+
+        currentConfigs.forEach(territoryConfig => {
+            // Avoid overwriting home bases if they are already marked
+            if (territoryConfig.isHomeBase) return;
+
+            const allowed = this.getTerrainStats(territoryConfig.terrain).resources;
+            if (allowed.length === 0) {
+                territoryConfig.resourceType = RESOURCE_TYPES.NONE;
+                territoryConfig.resourceValue = 0;
+                return;
+            }
+            territoryConfig.resourceType = weightedChoice(allowed, resourceType => resourceShares[resourceType] || 0);
+            territoryConfig.resourceValue = this.generateBalancedResourceValue(territoryConfig.resourceType);
+        });
+
+        return currentConfigs;
+    }
+
+    /**
+     * Stats of a terrain type, plains for unknown ones
+     * @param {string} terrain - TERRAIN_TYPES value
+     * @returns {object} Entry of TERRAIN_STATS
+     */
+    getTerrainStats(terrain) {
+        return TERRAIN_STATS[terrain] || TERRAIN_STATS[TERRAIN_TYPES.PLAINS];
+    }
+
+    /**
+     * Lay out the terrain in patches: scattered seeds each draw a terrain by weight, and every hex
+     * takes the terrain of its nearest seed. The land around each start position is kept open, and
+     * a causeway from each start position to the middle of the map keeps every player reachable.
+     * Land that water cuts off from all the start positions is flooded as well.
+     * @param {Array<object>} currentConfigs - Territory configs, with home bases already set
+     * @returns {Array<object>} Updated territory configs
+     */
+    generateTerrain(currentConfigs) {
+        const { PATCH_SIZE, HOME_RADIUS } = GAME_CONFIG.TERRAIN;
+        const terrains = Object.values(TERRAIN_TYPES);
+        const seedCount = Math.max(1, Math.round(currentConfigs.length / PATCH_SIZE));
+        const seeds = this.shuffleArray([...currentConfigs]).slice(0, seedCount).map(config => ({
+            q: config.q,
+            r: config.r,
+            terrain: weightedChoice(terrains, terrain => TERRAIN_STATS[terrain].weight)
+        }));
+
+        currentConfigs.forEach(config => {
+            // A fraction of a hex of jitter keeps the patch borders ragged
+            let nearest = null;
+            let nearestDistance = Infinity;
+            seeds.forEach(seed => {
+                const distance = this.hexGrid.getDistance(seed.q, seed.r, config.q, config.r) + rng.next() * 0.9;
+                if (distance < nearestDistance) {
+                    nearestDistance = distance;
+                    nearest = seed;
                 }
-                resourceIndex++;
+            });
+            config.terrain = nearest.terrain;
+        });
+
+        const starts = this.playerStartPositions.map(startData => startData.position);
+        const causeway = this.getCausewayKeys(starts);
+        currentConfigs.forEach(config => {
+            const startDistance = Math.min(...starts.map(start => this.hexGrid.getDistance(start.q, start.r, config.q, config.r)));
+            if (config.isHomeBase ||
+                (startDistance <= HOME_RADIUS && [TERRAIN_TYPES.WATER, TERRAIN_TYPES.MOUNTAINS].includes(config.terrain)) ||
+                (causeway.has(`${config.q},${config.r}`) && !this.getTerrainStats(config.terrain).passable)) {
+                config.terrain = TERRAIN_TYPES.PLAINS;
             }
-        }
-        
-        // console.log('Resource distribution calculated:', this.getResourceDistributionStats(shuffledTerritories));
-        return shuffledTerritories; // Return the modified configs
+        });
+
+        const reachable = this.getReachableKeys(currentConfigs);
+        currentConfigs.forEach(config => {
+            if (!reachable.has(`${config.q},${config.r}`)) {
+                this.flood(config);
+            }
+        });
+
+        return currentConfigs;
     }
 
     /**
@@ -158,15 +243,19 @@ export class MapGenerator {
         
         const range = valueRanges[resourceType];
         // Weighted towards average values for balance
-        const random = Math.random();
+        const random = rng.next();
+        let value;
         
         if (random < 0.6) {
-            return Math.round(range.avg);
+            value = Math.round(range.avg);
         } else if (random < 0.8) {
-            return range.min;
+            value = range.min;
         } else {
-            return range.max;
+            value = range.max;
         }
+
+        // Scarce and rich maps scale every value, but land always yields something
+        return Math.max(1, Math.round(value * this.options.resourceRichness));
     }
 
     /**
@@ -214,6 +303,182 @@ export class MapGenerator {
         return currentConfigs; // Return modified configs
     }
 
+    /**
+     * Turn the territories that lie most evenly between the start positions into strategic points,
+     * and the next most even ones into mixed zones. Hexes are grouped by their distances to the
+     * start positions and whole groups are converted at a time, so the result is as symmetric as
+     * the start positions themselves.
+     * @param {Array<object>} currentConfigs - Territory configs, with home bases already set
+     * @returns {Array<object>} Updated territory configs
+     */
+    placeSpecialTerritories(currentConfigs) {
+        const { STRATEGIC_POINTS, MIXED_ZONES, MIN_START_DISTANCE } = GAME_CONFIG.SPECIAL_TERRITORIES;
+        const strategicTarget = STRATEGIC_POINTS * this.options.strategicDensity;
+        const starts = this.playerStartPositions.map(startData => startData.position);
+        if (starts.length < 2) return currentConfigs;
+
+        // Group candidate hexes by their sorted distances to the start positions
+        const groups = new Map();
+        currentConfigs.forEach(config => {
+            if (config.isHomeBase) return;
+
+            const distances = starts
+                .map(start => this.hexGrid.getDistance(start.q, start.r, config.q, config.r))
+                .sort((a, b) => a - b);
+            if (distances[0] < MIN_START_DISTANCE) return;
+
+            const signature = distances.join(',');
+            if (!groups.has(signature)) {
+                groups.set(signature, {
+                    signature,
+                    spread: distances[distances.length - 1] - distances[0],
+                    centerDistance: this.hexGrid.getDistance(0, 0, config.q, config.r),
+                    usable: true,
+                    configs: []
+                });
+            }
+            const group = groups.get(signature);
+            group.configs.push(config);
+            // A group with water in it would leave some players without their share
+            group.usable = group.usable && !!getStockpileResource(config.resourceType);
+        });
+
+        // Fairest first (closest to equidistant), then nearest the middle of the map
+        const ordered = Array.from(groups.values()).filter(group => group.usable).sort((a, b) =>
+            (a.spread - b.spread) || (a.centerDistance - b.centerDistance) || a.signature.localeCompare(b.signature));
+
+        // Each kind takes whole groups for as long as they bring its count closer to its target (or no further from it)
+        const special = [
+            { type: TERRITORY_TYPES.STRATEGIC_POINT, target: strategicTarget, count: 0, done: strategicTarget === 0 },
+            { type: TERRITORY_TYPES.MIXED_ZONE, target: MIXED_ZONES, count: 0, done: MIXED_ZONES === 0 }
+        ];
+        ordered.forEach(group => {
+            const size = group.configs.length;
+            for (const kind of special) {
+                if (kind.done) continue;
+                if (Math.abs(kind.target - kind.count - size) > Math.abs(kind.target - kind.count)) {
+                    kind.done = true;
+                    continue;
+                }
+
+                kind.count += size;
+                group.configs.forEach(config => {
+                    config.territoryType = kind.type;
+                    if (kind.type === TERRITORY_TYPES.MIXED_ZONE) {
+                        config.secondaryResourceType = this.pickSecondaryResource(config.resourceType, config.terrain);
+                        config.secondaryResourceValue = this.generateBalancedResourceValue(config.secondaryResourceType);
+                    }
+                });
+                break;
+            }
+        });
+
+        return currentConfigs;
+    }
+
+    /**
+     * Flood the hexes on the borders between the players' regions and the middle of the map,
+     * leaving an island around each start position and one in the middle. A causeway from each
+     * start position to the middle is left standing, so every island can still be reached.
+     * Flooded hexes are turned into water.
+     * @param {Array<object>} currentConfigs - Territory configs, with home bases already set
+     * @returns {Array<object>} Updated territory configs
+     */
+    carveIslands(currentConfigs) {
+        const center = hex(0, 0);
+        const starts = this.playerStartPositions.map(startData => startData.position);
+        const seeds = [...starts, center];
+        const causeway = this.getCausewayKeys(starts);
+
+        currentConfigs.forEach(config => {
+            if (config.isHomeBase || causeway.has(`${config.q},${config.r}`)) return;
+
+            const [nearest, next] = seeds
+                .map(seed => this.hexGrid.getDistance(seed.q, seed.r, config.q, config.r))
+                .sort((a, b) => a - b);
+            if (next - nearest <= 1) {
+                this.flood(config);
+            }
+        });
+
+        // Scraps of land cut off from every start position go under as well
+        const reachable = this.getReachableKeys(currentConfigs);
+        currentConfigs.forEach(config => {
+            if (!reachable.has(`${config.q},${config.r}`)) {
+                this.flood(config);
+            }
+        });
+
+        return currentConfigs;
+    }
+
+    /**
+     * Keys of the hexes on a straight line from each start position to the middle of the map
+     * @param {Array<object>} starts - Start positions { q, r }
+     * @returns {Set<string>} Hex keys
+     */
+    getCausewayKeys(starts) {
+        const center = hex(0, 0);
+        const causeway = new Set();
+        starts.forEach(start => {
+            const length = this.hexGrid.getDistance(start.q, start.r, center.q, center.r);
+            // Nudged off the hex edges so the line never rounds both ways
+            const from = hex(start.q + 1e-6, start.r + 1e-6);
+            for (let step = 0; step <= length; step++) {
+                const point = hexRound(hexLerp(from, center, length > 0 ? step / length : 0));
+                causeway.add(`${point.q},${point.r}`);
+            }
+        });
+        return causeway;
+    }
+
+    /**
+     * Keys of the hexes that can be reached over passable terrain from a start position
+     * @param {Array<object>} currentConfigs - Territory configs
+     * @returns {Set<string>} Hex keys
+     */
+    getReachableKeys(currentConfigs) {
+        const passable = new Set(currentConfigs
+            .filter(config => this.getTerrainStats(config.terrain).passable)
+            .map(config => `${config.q},${config.r}`));
+        const reachable = new Set(this.playerStartPositions.map(startData => `${startData.position.q},${startData.position.r}`));
+        const frontier = [...reachable];
+        while (frontier.length > 0) {
+            const [q, r] = frontier.pop().split(',').map(Number);
+            this.hexGrid.getNeighbors(q, r).forEach(neighbor => {
+                if (passable.has(neighbor.key) && !reachable.has(neighbor.key)) {
+                    reachable.add(neighbor.key);
+                    frontier.push(neighbor.key);
+                }
+            });
+        }
+        return reachable;
+    }
+
+    /**
+     * Turn a territory into water, which holds no resources
+     * @param {object} config - Territory config
+     */
+    flood(config) {
+        config.terrain = TERRAIN_TYPES.WATER;
+        config.resourceType = RESOURCE_TYPES.NONE;
+        config.resourceValue = 0;
+    }
+
+    /**
+     * Second resource of a mixed zone, one its terrain can hold; it never ends up as the same
+     * stockpiled resource as the first
+     * @param {string} resourceType - The territory's own resource
+     * @param {string} terrain - The territory's terrain
+     * @returns {string} Resource id
+     */
+    pickSecondaryResource(resourceType, terrain) {
+        const landResources = [RESOURCE_TYPES.FOOD, RESOURCE_TYPES.WOOD, RESOURCE_TYPES.STONE, RESOURCE_TYPES.IRON, RESOURCE_TYPES.GOLD];
+        const output = getStockpileResource(resourceType);
+        const allowed = this.getTerrainStats(terrain).resources.filter(id => getStockpileResource(id) !== output);
+        return randomChoice(allowed.length > 0 ? allowed : landResources.filter(id => getStockpileResource(id) !== output));
+    }
+
     /**
      * Calculate optimal starting positions for maximum balance
      * @param {number} playerCount 
@@ -241,15 +506,17 @@ export class MapGenerator {
                 idealPositions.push({ q: gridRadius, r: 0 });
                 break;
             case 3:
+                // Alternate corners of the map, so every player is as far from the other two
                 idealPositions.push({ q: gridRadius, r: 0 });
-                idealPositions.push({ q: -gridRadius, r: Math.floor(gridRadius / 2) });
-                idealPositions.push({ q: 0, r: gridRadius });
+                idealPositions.push({ q: -gridRadius, r: gridRadius });
+                idealPositions.push({ q: 0, r: -gridRadius });
                 break;
             case 4:
+                // Two mirrored pairs, all of them inside the map
                 idealPositions.push({ q: gridRadius, r: -Math.floor(gridRadius / 2) });
                 idealPositions.push({ q: -gridRadius, r: Math.floor(gridRadius / 2) });
-                idealPositions.push({ q: Math.floor(gridRadius / 2), r: gridRadius });
-                idealPositions.push({ q: -Math.floor(gridRadius / 2), r: -gridRadius });
+                idealPositions.push({ q: -Math.floor(gridRadius / 2), r: gridRadius });
+                idealPositions.push({ q: Math.floor(gridRadius / 2), r: -gridRadius });
                 break;
             default:
                 idealPositions.push({ q: 0, r: 0 });
@@ -267,7 +534,7 @@ export class MapGenerator {
             // Try to find the ideal position or the closest one in the actual grid
             for (let i = 0; i < availableHexes.length; i++) {
                 const hex = availableHexes[i];
-                const distance = this.hexGrid.getDistance(idealPos, hex); // Assuming hexGrid has getDistance
+                const distance = this.hexGrid.getDistance(idealPos.q, idealPos.r, hex.q, hex.r);
 
                 if (distance < minDistance) {
                     minDistance = distance;
@@ -299,7 +566,7 @@ export class MapGenerator {
                 for (const fallbackHex of availableHexes) {
                     let currentMinDistToSelected = Infinity;
                     for (const sp of selectedPositions) {
-                        currentMinDistToSelected = Math.min(currentMinDistToSelected, this.hexGrid.getDistance(fallbackHex, sp));
+                        currentMinDistToSelected = Math.min(currentMinDistToSelected, this.hexGrid.getDistance(fallbackHex.q, fallbackHex.r, sp.q, sp.r));
                     }
                     if (currentMinDistToSelected > maxMinDist) {
                         maxMinDist = currentMinDistToSelected;
@@ -463,10 +730,6 @@ export class MapGenerator {
      * @returns {Array} Shuffled array
      */
     shuffleArray(array) {
-        for (let i = array.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [array[i], array[j]] = [array[j], array[i]];
-        }
-        return array;
+        return shuffleArray(array); // Seeded, see utils/random.js
     }
 }
@@ -0,0 +1,291 @@
+/**
+ * Colony Conquest - Map Storage
+ * The JSON format of hand-authored maps, and named localStorage slots to keep them in
+ */
+
+import { GAME_CONFIG, OWNERS, RESOURCE_TYPES, TERRITORY_TYPES, TERRAIN_TYPES, TERRAIN_STATS } from '../utils/constants.js';
+import { hex, isHexInBounds } from '../utils/math-utils.js';
+import { getResourceDefinition } from '../utils/resource-registry.js';
+
+export const MAP_FORMAT = 'colony-conquest-map';
+export const MAP_FORMAT_VERSION = 1;
+
+const STORAGE_PREFIX = 'colonyConquest.map.';
+
+/**
+ * Player-facing explanations for the failure reasons returned by the map functions and MapStorage
+ */
+export const MAP_ERROR_MESSAGES = {
+    invalid_name: 'The map needs a name',
+    storage_error: 'Browser storage is full or unavailable',
+    map_not_found: 'There is no saved map with that name',
+    corrupted_map: 'The saved map is corrupted',
+    malformed_json: 'The file is not valid JSON',
+    invalid_map: 'The file is not a Colony Conquest map',
+    unsupported_version: 'The map was made by a newer version of the game',
+    invalid_size: 'The map has an invalid size',
+    invalid_territories: 'The map has invalid territory data',
+    missing_player_home: 'The map needs a home base for the player',
+    missing_ai_home: 'The map needs a home base for at least one AI',
+    duplicate_home: 'A faction has more than one home base',
+    unordered_factions: 'AI home bases must be numbered from AI 1 with no gaps',
+    home_on_impassable: 'Home bases cannot be on impassable terrain',
+    owner_without_home: 'Owned land must belong to a faction with a home base'
+};
+
+/**
+ * Factions a map may place home bases for, in turn order
+ */
+function getCandidateFactions() {
+    return [OWNERS.PLAYER, ...Array.from({ length: GAME_CONFIG.MAX_AI_FACTIONS }, (_, i) => OWNERS[`AI_${i + 1}`])];
+}
+
+/**
+ * Build map data from the territories of a grid
+ * @param {string} name - Display name of the map
+ * @param {number} size - Grid size (hexes across)
+ * @param {Array<Territory>} territories - Every territory on the grid
+ * @returns {object} Map data in the current MAP_FORMAT_VERSION
+ */
+export function createMapData(name, size, territories) {
+    return {
+        format: MAP_FORMAT,
+        version: MAP_FORMAT_VERSION,
+        name,
+        size,
+        territories: territories.map(territory => ({
+            q: territory.q,
+            r: territory.r,
+            terrain: territory.terrain,
+            resourceType: territory.resourceType || null,
+            resourceValue: territory.resourceValue || 0,
+            territoryType: territory.territoryType,
+            secondaryResourceType: territory.secondaryResourceType || null,
+            secondaryResourceValue: territory.secondaryResourceValue || 0,
+            owner: territory.owner || null,
+            isHomeBase: !!territory.isHomeBase
+        }))
+    };
+}
+
+/**
+ * Check that map data is well formed. An unfinished map (e.g. one without home bases yet) is still valid;
+ * see validateMapFactions for whether a game can be played on it.
+ * @param {object} mapData - Parsed map data
+ * @returns {string|null} Reason the data is invalid, or null if it is valid
+ */
+export function validateMapData(mapData) {
+    if (!mapData || typeof mapData !== 'object' || mapData.format !== MAP_FORMAT) {
+        return 'invalid_map';
+    }
+    if (!Number.isInteger(mapData.version) || mapData.version > MAP_FORMAT_VERSION) {
+        return 'unsupported_version';
+    }
+    if (!GAME_CONFIG.MAP_SETUP.SIZES.includes(mapData.size)) {
+        return 'invalid_size';
+    }
+    if (!Array.isArray(mapData.territories)) {
+        return 'invalid_territories';
+    }
+
+    const terrains = Object.values(TERRAIN_TYPES);
+    const territoryTypes = Object.values(TERRITORY_TYPES);
+    const owners = getCandidateFactions();
+    const validResource = (type, value) => (type === null || getResourceDefinition(type) !== null)
+        && Number.isFinite(value) && value >= 0;
+    const seen = new Set();
+
+    const validTerritory = (entry) => {
+        if (!entry || !Number.isInteger(entry.q) || !Number.isInteger(entry.r)) return false;
+        const key = `${entry.q},${entry.r}`;
+        if (seen.has(key) || !isHexInBounds(hex(entry.q, entry.r), mapData.size)) return false;
+        seen.add(key);
+
+        return terrains.includes(entry.terrain)
+            && territoryTypes.includes(entry.territoryType)
+            && validResource(entry.resourceType, entry.resourceValue)
+            && validResource(entry.secondaryResourceType, entry.secondaryResourceValue)
+            && (entry.owner === null || owners.includes(entry.owner))
+            && typeof entry.isHomeBase === 'boolean';
+    };
+    return mapData.territories.every(validTerritory) ? null : 'invalid_territories';
+}
+
+/**
+ * Check that a well-formed map can be played: one home base for the player and for AI 1 to AI n
+ * @param {object} mapData - Map data that passed validateMapData
+ * @returns {string|null} Reason the map cannot be played, or null if it can
+ */
+export function validateMapFactions(mapData) {
+    const homes = mapData.territories.filter(entry => entry.isHomeBase);
+    const factions = getMapFactions(mapData);
+
+    if (homes.some(entry => !entry.owner)) {
+        return 'invalid_territories';
+    }
+    if (homes.length !== factions.length) {
+        return 'duplicate_home';
+    }
+    if (homes.some(entry => !TERRAIN_STATS[entry.terrain].passable)) {
+        return 'home_on_impassable';
+    }
+    if (!factions.includes(OWNERS.PLAYER)) {
+        return 'missing_player_home';
+    }
+    if (factions.length < 2) {
+        return 'missing_ai_home';
+    }
+    if (factions.some((faction, index) => faction !== getCandidateFactions()[index])) {
+        return 'unordered_factions';
+    }
+    if (mapData.territories.some(entry => entry.owner && !factions.includes(entry.owner))) {
+        return 'owner_without_home';
+    }
+    return null;
+}
+
+/**
+ * Factions with a home base on the map, in turn order
+ * @param {object} mapData - Map data
+ * @returns {Array<string>} Faction ids, e.g. ['player', 'ai_1']
+ */
+export function getMapFactions(mapData) {
+    const homeOwners = mapData.territories.filter(entry => entry.isHomeBase).map(entry => entry.owner);
+    return getCandidateFactions().filter(faction => homeOwners.includes(faction));
+}
+
+/**
+ * Territory configs for TerritoryManager.initializeTerritories. Grid hexes the map does not list
+ * become empty plains.
+ * @param {object} mapData - Valid map data
+ * @param {HexGrid} hexGrid - Grid of the map's size
+ * @returns {Array<object>} One config per grid hex
+ */
+export function getMapTerritoryConfigs(mapData, hexGrid) {
+    const entries = new Map(mapData.territories.map(entry => [`${entry.q},${entry.r}`, entry]));
+
+    return hexGrid.getAllHexes().map(hexData => {
+        const { q, r } = hexData.coord;
+        const entry = entries.get(hexData.key) || {};
+        return {
+            q,
+            r,
+            id: hexData.key,
+            terrain: entry.terrain || TERRAIN_TYPES.PLAINS,
+            resourceType: entry.resourceType || RESOURCE_TYPES.NONE,
+            resourceValue: entry.resourceValue || 0,
+            territoryType: entry.territoryType || TERRITORY_TYPES.RESOURCE_NODE,
+            secondaryResourceType: entry.secondaryResourceType || null,
+            secondaryResourceValue: entry.secondaryResourceValue || 0,
+            owner: entry.owner || OWNERS.NEUTRAL,
+            isHomeBase: !!entry.isHomeBase
+        };
+    });
+}
+
+/**
+ * Parse and validate the text of a map file
+ * @param {string} text - File contents
+ * @returns {object} { success, map, reason }
+ */
+export function parseMapText(text) {
+    let mapData;
+    try {
+        mapData = JSON.parse(text);
+    } catch (error) {
+        return { success: false, reason: 'malformed_json' };
+    }
+
+    const invalidReason = validateMapData(mapData);
+    return invalidReason ? { success: false, reason: invalidReason } : { success: true, map: mapData };
+}
+
+/**
+ * MapStorage class - Saves, lists, loads and exports hand-authored maps
+ */
+export class MapStorage {
+    constructor(storage = window.localStorage) {
+        this.storage = storage;
+    }
+
+    /**
+     * Save a map to the slot named after it, replacing any map with the same name
+     * @param {object} mapData - Map data from createMapData
+     * @returns {object} { success, slot, reason }
+     */
+    save(mapData) {
+        const name = (mapData.name || '').trim();
+        const slot = name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+        if (!slot) {
+            return { success: false, reason: 'invalid_name' };
+        }
+
+        try {
+            this.storage.setItem(STORAGE_PREFIX + slot, JSON.stringify({ ...mapData, savedAt: new Date().toISOString() }));
+        } catch (error) {
+            console.error(`❌ Failed to save map to slot '${slot}':`, error);
+            return { success: false, reason: 'storage_error' };
+        }
+
+        console.log(`💾 Map saved to slot '${slot}'`);
+        return { success: true, slot };
+    }
+
+    /**
+     * Load a saved map
+     * @param {string} slot - Slot identifier
+     * @returns {object} { success, map, reason }
+     */
+    load(slot) {
+        const raw = this.storage.getItem(STORAGE_PREFIX + slot);
+        if (raw === null) {
+            return { success: false, reason: 'map_not_found' };
+        }
+
+        const result = parseMapText(raw);
+        return result.reason === 'malformed_json' ? { success: false, reason: 'corrupted_map' } : result;
+    }
+
+    /**
+     * List the saved maps by name
+     * @returns {Array<object>} { slot, name, size, savedAt }
+     */
+    listMaps() {
+        const maps = [];
+        for (let i = 0; i < this.storage.length; i++) {
+            const key = this.storage.key(i);
+            if (!key || !key.startsWith(STORAGE_PREFIX)) continue;
+
+            const slot = key.slice(STORAGE_PREFIX.length);
+            try {
+                const { name, size, savedAt } = JSON.parse(this.storage.getItem(key));
+                maps.push({ slot, name: name || slot, size, savedAt });
+            } catch (error) {
+                maps.push({ slot, name: slot, size: null, savedAt: null, corrupted: true });
+            }
+        }
+
+        return maps.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Download a map as a .json file
+     * @param {object} mapData - Map data from createMapData
+     */
+    exportToFile(mapData) {
+        const fileName = `colony-conquest-map-${(mapData.name || 'untitled').toLowerCase().replace(/[^a-z0-9]+/g, '-')}.json`;
+
+        const blob = new Blob([JSON.stringify(mapData, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+
+        console.log(`📤 Map exported to ${fileName}`);
+        return { success: true, fileName };
+    }
+}
@@ -3,7 +3,9 @@
  * Manages individual hexagonal territory properties and state
  */
 
-import { RESOURCE_TYPES } from '../utils/constants.js';
+import { GAME_CONFIG, RESOURCE_TYPES, TERRITORY_TYPES, TERRAIN_TYPES, TERRAIN_STATS, UNIT_STATS, UNIT_TYPES, BUILDING_STATS } from '../utils/constants.js';
+import { randomInt } from '../utils/math-utils.js';
+import { rng } from '../utils/random.js';
 
 export class Territory {
     constructor(q, r, s = null) {
@@ -16,6 +18,10 @@ export class Territory {
         this.owner = null; // null = neutral, 0+ = player ID
         this.resourceType = this.generateResourceType();
         this.resourceValue = this.generateResourceValue();
+        this.territoryType = TERRITORY_TYPES.RESOURCE_NODE;
+        this.secondaryResourceType = null; // Mixed zones only
+        this.secondaryResourceValue = 0;
+        this.terrain = TERRAIN_TYPES.PLAINS;
         this.isHomeBase = false;
         
         // Visual state
@@ -24,9 +30,11 @@ export class Territory {
         this.isTargeted = false;
         
         // Gameplay state
-        this.structures = []; // Future: buildings, defenses, etc.
-        this.unitCount = 0; // Number of units stationed
+        this.structures = []; // Buildings: { type, turnsLeft }, complete once turnsLeft reaches 0
+        this.units = {}; // Stationed garrison by unit type, e.g. { infantry: 2 }
+        this.movedUnits = {}; // Part of the garrison that has already moved this turn
         this.fortificationLevel = 0; // Defense bonus
+        this.influence = {}; // Built-up influence keyed by faction
         
         // History tracking
         this.turnClaimed = null;
@@ -47,7 +55,7 @@ export class Territory {
             [RESOURCE_TYPES.GOLD]: 10
         };
         
-        const random = Math.random() * 100;
+        const random = rng.next() * 100;
         let cumulative = 0;
         
         for (const [type, weight] of Object.entries(weights)) {
@@ -74,7 +82,7 @@ export class Territory {
         };
         
         const range = baseValues[this.resourceType] || { min: 1, max: 3 };
-        return Math.floor(Math.random() * (range.max - range.min + 1)) + range.min;
+        return randomInt(range.min, range.max);
     }
 
     /**
@@ -146,20 +154,144 @@ export class Territory {
         this.turnClaimed = 0;
     }
 
+    /**
+     * Total number of units stationed here
+     */
+    get unitCount() {
+        return Object.values(this.units).reduce((total, count) => total + count, 0);
+    }
+
+    /**
+     * Station units of a type in this territory
+     * @param {string} unitType - UNIT_TYPES value
+     * @param {number} count - Number of units
+     */
+    addUnits(unitType, count = 1) {
+        this.units[unitType] = (this.units[unitType] || 0) + count;
+    }
+
+    /**
+     * Remove units of a type, never dropping below zero
+     * @returns {number} Number of units actually removed
+     */
+    removeUnits(unitType, count = 1) {
+        const removed = Math.min(count, this.units[unitType] || 0);
+        this.units[unitType] = (this.units[unitType] || 0) - removed;
+        if (this.units[unitType] === 0) {
+            delete this.units[unitType];
+        }
+        // Units that already moved cannot outnumber those still here
+        if (this.movedUnits[unitType] > (this.units[unitType] || 0)) {
+            this.movedUnits[unitType] = this.units[unitType] || 0;
+        }
+        return removed;
+    }
+
+    /**
+     * Remove the whole garrison
+     */
+    clearUnits() {
+        this.units = {};
+        this.movedUnits = {};
+    }
+
+    /**
+     * Units of a type that can still move this turn
+     */
+    getMovableUnits(unitType) {
+        return Math.max(0, (this.units[unitType] || 0) - (this.movedUnits[unitType] || 0));
+    }
+
+    /**
+     * Sum a combat stat ('attack' or 'defense') over the garrison
+     * @param {string} stat - Stat name from UNIT_STATS
+     * @returns {number} Combined stat
+     */
+    getGarrisonStrength(stat) {
+        return Object.entries(this.units).reduce((total, [unitType, count]) =>
+            total + (UNIT_STATS[unitType] ? UNIT_STATS[unitType][stat] * count : 0), 0);
+    }
+
+    /**
+     * Check whether a building of the given type stands here or is under construction
+     */
+    hasStructure(buildingType) {
+        return this.structures.some(structure => structure.type === buildingType);
+    }
+
+    /**
+     * Buildings whose construction has finished
+     */
+    getCompletedStructures() {
+        return this.structures.filter(structure => structure.turnsLeft <= 0);
+    }
+
+    /**
+     * Sum a numeric building effect ('fortification' or 'vision') over the completed buildings
+     */
+    getStructureEffect(effect) {
+        return this.getCompletedStructures().reduce((total, structure) => {
+            const stats = BUILDING_STATS[structure.type];
+            return total + (stats && stats.effects[effect] ? stats.effects[effect] : 0);
+        }, 0);
+    }
+
+    /**
+     * Extra production from the completed buildings, keyed by resource type
+     */
+    getStructureProduction() {
+        const production = {};
+        this.getCompletedStructures().forEach(structure => {
+            const stats = BUILDING_STATS[structure.type];
+            Object.entries((stats && stats.effects.production) || {}).forEach(([resourceType, amount]) => {
+                production[resourceType] = (production[resourceType] || 0) + amount;
+            });
+        });
+        return production;
+    }
+
+    /**
+     * Resources the land itself yields: its resource, plus the second one of a mixed zone
+     * @returns {Array<object>} { resourceType, resourceValue }
+     */
+    getResourceYields() {
+        const yields = [{ resourceType: this.resourceType, resourceValue: this.resourceValue }];
+        if (this.territoryType === TERRITORY_TYPES.MIXED_ZONE && this.secondaryResourceType) {
+            yields.push({ resourceType: this.secondaryResourceType, resourceValue: this.secondaryResourceValue });
+        }
+        return yields;
+    }
+
+    /**
+     * Stats of the territory's terrain (see TERRAIN_STATS)
+     * @returns {object} Terrain stats
+     */
+    getTerrainStats() {
+        return TERRAIN_STATS[this.terrain] || TERRAIN_STATS[TERRAIN_TYPES.PLAINS];
+    }
+
+    /**
+     * Check whether units can enter the territory and factions can claim it
+     * @returns {boolean}
+     */
+    isPassable() {
+        return this.getTerrainStats().passable;
+    }
+
     /**
      * Get territory defense value
      * @returns {number} Total defense value
      */
     getDefenseValue() {
-        let defense = this.fortificationLevel;
+        let defense = this.fortificationLevel + this.getStructureEffect('fortification') + this.getTerrainStats().defenseBonus;
         
         // Home base bonus
         if (this.isHomeBase) {
             defense += 2;
         }
         
-        // Unit count bonus
-        defense += Math.floor(this.unitCount * 0.5);
+        // Garrison bonus
+        defense += Math.floor(this.getGarrisonStrength('defense') * GAME_CONFIG.UNITS.DEFENSE_FACTOR);
         
         return defense;
     }
@@ -176,6 +308,10 @@ export class Territory {
             owner: this.owner,
             resourceType: this.resourceType,
             resourceValue: this.resourceValue,
+            territoryType: this.territoryType,
+            secondaryResourceType: this.secondaryResourceType,
+            secondaryResourceValue: this.secondaryResourceValue,
+            terrain: this.terrain,
             isHomeBase: this.isHomeBase,
             isSelected: this.isSelected,
             isHighlighted: this.isHighlighted,
@@ -212,7 +348,9 @@ export class Territory {
         return {
             coordinates: `(${this.q}, ${this.r})`,
             owner: this.owner !== null ? `Player ${this.owner + 1}` : 'Neutral',
-            resource: `${this.resourceType} (${this.resourceValue})`,
+            resource: this.getResourceYields().map(output => `${output.resourceType} (${output.resourceValue})`).join(', '),
+            territoryType: this.territoryType,
+            terrain: this.getTerrainStats().name,
             defense: this.getDefenseValue(),
             claimCost: this.getClaimCost(),
             isHomeBase: this.isHomeBase,
@@ -233,9 +371,16 @@ export class Territory {
             resourceType: this.resourceType,
             resourceValue: this.resourceValue,
             isHomeBase: this.isHomeBase,
-            structures: this.structures,
-            unitCount: this.unitCount,
+            isHomeBaseFor: this.isHomeBaseFor,
+            territoryType: this.territoryType,
+            secondaryResourceType: this.secondaryResourceType,
+            secondaryResourceValue: this.secondaryResourceValue,
+            terrain: this.terrain,
+            structures: this.structures.map(structure => ({ ...structure })),
+            units: { ...this.units },
+            movedUnits: { ...this.movedUnits },
             fortificationLevel: this.fortificationLevel,
+            influence: { ...this.influence },
             turnClaimed: this.turnClaimed,
             previousOwner: this.previousOwner,
             timesContested: this.timesContested
@@ -254,9 +399,17 @@ export class Territory {
         territory.resourceType = data.resourceType;
         territory.resourceValue = data.resourceValue;
         territory.isHomeBase = data.isHomeBase;
-        territory.structures = data.structures || [];
-        territory.unitCount = data.unitCount || 0;
+        if (data.isHomeBaseFor !== undefined) territory.isHomeBaseFor = data.isHomeBaseFor;
+        if (data.territoryType !== undefined) territory.territoryType = data.territoryType;
+        territory.secondaryResourceType = data.secondaryResourceType || null;
+        territory.secondaryResourceValue = data.secondaryResourceValue || 0;
+        territory.terrain = data.terrain || TERRAIN_TYPES.PLAINS;
+        territory.structures = (data.structures || []).map(structure => ({ ...structure }));
+        // Saves made before unit types existed only stored a head count
+        territory.units = data.units ? { ...data.units } : (data.unitCount ? { [UNIT_TYPES.INFANTRY]: data.unitCount } : {});
+        territory.movedUnits = { ...(data.movedUnits || {}) };
         territory.fortificationLevel = data.fortificationLevel || 0;
+        territory.influence = { ...(data.influence || {}) };
         territory.turnClaimed = data.turnClaimed;
         territory.previousOwner = data.previousOwner;
         territory.timesContested = data.timesContested || 0;
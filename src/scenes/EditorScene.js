@@ -0,0 +1,582 @@
+/**
+ * Colony Conquest - Editor Scene
+ * Map editor: paint terrain, resources, owners, home bases and strategic points onto hexes,
+ * keep the result as a JSON map and start a game on it
+ */
+
+import { GAME_CONFIG, COLORS, OWNERS, RESOURCE_TYPES, TERRITORY_TYPES, TERRAIN_TYPES, TERRAIN_STATS } from '../utils/constants.js';
+import { hexToPixel } from '../utils/math-utils.js';
+import { rng, createSeed } from '../utils/random.js';
+import { getResourceDefinition } from '../utils/resource-registry.js';
+import { GameEventBus } from '../core/GameEventBus.js';
+import { GameState } from '../core/game-state.js';
+import { TerritoryManager } from '../core/TerritoryManager.js';
+import { HexGrid } from '../map/hex-grid.js';
+import { MapGenerator } from '../map/map-generator.js';
+import { MapStorage, MAP_ERROR_MESSAGES, createMapData, getMapTerritoryConfigs, parseMapText, validateMapFactions } from '../map/map-storage.js';
+
+const MAP_AREA = { x: 830, y: 400, width: 680, height: 640 };
+const RESOURCE_VALUES = [1, 2, 3, 4, 5];
+const STATUS_COLORS = { info: '#ecf0f1', success: '#2ecc71', error: '#e74c3c' };
+
+/**
+ * EditorScene class - Brush rows on the left, the map being painted on the right
+ */
+export class EditorScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'EditorScene' });
+        this.launchOptions = {};
+        this.mapStorage = null;
+        this.savedMaps = [];
+        this.mapName = 'Untitled map';
+        this.brush = null;
+        this.tool = 'terrain';
+        this.rowTexts = {};
+        this.gameState = null;
+        this.hexGrid = null;
+        this.territoryManager = null;
+        this.mapGraphics = null;
+        this.hexLabels = [];
+        this.lastPaintedKey = null;
+    }
+
+    /**
+     * Initialize the scene
+     * @param {object} data - Launch options, passed on to the game started from the editor
+     */
+    init(data) {
+        this.launchOptions = data || {};
+        this.mapStorage = new MapStorage();
+        this.savedMaps = this.mapStorage.listMaps();
+        this.tool = 'terrain';
+        this.rowTexts = {};
+        this.hexLabels = [];
+        this.brush = {
+            terrain: TERRAIN_TYPES.FOREST,
+            resourceType: RESOURCE_TYPES.FOOD,
+            resourceValue: 2,
+            owner: OWNERS.PLAYER,
+            homeBase: OWNERS.PLAYER,
+            territoryType: TERRITORY_TYPES.STRATEGIC_POINT,
+            mapSize: GAME_CONFIG.GRID_SIZE,
+            savedMap: this.savedMaps.length > 0 ? this.savedMaps[0].slot : null
+        };
+    }
+
+    /**
+     * Create the editor screen
+     */
+    create() {
+        // The HTML game UI (resource bar, end turn button) has no meaning here
+        this.setGameUiVisible(false);
+        this.events.once('shutdown', () => this.setGameUiVisible(true));
+
+        this.add.text(250, 50, 'Map Editor', {
+            font: 'bold 36px Arial',
+            fill: '#ecf0f1'
+        }).setOrigin(0.5);
+
+        // Rows with a tool paint with their value; the last two only pick a size or a saved map
+        const factions = this.getFactionChoices();
+        const rows = [
+            { key: 'terrain', tool: 'terrain', label: 'Terrain', format: value => TERRAIN_STATS[value].name,
+                choices: () => Object.values(TERRAIN_TYPES) },
+            { key: 'resourceType', tool: 'resource', label: 'Resource', format: value => (value ? getResourceDefinition(value).name : 'None'),
+                choices: () => [null, ...this.getLandResources()] },
+            { key: 'resourceValue', tool: 'resource', label: 'Value', format: value => `${value}`, choices: () => RESOURCE_VALUES },
+            { key: 'owner', tool: 'owner', label: 'Owner', format: value => this.getFactionName(value),
+                choices: () => [OWNERS.NEUTRAL, ...factions] },
+            { key: 'homeBase', tool: 'homeBase', label: 'Home base', format: value => (value ? this.getFactionName(value) : 'Remove'),
+                choices: () => [...factions, null] },
+            { key: 'territoryType', tool: 'territoryType', label: 'Type', format: value => this.getTypeName(value),
+                choices: () => [TERRITORY_TYPES.RESOURCE_NODE, TERRITORY_TYPES.STRATEGIC_POINT] },
+            { key: 'mapSize', label: 'New map', format: value => `${value} hexes across`, choices: () => GAME_CONFIG.MAP_SETUP.SIZES },
+            { key: 'savedMap', label: 'Saved map', format: value => this.getSavedMapName(value),
+                choices: () => this.savedMaps.map(map => map.slot) }
+        ];
+        rows.forEach((row, index) => this.createBrushRow(row, 110 + index * 50));
+
+        this.problemText = this.add.text(60, 515, '', { font: 'bold 16px Arial', fill: '#f39c12', wordWrap: { width: 400 } });
+        this.statusText = this.add.text(60, 545, '', { font: '16px Arial', fill: STATUS_COLORS.info, wordWrap: { width: 400 } });
+
+        const buttons = [
+            [
+                { label: 'New', callback: () => this.newBlankMap() },
+                { label: 'Generate', callback: () => this.newGeneratedMap() },
+                { label: 'Import', callback: () => this.importFromFile() }
+            ],
+            [
+                { label: 'Save', callback: () => this.saveMap() },
+                { label: 'Load', callback: () => this.loadSavedMap() },
+                { label: 'Export', callback: () => this.exportMap() }
+            ],
+            [
+                { label: 'Back', color: '#7f8c8d', hoverColor: '#95a5a6', callback: () => this.scene.start('SetupScene', this.launchOptions) },
+                { label: 'Play', color: '#27ae60', hoverColor: '#2ecc71', callback: () => this.playMap() }
+            ]
+        ];
+        buttons.forEach((buttonRow, rowIndex) => buttonRow.forEach((button, index) => {
+            this.createButton(110 + index * 140, 620 + rowIndex * 58, button.label,
+                button.color || '#2980b9', button.hoverColor || '#3498db', button.callback);
+        }));
+
+        this.mapNameText = this.add.text(MAP_AREA.x, 40, '', { font: 'bold 22px Arial', fill: '#ecf0f1' }).setOrigin(0.5);
+        this.add.text(MAP_AREA.x, GAME_CONFIG.CANVAS_HEIGHT - 25, 'Click or drag on the map to paint with the highlighted row', {
+            font: 'italic 16px Arial',
+            fill: '#bdc3c7'
+        }).setOrigin(0.5);
+        this.mapGraphics = this.add.graphics();
+
+        // Paint on click, and on every new hex while the pointer is held down
+        this.input.on('pointerdown', pointer => {
+            this.lastPaintedKey = null;
+            this.paintAt(pointer);
+        });
+        this.input.on('pointermove', pointer => {
+            if (pointer.isDown) {
+                this.paintAt(pointer);
+            }
+        });
+
+        this.newBlankMap();
+    }
+
+    /**
+     * One brush row: a label that selects its tool, its current value and arrows to step through the choices
+     */
+    createBrushRow(row, y) {
+        const label = this.add.text(60, y, row.label, { font: 'bold 20px Arial', fill: '#3498db' }).setOrigin(0, 0.5);
+        if (row.tool) {
+            label.setInteractive({ useHandCursor: true });
+            label.on('pointerdown', () => this.selectTool(row.tool));
+        }
+        this.rowTexts[row.key] = { row, label, text: this.add.text(330, y, '', { font: '20px Arial', fill: '#ecf0f1' }).setOrigin(0.5) };
+
+        [{ label: '◀', x: 220, step: -1 }, { label: '▶', x: 440, step: 1 }].forEach(arrow => {
+            const button = this.add.text(arrow.x, y, arrow.label, {
+                font: 'bold 22px Arial',
+                fill: '#ecf0f1'
+            }).setOrigin(0.5).setInteractive({ useHandCursor: true });
+            button.on('pointerover', () => button.setColor('#f1c40f'));
+            button.on('pointerout', () => button.setColor('#ecf0f1'));
+            button.on('pointerdown', () => this.stepBrush(row, arrow.step));
+        });
+    }
+
+    /**
+     * Move a brush row to its previous or next choice; changing a brush also picks its tool
+     */
+    stepBrush(row, step) {
+        const choices = row.choices();
+        if (choices.length === 0) return;
+
+        const index = choices.indexOf(this.brush[row.key]);
+        this.brush[row.key] = choices[(index + step + choices.length) % choices.length];
+        if (row.tool) {
+            this.tool = row.tool;
+        }
+        this.refreshRows();
+    }
+
+    /**
+     * Paint with the brush of another row
+     */
+    selectTool(tool) {
+        this.tool = tool;
+        this.refreshRows();
+    }
+
+    /**
+     * Show the brush values, with the rows of the active tool highlighted
+     */
+    refreshRows() {
+        Object.values(this.rowTexts).forEach(({ row, label, text }) => {
+            text.setText(row.format(this.brush[row.key]));
+            label.setColor(row.tool && row.tool === this.tool ? '#f1c40f' : '#3498db');
+        });
+    }
+
+    /**
+     * Resources a territory can produce, in terrain order
+     */
+    getLandResources() {
+        const resources = [];
+        Object.values(TERRAIN_STATS).forEach(terrain => {
+            terrain.resources.forEach(resourceType => {
+                if (!resources.includes(resourceType)) {
+                    resources.push(resourceType);
+                }
+            });
+        });
+        return resources;
+    }
+
+    /**
+     * The player and the AI factions a map can hold, in turn order
+     */
+    getFactionChoices() {
+        return [OWNERS.PLAYER, ...Array.from({ length: GAME_CONFIG.MAX_AI_FACTIONS }, (_, i) => OWNERS[`AI_${i + 1}`])];
+    }
+
+    getFactionName(faction) {
+        if (!faction) return 'Neutral';
+        return faction === OWNERS.PLAYER ? 'You' : faction.toUpperCase();
+    }
+
+    getTypeName(territoryType) {
+        return territoryType === TERRITORY_TYPES.STRATEGIC_POINT ? 'Strategic point' : 'Normal';
+    }
+
+    getSavedMapName(slot) {
+        const map = this.savedMaps.find(saved => saved.slot === slot);
+        return map ? map.name : 'No saved maps';
+    }
+
+    /**
+     * Replace the map being edited with a new grid
+     * @param {number} size - Grid size (hexes across)
+     * @param {function} populate - Fills the new grid's territories through this.territoryManager
+     */
+    resetMap(size, populate) {
+        const radius = Math.floor(size / 2);
+        const hexSize = Math.floor(Math.min(
+            MAP_AREA.width / (Math.sqrt(3) * (2 * radius + 1)),
+            MAP_AREA.height / (3 * radius + 2)
+        ));
+
+        // A game of its own holds the territories, the way the setup screen's preview does
+        const gameEventBus = new GameEventBus();
+        this.gameState = new GameState(gameEventBus);
+        this.hexGrid = new HexGrid(size, hexSize);
+        this.gameState.setHexGrid(this.hexGrid);
+        this.territoryManager = new TerritoryManager(gameEventBus, this.gameState, this.hexGrid);
+        populate();
+
+        this.brush.mapSize = size;
+        this.refreshRows();
+        this.redraw();
+    }
+
+    /**
+     * Start over on empty plains of the chosen size
+     */
+    newBlankMap() {
+        this.mapName = 'Untitled map';
+        this.resetMap(this.brush.mapSize, () => {
+            this.territoryManager.initializeTerritories(getMapTerritoryConfigs({ territories: [] }, this.hexGrid));
+        });
+        this.setStatus(`New ${this.brush.mapSize}-hex map`);
+    }
+
+    /**
+     * Start from a generated map of the chosen size, with the default number of players
+     */
+    newGeneratedMap() {
+        this.mapName = 'Generated map';
+        this.resetMap(this.brush.mapSize, () => {
+            rng.setSeed(createSeed());
+            new MapGenerator(this.hexGrid, this.territoryManager)
+                .generateBalancedMap(GAME_CONFIG.DEFAULT_AI_FACTIONS + 1, this.hexGrid.size);
+        });
+        this.setStatus('Generated a map to start from');
+    }
+
+    /**
+     * Show a map from the JSON map format
+     * @param {object} mapData - Valid map data
+     */
+    openMapData(mapData) {
+        this.mapName = mapData.name || 'Untitled map';
+        this.resetMap(mapData.size, () => {
+            this.territoryManager.initializeTerritories(getMapTerritoryConfigs(mapData, this.hexGrid));
+        });
+    }
+
+    /**
+     * The map being edited in the JSON map format
+     */
+    getMapData() {
+        return createMapData(this.mapName, this.hexGrid.size, this.territoryManager.getAllTerritories());
+    }
+
+    /**
+     * Paint the hex under the pointer with the active tool
+     */
+    paintAt(pointer) {
+        const hexData = this.hexGrid.getHexAtPixel(pointer.worldX - MAP_AREA.x, pointer.worldY - MAP_AREA.y);
+        const territory = hexData ? this.gameState.getTerritory(hexData.key) : null;
+        if (!territory || territory.id === this.lastPaintedKey) return;
+
+        this.lastPaintedKey = territory.id;
+        if (this.paintTerritory(territory)) {
+            this.redraw();
+        }
+    }
+
+    /**
+     * Apply the active tool's brush to a territory
+     * @returns {boolean} Whether the brush applies to the territory
+     */
+    paintTerritory(territory) {
+        const brush = this.brush;
+
+        if (this.tool === 'terrain') {
+            territory.terrain = brush.terrain;
+            // Nothing lives on impassable terrain
+            if (!territory.isPassable()) {
+                this.clearTerritory(territory);
+            }
+            return true;
+        }
+        if (this.tool === 'homeBase') {
+            if (!brush.homeBase) {
+                territory.isHomeBase = false;
+                return true;
+            }
+            // A faction has one home base, so placing it moves it; it sits on plains without resources, like generated ones
+            this.territoryManager.getTerritoriesByOwner(brush.homeBase).forEach(home => { home.isHomeBase = false; });
+            this.clearTerritory(territory);
+            if (!territory.isPassable()) {
+                territory.terrain = TERRAIN_TYPES.PLAINS;
+            }
+            territory.owner = brush.homeBase;
+            territory.isHomeBase = true;
+            return true;
+        }
+
+        // Resources, owners and territory types only belong on passable land
+        if (!territory.isPassable()) {
+            this.setStatus(`${territory.getTerrainStats().name} cannot hold resources or owners`, 'error');
+            return false;
+        }
+        if (this.tool === 'resource') {
+            territory.resourceType = brush.resourceType || RESOURCE_TYPES.NONE;
+            territory.resourceValue = brush.resourceType ? brush.resourceValue : 0;
+        } else if (this.tool === 'owner') {
+            territory.owner = brush.owner;
+            territory.isHomeBase = false;
+        } else if (this.tool === 'territoryType') {
+            territory.territoryType = brush.territoryType;
+            territory.secondaryResourceType = null;
+            territory.secondaryResourceValue = 0;
+        }
+        return true;
+    }
+
+    /**
+     * Take everything off a territory but its terrain
+     */
+    clearTerritory(territory) {
+        Object.assign(territory, {
+            owner: OWNERS.NEUTRAL,
+            isHomeBase: false,
+            resourceType: RESOURCE_TYPES.NONE,
+            resourceValue: 0,
+            territoryType: TERRITORY_TYPES.RESOURCE_NODE,
+            secondaryResourceType: null,
+            secondaryResourceValue: 0
+        });
+    }
+
+    /**
+     * Draw the map and say whether a game can be played on it
+     */
+    redraw() {
+        this.mapGraphics.clear();
+        this.hexLabels.forEach(label => label.destroy());
+        this.hexLabels = [];
+
+        this.hexGrid.draw(this.mapGraphics, MAP_AREA.x, MAP_AREA.y, hexData => {
+            const territory = this.gameState.getTerritory(hexData.key);
+            const label = this.getHexLabel(territory);
+            if (label) {
+                const pixel = hexToPixel(hexData.coord, this.hexGrid.hexSize);
+                this.hexLabels.push(this.add.text(MAP_AREA.x + pixel.x, MAP_AREA.y + pixel.y, label, {
+                    font: `bold ${Math.max(9, Math.floor(this.hexGrid.hexSize * 0.4))}px Arial`,
+                    fill: '#ffffff',
+                    stroke: '#000000',
+                    strokeThickness: 3
+                }).setOrigin(0.5));
+            }
+            return this.getHexStyle(territory);
+        });
+
+        this.mapNameText.setText(`${this.mapName} · ${this.hexGrid.size} hexes across`);
+        const problem = validateMapFactions(this.getMapData());
+        this.problemText.setText(problem ? this.describeMapError(problem) : 'Ready to play');
+        this.problemText.setColor(problem ? '#f39c12' : STATUS_COLORS.success);
+    }
+
+    /**
+     * Colors of a hex: home bases in their owner's color, other hexes in their terrain's color,
+     * with owned ones outlined in their owner's color
+     */
+    getHexStyle(territory) {
+        const ownerColor = territory.owner ? COLORS.OWNERSHIP[territory.owner] : undefined;
+        if (territory.isHomeBase && ownerColor !== undefined) {
+            return { fill: ownerColor, border: COLORS.HEX_BORDER };
+        }
+        if (ownerColor !== undefined) {
+            return { fill: territory.getTerrainStats().color, border: ownerColor, borderWidth: 3 };
+        }
+        return { fill: territory.getTerrainStats().color, border: COLORS.HEX_BORDER };
+    }
+
+    /**
+     * Short text on a hex: ⌂ for home bases, ★ for strategic points, and resources as initial and value (e.g. F3)
+     */
+    getHexLabel(territory) {
+        if (territory.isHomeBase) return '⌂';
+
+        const label = territory.getResourceYields()
+            .filter(output => getResourceDefinition(output.resourceType) && output.resourceValue > 0)
+            .map(output => `${getResourceDefinition(output.resourceType).name.charAt(0)}${output.resourceValue}`)
+            .join('+');
+        return territory.territoryType === TERRITORY_TYPES.STRATEGIC_POINT ? `★${label}` : label;
+    }
+
+    /**
+     * Save the map under a name, replacing any saved map with that name
+     */
+    saveMap() {
+        const name = window.prompt('Save map as', this.mapName);
+        if (name === null) return;
+
+        this.mapName = name.trim();
+        const result = this.mapStorage.save(this.getMapData());
+        if (!result.success) {
+            this.setStatus(`Could not save the map: ${this.describeMapError(result.reason)}`, 'error');
+            return;
+        }
+
+        this.savedMaps = this.mapStorage.listMaps();
+        this.brush.savedMap = result.slot;
+        this.refreshRows();
+        this.redraw();
+        this.setStatus(`Saved '${this.mapName}'`, 'success');
+    }
+
+    /**
+     * Open the saved map picked in the Saved map row
+     */
+    loadSavedMap() {
+        if (!this.brush.savedMap) {
+            this.setStatus('There are no saved maps yet', 'error');
+            return;
+        }
+
+        const result = this.mapStorage.load(this.brush.savedMap);
+        if (!result.success) {
+            this.setStatus(`Could not load the map: ${this.describeMapError(result.reason)}`, 'error');
+            return;
+        }
+        this.openMapData(result.map);
+        this.setStatus(`Loaded '${this.mapName}'`, 'success');
+    }
+
+    /**
+     * Download the map as a .json file
+     */
+    exportMap() {
+        const result = this.mapStorage.exportToFile(this.getMapData());
+        this.setStatus(`Exported ${result.fileName}`, 'success');
+    }
+
+    /**
+     * Let the player pick a map file and open it
+     */
+    importFromFile() {
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.json,application/json';
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files[0]) {
+                this.importMap(fileInput.files[0]);
+            }
+        });
+        fileInput.click();
+    }
+
+    /**
+     * Open a map from an exported map file
+     * @param {File} file - The chosen file
+     * @returns {Promise<boolean>} True if the map was opened
+     */
+    async importMap(file) {
+        let text;
+        try {
+            text = await file.text();
+        } catch (error) {
+            this.setStatus(`Could not read ${file.name}`, 'error');
+            return false;
+        }
+
+        const result = parseMapText(text);
+        if (!result.success) {
+            this.setStatus(`Could not import ${file.name}: ${this.describeMapError(result.reason)}`, 'error');
+            return false;
+        }
+        this.openMapData(result.map);
+        this.setStatus(`Imported ${file.name}`, 'success');
+        return true;
+    }
+
+    /**
+     * Start a game on the map as it is; GameScene uses it instead of generating one
+     */
+    playMap() {
+        const mapData = this.getMapData();
+        const problem = validateMapFactions(mapData);
+        if (problem) {
+            this.setStatus(`Cannot play this map: ${this.describeMapError(problem)}`, 'error');
+            return;
+        }
+
+        const { seed, loadSlot, ...launchOptions } = this.launchOptions;
+        this.scene.start('GameScene', { ...launchOptions, authoredMap: mapData });
+    }
+
+    /**
+     * Show a message under the brush rows
+     * @param {string} message - Message text
+     * @param {string} [type='info'] - 'info', 'success' or 'error'
+     */
+    setStatus(message, type = 'info') {
+        this.statusText.setText(message);
+        this.statusText.setColor(STATUS_COLORS[type]);
+    }
+
+    /**
+     * Turn a map failure reason into a readable message
+     */
+    describeMapError(reason) {
+        return MAP_ERROR_MESSAGES[reason] || reason.replace(/_/g, ' ');
+    }
+
+    /**
+     * Create a simple clickable text button
+     */
+    createButton(x, y, label, color, hoverColor, callback) {
+        const button = this.add.text(x, y, label, {
+            font: 'bold 20px Arial',
+            fill: '#ffffff',
+            backgroundColor: color,
+            padding: { x: 16, y: 8 }
+        }).setOrigin(0.5).setInteractive({ useHandCursor: true });
+
+        button.on('pointerover', () => button.setBackgroundColor(hoverColor));
+        button.on('pointerout', () => button.setBackgroundColor(color));
+        button.on('pointerdown', callback);
+        return button;
+    }
+
+    /**
+     * Show or hide the HTML game UI layered over the canvas
+     */
+    setGameUiVisible(visible) {
+        const overlay = document.getElementById('ui-overlay');
+        if (overlay) {
+            overlay.style.display = visible ? '' : 'none';
+        }
+    }
+}
@@ -0,0 +1,130 @@
+/**
+ * Colony Conquest - Game Over Scene
+ * Shows the winner, the winning condition and end-of-game statistics
+ */
+
+import { GAME_CONFIG, OWNERS } from '../utils/constants.js';
+
+/**
+ * GameOverScene class - End-of-game summary with a "play again" option
+ */
+export class GameOverScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'GameOverScene' });
+        this.summary = null;
+    }
+
+    /**
+     * Initialize the scene
+     * @param {object} data - Game summary built by GameScene.buildGameSummary
+     */
+    init(data) {
+        this.summary = data || {};
+    }
+
+    /**
+     * Create the summary screen
+     */
+    create() {
+        // The HTML game UI (resource bar, end turn button) has no meaning here
+        this.setGameUiVisible(false);
+        this.events.once('shutdown', () => this.setGameUiVisible(true));
+
+        const centerX = this.cameras.main.width / 2;
+        const won = this.summary.winner === OWNERS.PLAYER;
+
+        this.add.text(centerX, 120, won ? 'Victory!' : 'Defeat', {
+            font: 'bold 56px Arial',
+            fill: won ? '#f1c40f' : '#e74c3c'
+        }).setOrigin(0.5);
+
+        this.add.text(centerX, 190, this.formatResult(), {
+            font: '22px Arial',
+            fill: '#ecf0f1'
+        }).setOrigin(0.5);
+
+        this.createStatisticsTable(centerX, 260);
+
+        this.createButton(centerX, GAME_CONFIG.CANVAS_HEIGHT - 120, 'Play Again', () => this.playAgain());
+    }
+
+    /**
+     * Describe who won, how and when
+     */
+    formatResult() {
+        const { winner, condition, turnsPlayed } = this.summary;
+        const conditionText = (condition || 'unknown').replace(/_/g, ' ');
+        return `${winner} wins by ${conditionText} after ${turnsPlayed} turns`;
+    }
+
+    /**
+     * Draw one row of statistics per faction
+     */
+    createStatisticsTable(centerX, startY) {
+        const columns = [
+            { label: 'Faction', key: 'id' },
+            { label: 'Territories', key: 'territories' },
+            { label: 'Peak Territories', key: 'peakTerritories' },
+            { label: 'Collected', key: 'resourcesCollected' },
+            { label: 'Spent', key: 'resourcesSpent' }
+        ];
+        const columnWidth = 170;
+        const left = centerX - (columns.length * columnWidth) / 2 + columnWidth / 2;
+        const rowHeight = 36;
+
+        columns.forEach((column, index) => {
+            this.add.text(left + index * columnWidth, startY, column.label, {
+                font: 'bold 18px Arial',
+                fill: '#3498db'
+            }).setOrigin(0.5);
+        });
+
+        (this.summary.factions || []).forEach((faction, row) => {
+            columns.forEach((column, index) => {
+                this.add.text(left + index * columnWidth, startY + (row + 1) * rowHeight, String(faction[column.key]), {
+                    font: '18px Arial',
+                    fill: faction.id === this.summary.winner ? '#f1c40f' : '#ecf0f1'
+                }).setOrigin(0.5);
+            });
+        });
+    }
+
+    /**
+     * Create a simple clickable text button
+     */
+    createButton(x, y, label, callback) {
+        const button = this.add.text(x, y, label, {
+            font: 'bold 26px Arial',
+            fill: '#ffffff',
+            backgroundColor: '#27ae60',
+            padding: { x: 24, y: 12 }
+        }).setOrigin(0.5).setInteractive({ useHandCursor: true });
+
+        button.on('pointerover', () => button.setBackgroundColor('#2ecc71'));
+        button.on('pointerout', () => button.setBackgroundColor('#27ae60'));
+        button.on('pointerdown', callback);
+        return button;
+    }
+
+    /**
+     * Back to the setup screen, starting from the same settings but a fresh map; maps from the editor are replayed
+     */
+    playAgain() {
+        const { seed, loadSlot, authoredMap, ...settings } = this.summary.settings || {};
+        if (authoredMap) {
+            this.scene.start('GameScene', { ...settings, authoredMap });
+            return;
+        }
+        this.scene.start('SetupScene', settings);
+    }
+
+    /**
+     * Show or hide the HTML game UI layered over the canvas
+     */
+    setGameUiVisible(visible) {
+        const overlay = document.getElementById('ui-overlay');
+        if (overlay) {
+            overlay.style.display = visible ? '' : 'none';
+        }
+    }
+}
@@ -4,8 +4,10 @@
  */
 
 import { HexGrid } from '../map/hex-grid.js';
-import { GAME_CONFIG, COLORS, OWNERS, RESOURCE_TYPES } from '../utils/constants.js';
-import { hexToPixel, pixelToHex } from '../utils/math-utils.js';
+import { GAME_CONFIG, COLORS, OWNERS, RESOURCES, TERRITORY_TYPES, TERRAIN_STATS, MAP_PRESETS, AI_PERSONALITIES, GAME_STATES, TURN_PHASES, TECHNOLOGIES, TREATIES, BUILDING_STATS } from '../utils/constants.js';
+import { hexToPixel, pixelToHex, randomChoice, clamp } from '../utils/math-utils.js';
+import { rng, createSeed } from '../utils/random.js';
+import { getResourceDefinition } from '../utils/resource-registry.js';
 import { GameState } from '../core/game-state.js';
 import { UIRenderer } from '../ui/renderer.js';
 import InputHandler from '../ui/input-handler.js';
@@ -15,7 +17,20 @@ import { NotificationManager } from '../ui/notification.js';
 import { Territory } from '../map/territory.js'; // Import the Territory class
 import { TerritoryManager } from '../core/TerritoryManager.js';
 import { MapGenerator } from '../map/map-generator.js';
+import { getMapFactions, getMapTerritoryConfigs, validateMapData, validateMapFactions } from '../map/map-storage.js';
 import { GameEventBus } from '../core/GameEventBus.js';
+import { AIPlayer } from '../ai/ai-player.js';
+import { VictoryManager } from '../core/victory-manager.js';
+import { CombatManager, COMBAT_RESULTS } from '../core/combat-manager.js';
+import { UnitManager } from '../core/unit-manager.js';
+import { ResearchManager } from '../core/research-manager.js';
+import { WorkerManager } from '../core/worker-manager.js';
+import { BuildingManager } from '../core/building-manager.js';
+import { InfluenceManager } from '../core/influence-manager.js';
+import { RandomEventManager } from '../core/random-event-manager.js';
+import { DiplomacyManager } from '../core/diplomacy-manager.js';
+import { TradeManager } from '../core/trade-manager.js';
+import { SaveManager, SAVE_ERROR_MESSAGES } from '../core/save-manager.js';
 
 /**
  * GameScene class - Main gameplay scene for Phaser
@@ -25,6 +40,7 @@ export class GameScene extends Phaser.Scene {
         super({ key: 'GameScene' });
         this.hexGrid = null;
         this.hexGraphics = null;
+        this.overlayGraphics = null;
         this.gameState = null;
         this.resourceManager = null;
         this.turnManager = null;
@@ -33,14 +49,63 @@ export class GameScene extends Phaser.Scene {
         this.notificationManager = null;
         this.territoryManager = null;
         this.mapGenerator = null;
+        this.authoredMap = null; // Map from the map editor, played instead of a generated one
         this.gameEventBus = null;
+        this.aiPlayers = []; // One AIPlayer per AI faction
+        this.victoryManager = null;
+        this.saveManager = null;
+        this.combatManager = null;
+        this.unitManager = null;
+        this.researchManager = null;
+        this.workerManager = null;
+        this.buildingManager = null;
+        this.influenceManager = null;
+        this.randomEventManager = null;
+        this.diplomacyManager = null;
+        this.tradeManager = null;
+        this.movePlan = null; // Unit move being planned: { fromTerritoryId, unitType, count, toTerritoryId, route, valid }
+        this.showInfluenceOverlay = false; // Tint the map by each territory's dominant influence
     }
 
     /**
      * Initialize the scene
+     * @param {object} data - Launch options, e.g. { difficulty: 'HARD', aiCount: 2, aiPersonalities: ['WARLORD', 'SETTLER'], seed: 1234, loadSlot: 'autosave' }
+     *                        (aiPersonality still sets the first AI's personality). Map options from the setup screen:
+     *                        { mapSize: 9, mapPreset: 'ISLANDS', resourceRichness: 1.5, strategicDensity: 2 }, or a map from
+     *                        the map editor: { authoredMap }, which sets the map size and the AI factions
      */
     init(data) {
         this.sceneData = data || {};
+        this.difficulty = this.sceneData.difficulty || GAME_CONFIG.DEFAULT_AI_DIFFICULTY;
+        this.aiCount = Math.min(Math.max(Math.floor(this.sceneData.aiCount) || GAME_CONFIG.DEFAULT_AI_FACTIONS, 1), GAME_CONFIG.MAX_AI_FACTIONS);
+        // The same seed always produces the same map and random event rolls
+        this.seed = this.sceneData.seed !== undefined ? this.sceneData.seed : createSeed();
+
+        // The preset supplies any map option the setup screen did not set
+        this.mapPreset = MAP_PRESETS[this.sceneData.mapPreset] ? this.sceneData.mapPreset : GAME_CONFIG.MAP_SETUP.DEFAULT_PRESET;
+        const preset = MAP_PRESETS[this.mapPreset];
+        this.mapOptions = {
+            resourceRichness: this.sceneData.resourceRichness !== undefined ? this.sceneData.resourceRichness : preset.resourceRichness,
+            strategicDensity: this.sceneData.strategicDensity !== undefined ? this.sceneData.strategicDensity : preset.strategicDensity,
+            islands: preset.islands
+        };
+        const sizes = GAME_CONFIG.MAP_SETUP.SIZES;
+        this.mapSize = clamp(Math.floor(this.sceneData.mapSize) || GAME_CONFIG.GRID_SIZE,
+            Math.max(sizes[0], preset.minMapSize || 0), sizes[sizes.length - 1]);
+
+        // A hand-authored map is played as drawn: one faction per home base, no map generation
+        this.authoredMap = null;
+        const authoredMap = this.sceneData.authoredMap;
+        if (authoredMap) {
+            const invalidReason = validateMapData(authoredMap) || validateMapFactions(authoredMap);
+            if (invalidReason) {
+                console.warn(`⚠️ Authored map cannot be played (${invalidReason}); generating a map instead`);
+            } else {
+                this.authoredMap = authoredMap;
+                this.aiCount = getMapFactions(authoredMap).length - 1;
+                this.mapSize = authoredMap.size;
+            }
+        }
     }
 
     /**
@@ -80,21 +145,15 @@ export class GameScene extends Phaser.Scene {
         });
         
         // Load UI assets
-        // Resource icons
-        this.load.image('rss_info_gold', 'assets/images/RSS_Info_Gold.png');
-        this.load.image('rss_info_wood', 'assets/images/RSS_Info_Wood.png');
-        this.load.image('rss_info_metal', 'assets/images/RSS_Info_Metal.png'); // Corresponds to IRON
-        this.load.image('rss_info_food', 'assets/images/RSS_Info_Food.png');
-        this.load.image('rss_info_stone', 'assets/images/RSS_Info_Stone.png'); // New icon for STONE
-
-        // Define a mapping for resource types to icon keys
-        this.resourceIconKeys = {
-            [RESOURCE_TYPES.GOLD]: 'rss_info_gold',
-            [RESOURCE_TYPES.WOOD]: 'rss_info_wood',
-            [RESOURCE_TYPES.IRON]: 'rss_info_metal', // Assuming 'metal' icon is for IRON
-            [RESOURCE_TYPES.FOOD]: 'rss_info_food',
-            [RESOURCE_TYPES.STONE]: 'rss_info_stone'
-        };
+        // Resource icons, as listed in the resource registry
+        Object.values(RESOURCES).forEach(resource => {
+            this.load.image(resource.icon, resource.iconPath);
+        });
+
+        // Terrain tiles
+        Object.values(TERRAIN_STATS).forEach(terrain => {
+            this.load.image(terrain.tile, terrain.tilePath);
+        });
         
         // Button assets
         this.load.image('end_turn_button', 'assets/images/endTurn_02.png');
@@ -108,15 +167,21 @@ export class GameScene extends Phaser.Scene {
      * Create the game scene
      */
     create() {
+        // Seed before anything draws a random number (AI personality, map generation)
+        rng.setSeed(this.seed);
+        console.log(`🎲 Game seed: ${this.seed}`);
+
         // Initialize GameEventBus first
         this.gameEventBus = new GameEventBus();
 
-        // Initialize GameState
+        // Initialize GameState with the human player and the AI factions (ai_1, ai_2, ...) in turn order
         this.gameState = new GameState(this.gameEventBus);
+        this.gameState.setFactions([OWNERS.PLAYER, ...Array.from({ length: this.aiCount }, (_, i) => OWNERS[`AI_${i + 1}`])]);
         
         // Initialize HexGrid
-        this.hexGrid = new HexGrid(GAME_CONFIG.GRID_SIZE);
+        this.hexGrid = new HexGrid(this.mapSize);
         this.gameState.setHexGrid(this.hexGrid); 
+        this.fitCameraToMap();
 
         // Initialize TerritoryManager
         // It needs the event bus for broadcasting, game state for context, and hexGrid for validation
@@ -126,18 +191,84 @@ export class GameScene extends Phaser.Scene {
         // Initialize ResourceManager
         this.resourceManager = new ResourceManager(this.gameState, this.gameEventBus, this.territoryManager);
         this.gameState.setResourceManager(this.resourceManager);
+
+        // Initialize CombatManager
+        this.combatManager = new CombatManager(this.gameState, this.gameEventBus, this.territoryManager, this.hexGrid);
+        this.gameState.setCombatManager(this.combatManager);
+
+        // Initialize UnitManager
+        this.unitManager = new UnitManager(this.gameState, this.gameEventBus);
+        this.gameState.setUnitManager(this.unitManager);
+
+        // Initialize WorkerManager
+        this.workerManager = new WorkerManager(this.gameState, this.gameEventBus);
+        this.gameState.setWorkerManager(this.workerManager);
+
+        // Initialize BuildingManager
+        this.buildingManager = new BuildingManager(this.gameState, this.gameEventBus);
+        this.gameState.setBuildingManager(this.buildingManager);
+
+        // Initialize InfluenceManager
+        this.influenceManager = new InfluenceManager(this.gameState, this.gameEventBus);
+        this.gameState.setInfluenceManager(this.influenceManager);
+
+        // Initialize RandomEventManager
+        this.randomEventManager = new RandomEventManager(this.gameState, this.gameEventBus);
+        this.gameState.setRandomEventManager(this.randomEventManager);
+
+        // Initialize ResearchManager
+        this.researchManager = new ResearchManager(this.gameState, this.gameEventBus);
+        this.gameState.setResearchManager(this.researchManager);
+
+        // Initialize DiplomacyManager
+        this.diplomacyManager = new DiplomacyManager(this.gameState, this.gameEventBus);
+        this.gameState.setDiplomacyManager(this.diplomacyManager);
+
+        // Initialize TradeManager
+        this.tradeManager = new TradeManager(this.gameState, this.gameEventBus);
+        this.gameState.setTradeManager(this.tradeManager);
+        
+        // Initialize VictoryManager
+        this.victoryManager = new VictoryManager(this.gameState, this.gameEventBus);
+        this.gameState.setVictoryManager(this.victoryManager);
         
         // Initialize TurnManager
         this.turnManager = new TurnManager(this.gameState, this.gameEventBus);
+
+        // Initialize the AI opponents (personalities and difficulty can be chosen via scene data)
+        const requested = this.sceneData.aiPersonalities || [this.sceneData.aiPersonality];
+        const aiPersonalities = {};
+        this.gameState.getAIFactions().forEach((faction, i) => {
+            aiPersonalities[faction] = requested[i];
+        });
+        const chosenPersonalities = this.createAIPlayers(aiPersonalities, this.difficulty);
+        this.gameState.settings = {
+            difficulty: this.aiPlayers[0].difficulty,
+            aiCount: this.aiCount,
+            aiPersonalities: chosenPersonalities,
+            seed: this.seed,
+            mapSize: this.mapSize,
+            mapPreset: this.mapPreset,
+            resourceRichness: this.mapOptions.resourceRichness,
+            strategicDensity: this.mapOptions.strategicDensity,
+            authoredMap: this.authoredMap // Kept with the game (and its saves) so it can be replayed
+        };
+
+        // Initialize SaveManager (autosaves at the end of every turn)
+        this.saveManager = new SaveManager(this.gameState, this.gameEventBus);
+        this.saveManager.enableAutosave();
         
         // Initialize MapGenerator - it will use TerritoryManager to create territories
         this.mapGenerator = new MapGenerator(this.hexGrid, this.territoryManager);
 
-        // Initialize the game map (generate territories)
+        // Initialize the game map (generate territories). Generation starts from the seed itself,
+        // so the map matches the setup screen's preview of it.
+        rng.setSeed(this.seed);
         this.initializeMap();
 
-        // Graphics for hex grid
+        // Graphics for hex grid; overlays (influence, unit routes) are drawn above the terrain tiles
         this.hexGraphics = this.add.graphics();
+        this.overlayGraphics = this.add.graphics().setDepth(1);
         this.renderHexGrid();
 
         // Setup input handling
@@ -154,9 +285,13 @@ export class GameScene extends Phaser.Scene {
         
         // Set up event listeners
         this.setupEventHandlers();
+        this.events.once('shutdown', this.destroy, this);
         
         // Add keyboard shortcut for testing end turn
-        this.input.keyboard.on('keydown-T', () => {
+        this.input.keyboard.on('keydown-T', (event) => {
+            if (event.target && ['INPUT', 'SELECT'].includes(event.target.tagName)) {
+                return; // Typing in a form field, not ending the turn
+            }
             if (this.turnManager) {
                 this.turnManager.endTurn();
             } else {
@@ -164,14 +299,45 @@ export class GameScene extends Phaser.Scene {
             }
         });
         
-        // Start the game
-        this.startGame();
+        // Confirm or cancel a planned unit move
+        this.input.keyboard.on('keydown-ENTER', () => {
+            if (this.movePlan && this.movePlan.valid) {
+                this.confirmMove();
+            }
+        });
+        this.input.keyboard.on('keydown-ESC', () => {
+            if (this.movePlan) {
+                this.cancelMovePlan();
+            }
+        });
+
+        // Toggle the influence overlay with I or the map button
+        this.input.keyboard.on('keydown-I', (event) => {
+            if (event.target && ['INPUT', 'SELECT'].includes(event.target.tagName)) {
+                return;
+            }
+            this.toggleInfluenceOverlay();
+        });
+        this.influenceButton = document.getElementById('influence-overlay-btn');
+        if (this.influenceButton) {
+            this.influenceButton.onclick = () => this.toggleInfluenceOverlay();
+        }
+        
+        // Resume a saved game if one was requested, otherwise start fresh
+        if (!(this.sceneData.loadSlot && this.loadGame(this.sceneData.loadSlot))) {
+            this.startGame();
+        }
     }
     
     /**
-     * Initialize the game map by generating territories.
+     * Initialize the game map by generating territories, or from the authored map if there is one.
      */
     initializeMap() {
+        if (this.authoredMap) {
+            this.territoryManager.initializeTerritories(getMapTerritoryConfigs(this.authoredMap, this.hexGrid));
+            console.log(`🗺️ Game map '${this.authoredMap.name}' loaded from the map editor.`);
+            return;
+        }
         if (!this.mapGenerator) {
             console.error("MapGenerator not initialized!");
             return;
@@ -180,7 +346,8 @@ export class GameScene extends Phaser.Scene {
         // territoryManager.createTerritory or a similar method to populate territories.
         // It might return the raw generated data or simply confirm completion.
         // For this example, let's assume generateBalancedMap tells TerritoryManager what to do.
-        this.mapGenerator.generateBalancedMap(2); // Generates a map for 2 players
+        // A home base for every faction, on a map of the chosen size and options
+        this.mapGenerator.generateBalancedMap(this.gameState.getFactions().length, this.hexGrid.size, this.mapOptions);
 
         console.log(`🗺️ Game map initialized via MapGenerator and TerritoryManager.`);
         
@@ -188,6 +355,30 @@ export class GameScene extends Phaser.Scene {
         // this.logMapPreview(); 
     }
 
+    /**
+     * Create an AIPlayer for every AI faction and let it take turns, answer treaties and trade
+     * @param {object} personalities - AI_PERSONALITIES keys by faction; missing or unknown ones are picked
+     *                                 at random, preferring personalities no other AI has
+     * @param {string} difficulty - Key of GAME_CONFIG.AI_DIFFICULTY, shared by all AI factions
+     * @returns {object} The personality keys actually used, by faction
+     */
+    createAIPlayers(personalities, difficulty) {
+        const chosen = {};
+        this.aiPlayers = this.gameState.getAIFactions().map(faction => {
+            const unused = Object.keys(AI_PERSONALITIES).filter(key => !Object.values(chosen).includes(key));
+            chosen[faction] = AI_PERSONALITIES[personalities[faction]]
+                ? personalities[faction]
+                : randomChoice(unused.length > 0 ? unused : Object.keys(AI_PERSONALITIES));
+            const aiPlayer = new AIPlayer(faction, this.gameState, this.gameEventBus, AI_PERSONALITIES[chosen[faction]], difficulty);
+
+            this.turnManager.registerAIPlayer(aiPlayer);
+            this.diplomacyManager.registerAIPlayer(aiPlayer);
+            this.tradeManager.registerAIPlayer(aiPlayer);
+            return aiPlayer;
+        });
+        return chosen;
+    }
+
     /**
      * Set up event handlers for game events
      */
@@ -321,6 +512,196 @@ export class GameScene extends Phaser.Scene {
                 // uiRenderer.updateResourceDisplay() is already called by RESOURCES_CHANGED, which is also emitted.
             });
 
+            // Combat
+            this.gameEventBus.on(this.gameEventBus.events.COMBAT_RESOLVED, (eventData) => {
+                // eventData: { attacker, defender, territoryId, result, attackRoll, defenseRoll, cost }
+                this.renderHexGrid();
+                if (this.notificationManager) {
+                    const conquered = eventData.result === COMBAT_RESULTS.CONQUERED;
+                    const playerWon = conquered === (eventData.attacker === OWNERS.PLAYER);
+                    this.notificationManager.show(
+                        `${eventData.attacker} attacked ${eventData.territoryId} (${eventData.attackRoll} vs ${eventData.defenseRoll}): ` +
+                        (conquered ? `conquered from ${eventData.defender}!` : 'repelled!'),
+                        playerWon ? 'success' : 'warning',
+                        3500
+                    );
+                }
+            });
+
+            // Units
+            this.gameEventBus.on(this.gameEventBus.events.UNIT_RECRUIT_REQUESTED, (eventData) => {
+                this.recruitUnit(eventData.territoryId, eventData.unitType);
+            });
+            this.gameEventBus.on(this.gameEventBus.events.UNIT_MOVE_REQUESTED, (eventData) => {
+                this.startMovePlan(eventData.fromTerritoryId, eventData.unitType, eventData.count);
+            });
+            this.gameEventBus.on(this.gameEventBus.events.PHASE_CHANGED, () => {
+                // Orders can only be given during the player's own action phase
+                if (this.movePlan) {
+                    this.movePlan = null;
+                    this.renderHexGrid();
+                }
+            });
+            this.gameEventBus.on(this.gameEventBus.events.UNITS_CHANGED, () => {
+                if (this.uiRenderer && this.gameState.selectedTerritory) {
+                    this.uiRenderer.components.territoryPanel.updatePanel(this.gameState.selectedTerritory);
+                }
+            });
+
+            // Buildings
+            this.gameEventBus.on(this.gameEventBus.events.BUILDING_REQUESTED, (eventData) => {
+                this.constructBuilding(eventData.territoryId, eventData.buildingType);
+            });
+            [this.gameEventBus.events.BUILDING_STARTED, this.gameEventBus.events.BUILDING_COMPLETED].forEach(event => {
+                this.gameEventBus.on(event, () => {
+                    this.renderHexGrid();
+                    if (this.uiRenderer && this.gameState.selectedTerritory) {
+                        this.uiRenderer.components.territoryPanel.updatePanel(this.gameState.selectedTerritory);
+                    }
+                });
+            });
+            this.gameEventBus.on(this.gameEventBus.events.FORTIFICATION_REQUESTED, (eventData) => {
+                this.fortifyTerritory(eventData.territoryId);
+            });
+            this.gameEventBus.on(this.gameEventBus.events.FORTIFICATION_CHANGED, () => {
+                if (this.uiRenderer && this.gameState.selectedTerritory) {
+                    this.uiRenderer.components.territoryPanel.updatePanel(this.gameState.selectedTerritory);
+                }
+            });
+            this.gameEventBus.on(this.gameEventBus.events.BUILDING_COMPLETED, (eventData) => {
+                // eventData: { player, territoryId, buildingType }
+                if (this.notificationManager && eventData.player === OWNERS.PLAYER) {
+                    this.notificationManager.show(`${BUILDING_STATS[eventData.buildingType].name} completed in ${eventData.territoryId}`, 'success', 3000);
+                }
+            });
+
+            // Influence
+            this.gameEventBus.on(this.gameEventBus.events.INFLUENCE_UPDATED, () => {
+                this.renderHexGrid();
+                if (this.uiRenderer && this.gameState.selectedTerritory) {
+                    this.uiRenderer.components.territoryPanel.updatePanel(this.gameState.selectedTerritory);
+                }
+            });
+            this.gameEventBus.on(this.gameEventBus.events.TERRITORY_INFLUENCED, (eventData) => {
+                // eventData: { territoryId, faction, influence }
+                if (this.notificationManager) {
+                    const type = eventData.faction === OWNERS.PLAYER ? 'success' : 'warning';
+                    this.notificationManager.show(`${eventData.territoryId} joined ${eventData.faction} through influence`, type, 3000);
+                }
+            });
+
+            // Random events (announced by the EventDialog)
+            this.gameEventBus.on(this.gameEventBus.events.RANDOM_EVENT_TRIGGERED, () => {
+                this.renderHexGrid();
+                if (this.uiRenderer && this.gameState.selectedTerritory) {
+                    this.uiRenderer.components.territoryPanel.updatePanel(this.gameState.selectedTerritory);
+                }
+            });
+            this.gameEventBus.on(this.gameEventBus.events.RANDOM_EVENT_ENDED, (eventData) => {
+                // eventData: { eventId, name, factions }
+                if (this.notificationManager && eventData.factions.includes(OWNERS.PLAYER)) {
+                    this.notificationManager.show(`${eventData.name} has ended`, 'info', 2500);
+                }
+            });
+
+            // Research
+            this.gameEventBus.on(this.gameEventBus.events.RESEARCH_REQUESTED, (eventData) => {
+                this.startResearch(eventData.techId);
+            });
+            this.gameEventBus.on(this.gameEventBus.events.RESEARCH_COMPLETED, (eventData) => {
+                // eventData: { player, techId }
+                if (this.notificationManager && eventData.player === OWNERS.PLAYER) {
+                    const tech = TECHNOLOGIES[eventData.techId];
+                    this.notificationManager.show(`Research complete: ${tech.name} (${tech.description})`, 'success', 3500);
+                }
+            });
+
+            // Diplomacy
+            this.gameEventBus.on(this.gameEventBus.events.TREATY_PROPOSAL_REQUESTED, (eventData) => {
+                this.proposeTreaty(eventData.to, eventData.treatyType);
+            });
+            this.gameEventBus.on(this.gameEventBus.events.TREATY_BREAK_REQUESTED, (eventData) => {
+                this.breakTreaty(eventData.treatyId);
+            });
+            this.gameEventBus.on(this.gameEventBus.events.TREATY_ENDED, (eventData) => {
+                // eventData: { treaty, reason }
+                const { treaty, reason } = eventData;
+                if (this.notificationManager && reason === 'expired' && treaty.parties.includes(OWNERS.PLAYER)) {
+                    this.notificationManager.show(`${TREATIES[treaty.type].name} has expired`, 'info', 3000);
+                }
+            });
+
+            // Trade
+            this.gameEventBus.on(this.gameEventBus.events.MARKET_TRADE_REQUESTED, (eventData) => {
+                this.exchangeResources(eventData.give, eventData.receive, eventData.amount);
+            });
+            this.gameEventBus.on(this.gameEventBus.events.TRADE_OFFER_REQUESTED, (eventData) => {
+                this.proposeTrade(eventData.to, eventData.offer, eventData.request);
+            });
+
+            // General messages from game systems
+            this.gameEventBus.on(this.gameEventBus.events.SHOW_NOTIFICATION, (eventData) => {
+                // eventData: { message, type, duration }
+                if (this.notificationManager) {
+                    this.notificationManager.show(eventData.message, eventData.type, eventData.duration);
+                }
+            });
+
+            // Victory
+            this.gameEventBus.on(this.gameEventBus.events.VICTORY_CONDITION_MET, (eventData) => {
+                // eventData: { winner, condition, details }
+                if (this.notificationManager) {
+                    const won = eventData.winner === OWNERS.PLAYER;
+                    this.notificationManager.show(
+                        `${won ? 'Victory' : 'Defeat'}! ${eventData.winner} wins by ${eventData.condition.replace(/_/g, ' ')}`,
+                        won ? 'success' : 'error',
+                        6000
+                    );
+                }
+                // Give the final move a moment on screen before the summary
+                this.time.delayedCall(2000, () => {
+                    this.scene.start('GameOverScene', this.buildGameSummary(eventData));
+                });
+            });
+
+            // Save/Load
+            this.gameEventBus.on(this.gameEventBus.events.GAME_STATE_LOADED, () => {
+                this.applyLoadedGame();
+            });
+            this.gameEventBus.on(this.gameEventBus.events.GAME_SAVED, (eventData) => {
+                // eventData: { slot, name, isAutosave }
+                if (this.notificationManager && !eventData.isAutosave) {
+                    this.notificationManager.show(`Game saved: ${eventData.name}`, 'success', 2000);
+                }
+            });
+            this.gameEventBus.on(this.gameEventBus.events.SAVE_GAME_REQUESTED, (eventData) => {
+                this.saveGame(eventData.slot, eventData.name);
+            });
+            this.gameEventBus.on(this.gameEventBus.events.LOAD_GAME_REQUESTED, (eventData) => {
+                this.loadGame(eventData.slot);
+            });
+            this.gameEventBus.on(this.gameEventBus.events.DELETE_SAVE_REQUESTED, (eventData) => {
+                this.saveManager.deleteSlot(eventData.slot);
+            });
+            this.gameEventBus.on(this.gameEventBus.events.EXPORT_GAME_REQUESTED, () => {
+                this.exportGame();
+            });
+            this.gameEventBus.on(this.gameEventBus.events.IMPORT_GAME_REQUESTED, (eventData) => {
+                this.importGame(eventData.file);
+            });
+
+            // AI Actions
+            this.gameEventBus.on(this.gameEventBus.events.AI_ACTION_TAKEN, (eventData) => {
+                // eventData: { player, actionType, details }
+                // Claims and attacks are already announced by the TERRITORY_CLAIMED and COMBAT_RESOLVED handlers
+                if (['claim', 'expand', 'attack'].includes(eventData.actionType)) {
+                    return;
+                }
+                if (this.notificationManager) {
+                    this.notificationManager.show(this.formatAiAction(eventData), 'info', 2500);
+                }
+            });
+
         }
 
         // REMOVE OLD LISTENERS
@@ -331,9 +712,358 @@ export class GameScene extends Phaser.Scene {
      * Start the game and first turn
      */
     startGame() {
+        const oldStatus = this.gameState.gameStatus;
+        this.gameState.gameStatus = GAME_STATES.PLAYING;
+        this.gameEventBus.emitGameStatusChanged(GAME_STATES.PLAYING, oldStatus);
         this.turnManager.startTurn();
     }
+
+    /**
+     * Recruit a unit for the player from the Army panel
+     * @param {string} territoryId - Owned territory to station the unit in
+     * @param {string} unitType - UNIT_TYPES value
+     */
+    recruitUnit(territoryId, unitType) {
+        if (this.gameState.currentPlayer !== OWNERS.PLAYER || this.gameState.currentPhase !== TURN_PHASES.ACTION_PHASE) {
+            this.notificationManager.show('Units can only be recruited during your action phase', 'warning', 2500);
+            return;
+        }
+
+        const result = this.unitManager.recruit(OWNERS.PLAYER, territoryId, unitType);
+        if (!result.success) {
+            const need = result.cost ? ` Need: ${this.formatCost(result.cost)}` : '';
+            this.notificationManager.show(`Cannot recruit ${unitType}: ${result.reason.replace(/_/g, ' ')}.${need}`, 'error', 3000);
+            return;
+        }
+        this.notificationManager.show(`Recruited ${unitType} in ${territoryId} for ${this.formatCost(result.cost)}`, 'success', 2000);
+    }
+
+    /**
+     * Start constructing a building in one of the player's territories
+     * @param {string} territoryId - Owned territory to build in
+     * @param {string} buildingType - BUILDING_TYPES value
+     */
+    constructBuilding(territoryId, buildingType) {
+        if (this.gameState.currentPlayer !== OWNERS.PLAYER || this.gameState.currentPhase !== TURN_PHASES.ACTION_PHASE) {
+            this.notificationManager.show('Buildings can only be started during your action phase', 'warning', 2500);
+            return;
+        }
+
+        const result = this.buildingManager.build(OWNERS.PLAYER, territoryId, buildingType);
+        const stats = BUILDING_STATS[buildingType];
+        if (!result.success) {
+            const need = result.cost ? ` Need: ${this.formatCost(result.cost)}` : '';
+            this.notificationManager.show(`Cannot build ${stats ? stats.name : buildingType}: ${result.reason.replace(/_/g, ' ')}.${need}`, 'error', 3000);
+            return;
+        }
+        this.notificationManager.show(`Building ${stats.name} in ${territoryId} (${stats.buildTurns} turns)`, 'success', 2000);
+    }
+
+    /**
+     * Raise the fortification level of one of the player's territories
+     * @param {string} territoryId - Owned territory to fortify
+     */
+    fortifyTerritory(territoryId) {
+        if (this.gameState.currentPlayer !== OWNERS.PLAYER || this.gameState.currentPhase !== TURN_PHASES.ACTION_PHASE) {
+            this.notificationManager.show('Fortifications can only be built during your action phase', 'warning', 2500);
+            return;
+        }
+
+        const result = this.buildingManager.fortify(OWNERS.PLAYER, territoryId);
+        if (!result.success) {
+            const need = result.cost ? ` Need: ${this.formatCost(result.cost)}` : '';
+            this.notificationManager.show(`Cannot fortify: ${result.reason.replace(/_/g, ' ')}.${need}`, 'error', 3000);
+            return;
+        }
+        this.notificationManager.show(`Fortified ${territoryId} to level ${result.level} for ${this.formatCost(result.cost)}`, 'success', 2000);
+    }
+
+    /**
+     * Start researching a technology for the player from the Research panel
+     * @param {string} techId - Key of TECHNOLOGIES
+     */
+    startResearch(techId) {
+        if (this.gameState.currentPlayer !== OWNERS.PLAYER || this.gameState.currentPhase !== TURN_PHASES.ACTION_PHASE) {
+            this.notificationManager.show('Research can only be started during your action phase', 'warning', 2500);
+            return;
+        }
+
+        const result = this.researchManager.startResearch(OWNERS.PLAYER, techId);
+        const tech = TECHNOLOGIES[techId];
+        if (!result.success) {
+            const need = result.cost ? ` Need: ${this.formatCost(result.cost)}` : '';
+            this.notificationManager.show(`Cannot research ${tech ? tech.name : techId}: ${result.reason.replace(/_/g, ' ')}.${need}`, 'error', 3000);
+            return;
+        }
+        this.notificationManager.show(`Researching ${tech.name} (${tech.turns} turns)`, 'success', 2000);
+    }
+
+    /**
+     * Offer a treaty to another faction from the Diplomacy panel
+     * @param {string} faction - Faction receiving the proposal
+     * @param {string} treatyType - TREATY_TYPES value
+     */
+    proposeTreaty(faction, treatyType) {
+        if (this.gameState.currentPlayer !== OWNERS.PLAYER || this.gameState.currentPhase !== TURN_PHASES.ACTION_PHASE) {
+            this.notificationManager.show('Treaties can only be proposed during your action phase', 'warning', 2500);
+            return;
+        }
+
+        const result = this.diplomacyManager.propose(OWNERS.PLAYER, faction, treatyType);
+        const terms = TREATIES[treatyType];
+        if (!result.success) {
+            this.notificationManager.show(`Cannot propose ${terms ? terms.name : treatyType}: ${result.reason.replace(/_/g, ' ')}`, 'error', 3000);
+            return;
+        }
+        if (!result.accepted) {
+            this.notificationManager.show(`${faction.toUpperCase()} rejected the ${terms.name}`, 'warning', 3000);
+            return;
+        }
+        const duration = result.treaty.endTurn === null ? '' : ` for ${terms.duration} turns`;
+        this.notificationManager.show(`${faction.toUpperCase()} accepted the ${terms.name}${duration}`, 'success', 3000);
+    }
+
+    /**
+     * Break one of the player's treaties from the Diplomacy panel
+     * @param {number} treatyId - Id of the active treaty
+     */
+    breakTreaty(treatyId) {
+        if (this.gameState.currentPlayer !== OWNERS.PLAYER || this.gameState.currentPhase !== TURN_PHASES.ACTION_PHASE) {
+            this.notificationManager.show('Treaties can only be broken during your action phase', 'warning', 2500);
+            return;
+        }
+
+        const result = this.diplomacyManager.breakTreaty(OWNERS.PLAYER, treatyId);
+        if (!result.success) {
+            this.notificationManager.show(`Cannot break treaty: ${result.reason.replace(/_/g, ' ')}`, 'error', 3000);
+            return;
+        }
+        this.notificationManager.show('Treaty broken - relations have suffered', 'warning', 3000);
+    }
+
+    /**
+     * Sell resources on the market from the Diplomacy panel
+     * @param {string} give - Resource sold
+     * @param {string} receive - Resource bought
+     * @param {number} amount - Units of `give` to sell
+     */
+    exchangeResources(give, receive, amount) {
+        if (this.gameState.currentPlayer !== OWNERS.PLAYER || this.gameState.currentPhase !== TURN_PHASES.ACTION_PHASE) {
+            this.notificationManager.show('The market is only open during your action phase', 'warning', 2500);
+            return;
+        }
+
+        const result = this.tradeManager.exchange(OWNERS.PLAYER, give, receive, amount);
+        if (!result.success) {
+            const need = result.cost ? ` Need: ${this.formatCost(result.cost)}` : '';
+            this.notificationManager.show(`Cannot trade: ${result.reason.replace(/_/g, ' ')}.${need}`, 'error', 3000);
+            return;
+        }
+        this.notificationManager.show(`Sold ${this.formatCost(result.cost)} for ${result.received} ${receive}`, 'success', 2500);
+    }
+
+    /**
+     * Offer a trade to another faction from the Diplomacy panel
+     * @param {string} faction - Faction receiving the offer
+     * @param {object} offer - Resources the player gives
+     * @param {object} request - Resources the player wants in return
+     */
+    proposeTrade(faction, offer, request) {
+        if (this.gameState.currentPlayer !== OWNERS.PLAYER || this.gameState.currentPhase !== TURN_PHASES.ACTION_PHASE) {
+            this.notificationManager.show('Trades can only be offered during your action phase', 'warning', 2500);
+            return;
+        }
+
+        const result = this.tradeManager.proposeTrade(OWNERS.PLAYER, faction, offer, request);
+        if (!result.success) {
+            this.notificationManager.show(`Cannot offer trade: ${result.reason.replace(/_/g, ' ')}`, 'error', 3000);
+            return;
+        }
+        if (!result.accepted) {
+            this.notificationManager.show(`${faction.toUpperCase()} rejected your offer of ${this.formatCost(offer)} for ${this.formatCost(request)}`, 'warning', 3000);
+            return;
+        }
+        this.notificationManager.show(`${faction.toUpperCase()} traded ${this.formatCost(request)} for your ${this.formatCost(offer)}`, 'success', 3000);
+    }
+
+    /**
+     * Begin planning a unit move; the destination is picked by clicking the map
+     * @param {string} fromTerritoryId - Territory the units leave
+     * @param {string} unitType - UNIT_TYPES value
+     * @param {number} count - Number of units to move
+     */
+    startMovePlan(fromTerritoryId, unitType, count) {
+        if (this.gameState.currentPlayer !== OWNERS.PLAYER || this.gameState.currentPhase !== TURN_PHASES.ACTION_PHASE) {
+            this.notificationManager.show('Units can only be moved during your action phase', 'warning', 2500);
+            return;
+        }
+
+        this.movePlan = { fromTerritoryId, unitType, count, toTerritoryId: null, route: [], valid: false };
+        this.renderHexGrid();
+        this.notificationManager.show(`Moving ${count} ${unitType}: click a destination territory (Esc to cancel)`, 'info', 3000);
+    }
+
+    /**
+     * Plan the route to a destination and draw it. Picking the same valid
+     * destination a second time confirms the move.
+     * @param {string} toTerritoryId - Destination territory
+     */
+    planMoveTo(toTerritoryId) {
+        const plan = this.movePlan;
+        if (plan.valid && plan.toTerritoryId === toTerritoryId) {
+            this.confirmMove();
+            return;
+        }
+
+        const validation = this.unitManager.canMoveUnits(OWNERS.PLAYER, plan.fromTerritoryId, toTerritoryId, plan.unitType, plan.count);
+        plan.toTerritoryId = toTerritoryId;
+        plan.route = validation.route;
+        plan.valid = validation.canMove;
+        this.renderHexGrid();
+
+        if (plan.valid) {
+            this.notificationManager.show(
+                `Route: ${validation.cost} of ${validation.range} movement. Click the destination again or press Enter to confirm`,
+                'info',
+                3000
+            );
+        } else {
+            const range = validation.reason === 'out_of_range' ? ` (${validation.cost} movement, range ${validation.range})` : '';
+            this.notificationManager.show(`Cannot move there: ${validation.reason.replace(/_/g, ' ')}${range}`, 'warning', 3000);
+        }
+    }
+
+    /**
+     * Carry out the planned move
+     */
+    confirmMove() {
+        const { fromTerritoryId, toTerritoryId, unitType, count } = this.movePlan;
+        this.movePlan = null;
+
+        const result = this.unitManager.moveUnits(OWNERS.PLAYER, fromTerritoryId, toTerritoryId, unitType, count);
+        this.renderHexGrid();
+        if (result.success) {
+            this.notificationManager.show(`Moved ${count} ${unitType} to ${toTerritoryId}`, 'success', 2000);
+        } else {
+            this.notificationManager.show(`Move failed: ${result.reason.replace(/_/g, ' ')}`, 'error', 3000);
+        }
+    }
+
+    /**
+     * Abandon the planned move
+     */
+    cancelMovePlan() {
+        this.movePlan = null;
+        this.renderHexGrid();
+        this.notificationManager.show('Move cancelled', 'info', 1500);
+    }
+
+    /**
+     * Save the current game to a localStorage slot
+     * @param {string} slot - Slot identifier
+     * @param {string} [name] - Display name of the save
+     */
+    saveGame(slot, name) {
+        if (this.gameState.isGameOver()) {
+            this.notificationManager.show('The game is over and can no longer be saved', 'warning', 3000);
+            return false;
+        }
+        const result = this.saveManager.save(slot, name);
+        if (!result.success) {
+            this.notificationManager.show(`Could not save game: ${this.describeSaveError(result.reason)}`, 'error', 3000);
+        }
+        return result.success;
+    }
+
+    /**
+     * Download the current game as a JSON file
+     */
+    exportGame() {
+        const result = this.saveManager.exportToFile();
+        this.notificationManager.show(`Exported ${result.fileName}`, 'success', 2500);
+    }
+
+    /**
+     * Replace the running game with one from an exported JSON file
+     * @param {File} file - File chosen in the file picker
+     */
+    async importGame(file) {
+        if (!file) return false;
+
+        let text;
+        try {
+            text = await file.text();
+        } catch (error) {
+            this.notificationManager.show(`Could not read ${file.name}`, 'error', 4000);
+            return false;
+        }
+
+        const result = this.saveManager.importFromText(text);
+        if (!result.success) {
+            this.notificationManager.show(`Could not import ${file.name}: ${this.describeSaveError(result.reason)}`, 'error', 4000);
+            return false;
+        }
+        this.notificationManager.show(`Imported ${file.name} - Turn ${this.gameState.currentTurn}`, 'success', 2500);
+        return true;
+    }
+
+    /**
+     * Turn a SaveManager failure reason into a readable message
+     */
+    describeSaveError(reason) {
+        return SAVE_ERROR_MESSAGES[reason] || reason.replace(/_/g, ' ');
+    }
+
+    /**
+     * Replace the running game with one from a localStorage slot
+     * @param {string} slot - Slot identifier
+     * @returns {boolean} True if the game was loaded
+     */
+    loadGame(slot) {
+        const result = this.saveManager.load(slot);
+        if (!result.success) {
+            this.notificationManager.show(`Could not load save '${slot}': ${this.describeSaveError(result.reason)}`, 'error', 3000);
+            return false;
+        }
+        this.notificationManager.show(`Loaded save '${slot}' - Turn ${this.gameState.currentTurn}`, 'success', 2500);
+        return true;
+    }
+
+    /**
+     * Bring the AI and the display in line with a freshly loaded GameState
+     */
+    applyLoadedGame() {
+        const { difficulty, aiPersonality, seed } = this.gameState.settings;
+        if (seed !== undefined) {
+            this.seed = seed;
+        }
+        // Saves from before several AI factions list a single personality
+        const aiPersonalities = this.gameState.settings.aiPersonalities ||
+            { [this.gameState.getAIFactions()[0]]: aiPersonality };
+        this.gameState.settings.aiPersonalities = this.createAIPlayers(aiPersonalities, difficulty || this.difficulty);
+        this.aiCount = this.aiPlayers.length;
+        this.movePlan = null;
+
+        // The save brings its own map, which may be a different size
+        this.fitCameraToMap();
+        this.renderHexGrid();
+        if (this.uiRenderer) {
+            this.uiRenderer.updateTurnDisplay(this.gameState.currentTurn, this.gameState.currentPlayer);
+            this.uiRenderer.updatePhaseDisplay(this.gameState.currentPhase);
+            this.uiRenderer.updateResourceDisplay();
+        }
+    }
     
+    /**
+     * Zoom the camera out far enough for maps larger than the default to fit on screen
+     */
+    fitCameraToMap() {
+        // A map of radius R is 3R + 2 hex sizes tall
+        const defaultHeight = 3 * Math.floor(GAME_CONFIG.GRID_SIZE / 2) + 2;
+        const height = 3 * Math.floor(this.hexGrid.size / 2) + 2;
+        this.cameras.main.setZoom(Math.min(1, defaultHeight / height));
+    }
+
     /**
      * Render the hexagonal grid
      */
@@ -343,6 +1073,7 @@ export class GameScene extends Phaser.Scene {
             return;
         }
         this.hexGraphics.clear();
+        this.overlayGraphics.clear();
 
         // Clear previous resource icons before re-rendering
         if (this.resourceIconsGroup) {
@@ -366,24 +1097,20 @@ export class GameScene extends Phaser.Scene {
             const territory = this.territoryManager.getTerritoryAt(q, r);
 
             if (territory) { 
-                switch (territory.owner) {
-                    case OWNERS.PLAYER:
-                        fillColor = COLORS.PLAYER_TERRITORY;
-                        break;
-                    case OWNERS.AI: // Assuming a single AI for now, or use specific AI IDs
-                        fillColor = COLORS.AI_TERRITORY; // Ensure this is defined in constants
-                        break;
-                    case OWNERS.NEUTRAL:
-                        fillColor = COLORS.NEUTRAL_TERRITORY;
-                        break;
-                    default: 
-                        fillColor = COLORS.NEUTRAL_TERRITORY; 
-                        break;
-                }
+                // Each faction's land in its own color; unowned land is gray
+                fillColor = COLORS.OWNERSHIP[territory.owner] !== undefined
+                    ? COLORS.OWNERSHIP[territory.owner]
+                    : COLORS.OWNERSHIP[OWNERS.NEUTRAL];
 
                 if (territory.isHomeBase) {
                     borderColor = COLORS.HOME_BASE_BORDER; 
                     borderWidth = GAME_CONFIG.HEX_LINE_THICKNESS * 2; // Thicker border for home bases
+                } else if (territory.territoryType === TERRITORY_TYPES.STRATEGIC_POINT) {
+                    borderColor = COLORS.TERRITORIES.STRATEGIC;
+                    borderWidth = GAME_CONFIG.HEX_LINE_THICKNESS * 2;
+                } else if (territory.territoryType === TERRITORY_TYPES.MIXED_ZONE) {
+                    borderColor = COLORS.TERRITORIES.MIXED;
+                    borderWidth = GAME_CONFIG.HEX_LINE_THICKNESS * 1.5;
                 }
                 
                 // Highlight if selected - use gameState.selectedTerritory
@@ -394,10 +1121,22 @@ export class GameScene extends Phaser.Scene {
                 }
 
                 this.drawHexagon(this.hexGraphics, worldX, worldY, hexSize, fillColor, borderColor, borderWidth);
+                this.drawTerrainTile(worldX, worldY, territory);
+
+                // Add visual indicators for resources (e.g., small icons); a mixed zone's two sit side by side
+                const yields = territory.getResourceYields().filter(output => getResourceDefinition(output.resourceType));
+                yields.forEach((output, index) => {
+                    const offsetX = (index - (yields.length - 1) / 2) * hexSize * 0.5;
+                    this.drawResourceIcon(worldX + offsetX, worldY, output.resourceType, output.resourceValue);
+                });
+
+                if (territory.territoryType === TERRITORY_TYPES.STRATEGIC_POINT) {
+                    this.drawStrategicMarker(worldX, worldY);
+                }
 
-                // Add visual indicators for resources (e.g., small icons)
-                if (territory.resourceType && territory.resourceType !== RESOURCE_TYPES.NONE) {
-                    this.drawResourceIcon(worldX, worldY, territory.resourceType, territory.resourceValue);
+                if (territory.structures.length > 0 &&
+                    (!this.buildingManager || this.buildingManager.isVisibleTo(OWNERS.PLAYER, territory))) {
+                    this.drawBuildingIcons(worldX, worldY, territory);
                 }
 
             } else {
@@ -406,6 +1145,84 @@ export class GameScene extends Phaser.Scene {
             }
 
         });
+
+        if (this.showInfluenceOverlay) {
+            this.drawInfluenceOverlay(origin, hexSize);
+        }
+        this.drawMoveRoute(origin, hexSize);
+    }
+
+    /**
+     * Switch the influence overlay on or off
+     */
+    toggleInfluenceOverlay() {
+        this.showInfluenceOverlay = !this.showInfluenceOverlay;
+        if (this.influenceButton) {
+            this.influenceButton.classList.toggle('active', this.showInfluenceOverlay);
+        }
+        this.renderHexGrid();
+        if (this.notificationManager) {
+            this.notificationManager.show(`Influence overlay ${this.showInfluenceOverlay ? 'on' : 'off'}`, 'info', 1500);
+        }
+    }
+
+    /**
+     * Tint every territory in the colour of its dominant faction, stronger the closer
+     * that influence is to the flip threshold, and label it with the amount
+     */
+    drawInfluenceOverlay(origin, hexSize) {
+        if (!this.influenceManager) return;
+        if (!this.resourceIconsGroup) {
+            this.resourceIconsGroup = this.add.group();
+        }
+
+        const threshold = GAME_CONFIG.INFLUENCE.FLIP_THRESHOLD;
+        this.gameState.territories.forEach(territory => {
+            const faction = this.influenceManager.getDominantFaction(territory);
+            if (!faction) return;
+
+            const value = territory.influence[faction];
+            const pixelPos = hexToPixel({ q: territory.q, r: territory.r }, hexSize);
+            const x = origin.x + pixelPos.x;
+            const y = origin.y + pixelPos.y;
+            const points = [];
+            for (let i = 0; i < 6; i++) {
+                const angle = (Math.PI / 3) * i + Math.PI / 6;
+                points.push({ x: x + hexSize * Math.cos(angle), y: y + hexSize * Math.sin(angle) });
+            }
+
+            const color = COLORS.OWNERSHIP[faction] !== undefined ? COLORS.OWNERSHIP[faction] : COLORS.OWNERSHIP[OWNERS.AI];
+            this.overlayGraphics.fillStyle(color, 0.15 + 0.45 * Math.min(1, value / threshold));
+            this.overlayGraphics.fillPoints(points, true);
+
+            const label = this.add.text(x, y - hexSize * 0.6, value.toString(), {
+                font: 'bold 11px Arial',
+                fill: '#ffffff',
+                align: 'center'
+            }).setOrigin(0.5).setDepth(1);
+            this.resourceIconsGroup.add(label);
+        });
+    }
+
+    /**
+     * Draw the route of the unit move being planned, green if it can be made and red if not
+     */
+    drawMoveRoute(origin, hexSize) {
+        if (!this.movePlan || this.movePlan.route.length < 2) return;
+
+        const points = this.movePlan.route.map(key => {
+            const { q, r } = this.hexGrid.keyToCoord(key);
+            const pixelPos = hexToPixel({ q, r }, hexSize);
+            return { x: origin.x + pixelPos.x, y: origin.y + pixelPos.y };
+        });
+        const color = this.movePlan.valid ? COLORS.MOVE_ROUTE : COLORS.MOVE_ROUTE_INVALID;
+
+        this.overlayGraphics.lineStyle(4, color, 0.9);
+        this.overlayGraphics.strokePoints(points, false);
+        this.overlayGraphics.fillStyle(color, 1);
+        points.forEach((point, index) => {
+            this.overlayGraphics.fillCircle(point.x, point.y, index === points.length - 1 ? 8 : 4);
+        });
     }
 
     /**
@@ -416,7 +1233,8 @@ export class GameScene extends Phaser.Scene {
      * @param {number} resourceValue - Value of the resource
      */
     drawResourceIcon(x, y, resourceType, resourceValue) {
-        const iconKey = this.resourceIconKeys[resourceType];
+        const resource = getResourceDefinition(resourceType);
+        const iconKey = resource ? resource.icon : null;
         if (iconKey && this.textures.exists(iconKey)) {
             // Remove previous icon if it exists for this hex (q,r) to prevent stacking
             // This requires a way to track icons, e.g., storing them in a group or map
@@ -426,10 +1244,10 @@ export class GameScene extends Phaser.Scene {
             const iconScale = 0.3; // Adjust as needed
             const icon = this.add.image(x, y - GAME_CONFIG.HEX_SIZE * 0.3, iconKey).setScale(iconScale);
             
-            // Add text for resource value
+            // Add text for resource value, in the resource's color
             const valueText = this.add.text(x, y + GAME_CONFIG.HEX_SIZE * 0.1, resourceValue.toString(), {
                 font: '10px Arial',
-                fill: '#ffffff',
+                fill: `#${resource.color.toString(16).padStart(6, '0')}`,
                 align: 'center'
             }).setOrigin(0.5);
 
@@ -448,6 +1266,68 @@ export class GameScene extends Phaser.Scene {
         }
     }
 
+    /**
+     * Draw a territory's terrain tile over its hex
+     * @param {number} x - Center X position of the hex
+     * @param {number} y - Center Y position of the hex
+     * @param {Territory} territory - Territory whose terrain is drawn
+     */
+    drawTerrainTile(x, y, territory) {
+        const terrain = territory.getTerrainStats();
+        if (!this.textures.exists(terrain.tile)) return;
+        if (!this.resourceIconsGroup) {
+            this.resourceIconsGroup = this.add.group();
+        }
+
+        // Tiles are drawn to the height of a pointy-top hex
+        const tile = this.add.image(x, y, terrain.tile).setAlpha(terrain.tileAlpha);
+        tile.setScale((GAME_CONFIG.HEX_SIZE * 2) / tile.height);
+        if (terrain.tint !== null) {
+            tile.setTint(terrain.tint);
+        }
+        this.resourceIconsGroup.add(tile);
+    }
+
+    /**
+     * Draw the star that marks a strategic point, in the hex's top corner
+     * @param {number} x - Center X position of the hex
+     * @param {number} y - Center Y position of the hex
+     */
+    drawStrategicMarker(x, y) {
+        if (!this.resourceIconsGroup) {
+            this.resourceIconsGroup = this.add.group();
+        }
+
+        const marker = this.add.text(x, y - GAME_CONFIG.HEX_SIZE * 0.7, '★', {
+            font: '12px Arial',
+            fill: `#${COLORS.TERRITORIES.STRATEGIC.toString(16).padStart(6, '0')}`,
+            align: 'center'
+        }).setOrigin(0.5);
+        this.resourceIconsGroup.add(marker);
+    }
+
+    /**
+     * Draw a row of building icons along the bottom of a hex; unfinished buildings are faded
+     * @param {number} x - Center X position of the hex
+     * @param {number} y - Center Y position of the hex
+     * @param {Territory} territory - Territory whose buildings are drawn
+     */
+    drawBuildingIcons(x, y, territory) {
+        if (!this.resourceIconsGroup) {
+            this.resourceIconsGroup = this.add.group();
+        }
+
+        const spacing = 14;
+        const startX = x - (territory.structures.length - 1) * spacing / 2;
+        territory.structures.forEach((structure, index) => {
+            const icon = this.add.text(startX + index * spacing, y + GAME_CONFIG.HEX_SIZE * 0.45, BUILDING_STATS[structure.type].icon, {
+                font: '11px Arial',
+                align: 'center'
+            }).setOrigin(0.5).setAlpha(structure.turnsLeft > 0 ? 0.45 : 1);
+            this.resourceIconsGroup.add(icon);
+        });
+    }
+
     /**
      * Draw a hexagon at the specified position
      */
@@ -477,8 +1357,9 @@ export class GameScene extends Phaser.Scene {
         const hexSize = GAME_CONFIG.HEX_SIZE;
         const origin = { x: this.cameras.main.width / 2, y: this.cameras.main.height / 2 };
 
-        const clickX = pointer.x - origin.x;
-        const clickY = pointer.y - origin.y;
+        // World coordinates, so clicks land on the right hex when the camera is zoomed out
+        const clickX = pointer.worldX - origin.x;
+        const clickY = pointer.worldY - origin.y;
 
         const { q, r } = pixelToHex({ x: clickX, y: clickY }, hexSize);
         
@@ -488,6 +1369,12 @@ export class GameScene extends Phaser.Scene {
         if (clickedHexData) { 
             clickedTerritory = this.territoryManager.getTerritoryAt(q, r);
 
+            // While planning a move, clicks pick the destination instead of selecting
+            if (this.movePlan && clickedTerritory) {
+                this.planMoveTo(clickedTerritory.id);
+                return;
+            }
+
             if (clickedTerritory) {
                 // If this territory is already selected, deselect it.
                 // Otherwise, select it.
@@ -527,7 +1414,7 @@ export class GameScene extends Phaser.Scene {
             this.uiRenderer.draw(); // Call UI Renderer's draw method
         }
     }    /**
-     * Clean up when scene is destroyed
+     * Clean up when the scene shuts down (e.g. on transition to GameOverScene)
      */
     destroy() {
         if (this.uiRenderer) {
@@ -539,15 +1426,84 @@ export class GameScene extends Phaser.Scene {
         if (this.notificationManager) {
             this.notificationManager.destroy(); // Destroy Notification Manager
         }
+        if (this.victoryManager) {
+            this.victoryManager.destroy();
+        }
+        if (this.saveManager) {
+            this.saveManager.destroy();
+        }
+        if (this.unitManager) {
+            this.unitManager.destroy();
+        }
+        if (this.diplomacyManager) {
+            this.diplomacyManager.destroy();
+        }
+        if (this.tradeManager) {
+            this.tradeManager.destroy();
+        }
+        if (this.buildingManager) {
+            this.buildingManager.destroy();
+        }
         // Remove event listeners
-        if (this.gameState) {
-            this.gameState.removeAllListeners();
+        if (this.gameEventBus) {
+            this.gameEventBus.removeAllListeners();
         }
-        if (this.turnManager) {
-            this.turnManager.removeAllListeners();
+        this.input.off('pointerdown', this.handleTileClick, this);
+        this.input.keyboard.off('keydown-T');
+        this.input.keyboard.off('keydown-ENTER');
+        this.input.keyboard.off('keydown-ESC');
+        this.input.keyboard.off('keydown-I');
+        if (this.influenceButton) {
+            this.influenceButton.onclick = null;
         }
-        
-        super.destroy();
+        this.resourceIconsGroup = null;
+    }
+
+    /**
+     * Build the end-of-game summary shown by GameOverScene
+     * @param {object} result - VICTORY_CONDITION_MET event data { winner, condition, details }
+     */
+    buildGameSummary(result) {
+        const factions = Object.keys(this.gameState.resources).map(faction => {
+            const collected = this.gameState.statistics.resourcesCollected[faction] || {};
+            const spent = this.resourceManager.resourceHistory
+                .filter(entry => entry.player === faction && entry.action === 'spend')
+                .reduce((total, entry) => total + Object.values(entry.amounts).reduce((sum, val) => sum + val, 0), 0);
+            const peakTerritories = this.gameState.turnHistory.reduce((peak, entry) => {
+                const owned = entry.territories && entry.territories.territories ? entry.territories.territories[faction] || 0 : 0;
+                return Math.max(peak, owned);
+            }, 0);
+            const territories = this.territoryManager.getTerritoriesByOwner(faction).length;
+
+            return {
+                id: faction,
+                territories,
+                peakTerritories: Math.max(peakTerritories, territories),
+                resourcesCollected: Object.values(collected).reduce((sum, val) => sum + val, 0),
+                resourcesSpent: spent
+            };
+        });
+
+        return {
+            winner: result.winner,
+            condition: result.condition,
+            details: result.details,
+            turnsPlayed: this.gameState.currentTurn,
+            factions,
+            settings: this.getLaunchSettings()
+        };
+    }
+
+    /**
+     * Launch options that start a game like this one, from the settings of the game actually played
+     * (which may have been loaded from a save); AI personalities are listed in turn order
+     */
+    getLaunchSettings() {
+        const { aiPersonalities, ...settings } = this.gameState.settings || {};
+        return {
+            ...settings,
+            aiPersonalities: this.gameState.getAIFactions().map(faction => (aiPersonalities || {})[faction])
+        };
     }
     
     /**
@@ -594,6 +1550,23 @@ export class GameScene extends Phaser.Scene {
         */
     }
     
+    /**
+     * Format an AI action for display in notifications
+     */
+    formatAiAction({ player, actionType, details }) {
+        const actor = details && details.personality ? `${player} (${details.personality})` : player;
+        switch (actionType) {
+            case 'train_worker':
+                return `${actor} trained a ${details.workerType}`;
+            case 'market_trade':
+                return `${actor} sold ${this.formatCost(details.cost)} for ${this.formatCost(details.received)} on the market`;
+            case 'pass':
+                return `${actor} passed this turn`;
+            default:
+                return `${actor} performed ${actionType}`;
+        }
+    }
+
     /**
      * Format resource cost for display in notifications
      */
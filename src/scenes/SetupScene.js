@@ -0,0 +1,286 @@
+/**
+ * Colony Conquest - Setup Scene
+ * New game screen: map size, players and map options, with a live preview of the map they make
+ */
+
+import { GAME_CONFIG, COLORS, OWNERS, MAP_PRESETS, TERRITORY_TYPES } from '../utils/constants.js';
+import { rng, createSeed } from '../utils/random.js';
+import { GameEventBus } from '../core/GameEventBus.js';
+import { GameState } from '../core/game-state.js';
+import { TerritoryManager } from '../core/TerritoryManager.js';
+import { HexGrid } from '../map/hex-grid.js';
+import { MapGenerator } from '../map/map-generator.js';
+
+const PREVIEW_AREA = { x: 820, y: 370, width: 560, height: 500 };
+
+/**
+ * SetupScene class - Option rows on the left, the generated map on the right
+ */
+export class SetupScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'SetupScene' });
+        this.launchOptions = {};
+        this.setup = null;
+        this.valueTexts = {};
+        this.previewGraphics = null;
+        this.previewText = null;
+        this.presetText = null;
+    }
+
+    /**
+     * Initialize the scene
+     * @param {object} data - Launch options; any map options in them are the starting choices
+     */
+    init(data) {
+        this.launchOptions = data || {};
+        const presetKey = MAP_PRESETS[this.launchOptions.mapPreset] ? this.launchOptions.mapPreset : GAME_CONFIG.MAP_SETUP.DEFAULT_PRESET;
+        const preset = MAP_PRESETS[presetKey];
+
+        this.setup = {
+            mapPreset: presetKey,
+            mapSize: this.launchOptions.mapSize || GAME_CONFIG.GRID_SIZE,
+            players: Math.min(Math.max(Math.floor(this.launchOptions.aiCount) || GAME_CONFIG.DEFAULT_AI_FACTIONS, 1), GAME_CONFIG.MAX_AI_FACTIONS) + 1,
+            resourceRichness: this.launchOptions.resourceRichness !== undefined ? this.launchOptions.resourceRichness : preset.resourceRichness,
+            strategicDensity: this.launchOptions.strategicDensity !== undefined ? this.launchOptions.strategicDensity : preset.strategicDensity,
+            seed: this.launchOptions.seed !== undefined ? this.launchOptions.seed : createSeed()
+        };
+        this.setup.mapSize = this.getSizeChoices()[this.nearestSizeIndex(this.setup.mapSize)];
+    }
+
+    /**
+     * Create the setup screen
+     */
+    create() {
+        // The HTML game UI (resource bar, end turn button) has no meaning here
+        this.setGameUiVisible(false);
+        this.events.once('shutdown', () => this.setGameUiVisible(true));
+
+        this.add.text(GAME_CONFIG.CANVAS_WIDTH / 2, 50, 'New Game', {
+            font: 'bold 40px Arial',
+            fill: '#ecf0f1'
+        }).setOrigin(0.5);
+
+        const rows = [
+            { key: 'mapPreset', label: 'Preset', format: value => MAP_PRESETS[value].name, choices: () => Object.keys(MAP_PRESETS) },
+            { key: 'mapSize', label: 'Map size', format: value => `${value} hexes across`, choices: () => this.getSizeChoices() },
+            { key: 'players', label: 'Players', format: value => `You + ${value - 1} AI`, choices: () => this.getPlayerChoices() },
+            { key: 'resourceRichness', label: 'Resources', format: value => this.getChoiceLabel(GAME_CONFIG.MAP_SETUP.RESOURCE_RICHNESS, value),
+                choices: () => Object.values(GAME_CONFIG.MAP_SETUP.RESOURCE_RICHNESS) },
+            { key: 'strategicDensity', label: 'Strategic points', format: value => this.getChoiceLabel(GAME_CONFIG.MAP_SETUP.STRATEGIC_DENSITY, value),
+                choices: () => Object.values(GAME_CONFIG.MAP_SETUP.STRATEGIC_DENSITY) }
+        ];
+        rows.forEach((row, index) => this.createOptionRow(row, 150 + index * 70));
+
+        this.presetText = this.add.text(60, 520, '', {
+            font: 'italic 16px Arial',
+            fill: '#bdc3c7',
+            wordWrap: { width: 420 }
+        });
+
+        this.createButton(180, 600, 'New Map', '#2980b9', '#3498db', () => {
+            this.setup.seed = createSeed();
+            this.refresh();
+        });
+        this.createButton(380, 600, 'Start Game', '#27ae60', '#2ecc71', () => this.startGame());
+        this.createButton(280, 680, 'Map Editor', '#8e44ad', '#9b59b6', () => this.scene.start('EditorScene', this.launchOptions));
+
+        this.previewGraphics = this.add.graphics();
+        this.previewText = this.add.text(PREVIEW_AREA.x, PREVIEW_AREA.y + PREVIEW_AREA.height / 2 + 30, '', {
+            font: '16px Arial',
+            fill: '#ecf0f1'
+        }).setOrigin(0.5);
+
+        this.refresh();
+    }
+
+    /**
+     * One option: its label, its current value and arrows to step through the choices
+     */
+    createOptionRow(row, y) {
+        this.add.text(60, y, row.label, { font: 'bold 20px Arial', fill: '#3498db' }).setOrigin(0, 0.5);
+        this.valueTexts[row.key] = { row, text: this.add.text(330, y, '', { font: '20px Arial', fill: '#ecf0f1' }).setOrigin(0.5) };
+
+        [{ label: '◀', x: 220, step: -1 }, { label: '▶', x: 440, step: 1 }].forEach(arrow => {
+            const button = this.add.text(arrow.x, y, arrow.label, {
+                font: 'bold 22px Arial',
+                fill: '#ecf0f1'
+            }).setOrigin(0.5).setInteractive({ useHandCursor: true });
+            button.on('pointerover', () => button.setColor('#f1c40f'));
+            button.on('pointerout', () => button.setColor('#ecf0f1'));
+            button.on('pointerdown', () => this.stepOption(row, arrow.step));
+        });
+    }
+
+    /**
+     * Move an option to its previous or next choice
+     */
+    stepOption(row, step) {
+        const choices = row.choices();
+        const index = choices.indexOf(this.setup[row.key]);
+        this.setup[row.key] = choices[(index + step + choices.length) % choices.length];
+
+        // Picking a preset resets the options it sets
+        if (row.key === 'mapPreset') {
+            const preset = MAP_PRESETS[this.setup.mapPreset];
+            this.setup.resourceRichness = preset.resourceRichness;
+            this.setup.strategicDensity = preset.strategicDensity;
+            this.setup.mapSize = this.getSizeChoices()[this.nearestSizeIndex(this.setup.mapSize)];
+        }
+        this.refresh();
+    }
+
+    /**
+     * Map sizes the current preset allows
+     */
+    getSizeChoices() {
+        const minMapSize = MAP_PRESETS[this.setup.mapPreset].minMapSize || 0;
+        return GAME_CONFIG.MAP_SETUP.SIZES.filter(size => size >= minMapSize);
+    }
+
+    /**
+     * Index of the allowed map size closest to a requested one
+     */
+    nearestSizeIndex(mapSize) {
+        const sizes = this.getSizeChoices();
+        return sizes.reduce((best, size, index) =>
+            Math.abs(size - mapSize) < Math.abs(sizes[best] - mapSize) ? index : best, 0);
+    }
+
+    /**
+     * Player counts on offer: the human player and one to MAX_AI_FACTIONS AIs
+     */
+    getPlayerChoices() {
+        return Array.from({ length: GAME_CONFIG.MAX_AI_FACTIONS }, (_, i) => i + 2);
+    }
+
+    /**
+     * Name of a value in a { label: value } choice table
+     */
+    getChoiceLabel(choices, value) {
+        const entry = Object.entries(choices).find(([, choice]) => choice === value);
+        return entry ? entry[0] : `x${value}`;
+    }
+
+    /**
+     * Show the current choices and redraw the preview
+     */
+    refresh() {
+        Object.values(this.valueTexts).forEach(({ row, text }) => {
+            text.setText(row.format(this.setup[row.key]));
+        });
+        this.presetText.setText(MAP_PRESETS[this.setup.mapPreset].description);
+        this.drawPreview();
+    }
+
+    /**
+     * Map options for MapGenerator.generateBalancedMap
+     */
+    getMapOptions() {
+        return {
+            resourceRichness: this.setup.resourceRichness,
+            strategicDensity: this.setup.strategicDensity,
+            islands: MAP_PRESETS[this.setup.mapPreset].islands
+        };
+    }
+
+    /**
+     * Generate the map the current choices make, the way GameScene will, and draw it
+     */
+    drawPreview() {
+        const { mapSize, players, seed } = this.setup;
+        const radius = Math.floor(mapSize / 2);
+        const hexSize = Math.floor(Math.min(
+            PREVIEW_AREA.width / (Math.sqrt(3) * (2 * radius + 1)),
+            PREVIEW_AREA.height / (3 * radius + 2)
+        ));
+
+        // A throwaway game holds the preview map
+        const gameEventBus = new GameEventBus();
+        const gameState = new GameState(gameEventBus);
+        gameState.setFactions([OWNERS.PLAYER, ...Array.from({ length: players - 1 }, (_, i) => OWNERS[`AI_${i + 1}`])]);
+        const hexGrid = new HexGrid(mapSize, hexSize);
+        gameState.setHexGrid(hexGrid);
+        const territoryManager = new TerritoryManager(gameEventBus, gameState, hexGrid);
+
+        rng.setSeed(seed);
+        new MapGenerator(hexGrid, territoryManager).generateBalancedMap(players, mapSize, this.getMapOptions());
+
+        this.previewGraphics.clear();
+        hexGrid.draw(this.previewGraphics, PREVIEW_AREA.x, PREVIEW_AREA.y, hexData => {
+            const territory = gameState.getTerritory(hexData.key);
+            if (!territory) {
+                return { fill: COLORS.HEX_BACKGROUND, border: COLORS.HEX_BORDER };
+            }
+            return this.getPreviewStyle(territory);
+        });
+
+        const territories = Array.from(gameState.territories.values()).filter(territory => territory.isPassable());
+        const count = type => territories.filter(territory => territory.territoryType === type).length;
+        this.previewText.setText(`${territories.length} territories · ${count(TERRITORY_TYPES.STRATEGIC_POINT)} strategic points · ` +
+            `${count(TERRITORY_TYPES.MIXED_ZONE)} mixed zones`);
+    }
+
+    /**
+     * Colors of a territory in the preview: water in its terrain's color, home bases in their
+     * owner's color, strategic points in purple, other land in its resource's color; mixed zones are outlined
+     */
+    getPreviewStyle(territory) {
+        if (!territory.isPassable()) {
+            return { fill: territory.getTerrainStats().color, border: COLORS.HEX_BORDER };
+        }
+        if (territory.isHomeBase && COLORS.OWNERSHIP[territory.owner] !== undefined) {
+            return { fill: COLORS.OWNERSHIP[territory.owner], border: COLORS.HEX_BORDER };
+        }
+        if (territory.territoryType === TERRITORY_TYPES.STRATEGIC_POINT) {
+            return { fill: COLORS.TERRITORIES.STRATEGIC, border: COLORS.HEX_BORDER };
+        }
+
+        const fill = COLORS.TERRITORIES[territory.resourceType] !== undefined
+            ? COLORS.TERRITORIES[territory.resourceType]
+            : COLORS.TERRITORIES.NEUTRAL;
+        const border = territory.territoryType === TERRITORY_TYPES.MIXED_ZONE ? COLORS.TERRITORIES.MIXED : COLORS.HEX_BORDER;
+        return { fill, border };
+    }
+
+    /**
+     * Create a simple clickable text button
+     */
+    createButton(x, y, label, color, hoverColor, callback) {
+        const button = this.add.text(x, y, label, {
+            font: 'bold 24px Arial',
+            fill: '#ffffff',
+            backgroundColor: color,
+            padding: { x: 20, y: 10 }
+        }).setOrigin(0.5).setInteractive({ useHandCursor: true });
+
+        button.on('pointerover', () => button.setBackgroundColor(hoverColor));
+        button.on('pointerout', () => button.setBackgroundColor(color));
+        button.on('pointerdown', callback);
+        return button;
+    }
+
+    /**
+     * Start the game with the chosen options; the seed makes it the map in the preview
+     */
+    startGame() {
+        this.scene.start('GameScene', {
+            ...this.launchOptions,
+            aiCount: this.setup.players - 1,
+            mapSize: this.setup.mapSize,
+            mapPreset: this.setup.mapPreset,
+            resourceRichness: this.setup.resourceRichness,
+            strategicDensity: this.setup.strategicDensity,
+            seed: this.setup.seed
+        });
+    }
+
+    /**
+     * Show or hide the HTML game UI layered over the canvas
+     */
+    setGameUiVisible(visible) {
+        const overlay = document.getElementById('ui-overlay');
+        if (overlay) {
+            overlay.style.display = visible ? '' : 'none';
+        }
+    }
+}
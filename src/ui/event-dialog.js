@@ -0,0 +1,79 @@
+/**
+ * Colony Conquest - Event Dialog
+ * Announces random events in a dialog the player dismisses before carrying on
+ */
+
+import { OWNERS } from '../utils/constants.js';
+
+/**
+ * EventDialog class - Shows one random event at a time, queueing any that arrive while it is open
+ */
+export class EventDialog {
+    constructor(gameState, gameEventBus) {
+        this.gameState = gameState;
+        this.gameEventBus = gameEventBus;
+        this.queue = [];
+        this.dialogElement = null;
+
+        this.gameEventBus.on(this.gameEventBus.events.RANDOM_EVENT_TRIGGERED, this.onEventTriggered, this);
+    }
+
+    onEventTriggered(eventData) {
+        this.queue.push(eventData);
+        if (!this.dialogElement) {
+            this.showNext();
+        }
+    }
+
+    /**
+     * Open the dialog for the next queued event
+     */
+    showNext() {
+        const eventData = this.queue.shift();
+        if (!eventData) return;
+
+        const { event, factions, territoryId, duration } = eventData;
+        const affected = factions.length === 0 ? 'Neutral land'
+            : factions.map(faction => faction === OWNERS.PLAYER ? 'You' : faction).join(', ');
+        const playerAffected = factions.includes(OWNERS.PLAYER);
+
+        this.dialogElement = document.createElement('div');
+        this.dialogElement.className = 'event-dialog-backdrop';
+        this.dialogElement.innerHTML = `
+            <div class="event-dialog ${event.disaster ? 'disaster' : ''}">
+                <h3>${event.disaster ? '⚠️' : '📜'} ${event.name}</h3>
+                <p>${event.description}</p>
+                <p class="event-details">
+                    <strong>Affects:</strong> ${affected}${territoryId ? ` (territory ${territoryId})` : ''}<br>
+                    <strong>Duration:</strong> ${duration > 0 ? `${duration} round${duration === 1 ? '' : 's'}` : 'Immediate'}
+                </p>
+                <button class="event-dialog-btn ${playerAffected ? 'affected' : ''}">Continue</button>
+            </div>
+        `;
+        this.dialogElement.querySelector('.event-dialog-btn').addEventListener('click', () => this.close());
+        document.body.appendChild(this.dialogElement);
+    }
+
+    /**
+     * Close the dialog and show the next queued event, if any
+     */
+    close() {
+        if (this.dialogElement) {
+            this.dialogElement.remove();
+            this.dialogElement = null;
+        }
+        this.showNext();
+    }
+
+    /**
+     * Clean up resources
+     */
+    destroy() {
+        this.gameEventBus.off(this.gameEventBus.events.RANDOM_EVENT_TRIGGERED, this.onEventTriggered, this);
+        this.queue = [];
+        if (this.dialogElement) {
+            this.dialogElement.remove();
+            this.dialogElement = null;
+        }
+    }
+}
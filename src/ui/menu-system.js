@@ -42,7 +42,7 @@ export class MenuSystem {
     }
 
     /**
-     * Create the four main menu buttons
+     * Create the main menu buttons
      */
     createMenuButtons() {
         const buttons = [
@@ -73,6 +73,13 @@ export class MenuSystem {
                 icon: '🔬',
                 panel: 'research',
                 tooltip: 'Technology & Research Tree'
+            },
+            {
+                id: 'game-menu-btn',
+                label: 'Game',
+                icon: '💾',
+                panel: 'game',
+                tooltip: 'Save & Load Games'
             }
         ];
 
@@ -102,7 +109,7 @@ export class MenuSystem {
         // Add click handler
         button.addEventListener('click', () => this.togglePanel(config.panel));
 
-        // Add keyboard shortcut (1-4 keys)
+        // Add keyboard shortcut (1-5 keys)
         const keyNumber = index + 1;
         button.setAttribute('data-key', keyNumber);
 
@@ -203,12 +210,14 @@ export class MenuSystem {
      * Setup keyboard shortcuts and other event listeners
      */
     setupEventListeners() {
-        // Keyboard shortcuts (1-4 keys)
-        document.addEventListener('keydown', (event) => {
+        // Keyboard shortcuts (1-5 keys)
+        this.keydownHandler = (event) => {
             const key = event.key;
-            if (['1', '2', '3', '4'].includes(key) && !event.ctrlKey && !event.altKey) {
+            // Typing in a panel input (e.g. a save name) must not toggle panels
+            if (event.target && ['INPUT', 'SELECT'].includes(event.target.tagName)) return;
+            if (['1', '2', '3', '4', '5'].includes(key) && !event.ctrlKey && !event.altKey) {
                 const panelIndex = parseInt(key) - 1;
-                const panels = ['resource', 'army', 'diplomacy', 'research'];
+                const panels = ['resource', 'army', 'diplomacy', 'research', 'game'];
                 if (panels[panelIndex]) {
                     this.togglePanel(panels[panelIndex]);
                     event.preventDefault();
@@ -220,7 +229,10 @@ export class MenuSystem {
                 this.closeActivePanel();
                 event.preventDefault();
             }
-        });        // Listen for territory selection to close menu panels
+        };
+        document.addEventListener('keydown', this.keydownHandler);
+
+        // Listen for territory selection to close menu panels
         if (this.gameEventBus) {
             this.gameEventBus.on('territorySelected', () => {
                 this.closeActivePanel();
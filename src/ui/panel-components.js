@@ -3,7 +3,8 @@
  * Base classes for management panels that can be extended for specific functionality
  */
 
-import { RESOURCE_TYPES, OWNERS } from '../utils/constants.js';
+import { OWNERS, TURN_PHASES, TECHNOLOGIES, WORKER_STATS } from '../utils/constants.js';
+import { getStockpiledResources } from '../utils/resource-registry.js';
 
 /**
  * Base Panel Class
@@ -108,11 +109,13 @@ export class BasePanel {
 export class ResourcePanel extends BasePanel {
     constructor(scene, gameState, gameEventBus) {
         super(scene, gameState, gameEventBus, 'resource');
-        this.workerCounts = {
-            woodcutter: 0,
-            miner: 0,
-            farmer: 0
-        };
+    }
+
+    /**
+     * Worker counts of the current player, stored in GameState so they are saved with the game
+     */
+    get workerCounts() {
+        return this.gameState.getWorkerCounts(this.gameState.currentPlayer);
     }
 
     /**
@@ -122,7 +125,7 @@ export class ResourcePanel extends BasePanel {
         super.setupEventListeners();
         
         if (this.gameEventBus) {
-            this.gameEventBus.on('workerTrainingRequested', this.onWorkerTrainingRequested, this);
+            this.gameEventBus.on(this.gameEventBus.events.WORKER_TRAINING_REQUESTED, this.onWorkerTrainingRequested, this);
         }
     }
 
@@ -140,59 +143,55 @@ export class ResourcePanel extends BasePanel {
     }
 
     /**
-     * Train a worker (increase count)
+     * Train a worker through the WorkerManager
      */
     trainWorker(workerType) {
-        const cost = this.getWorkerCost(workerType);
         const player = this.gameState.currentPlayer;
-        
-        // Check if player can afford the cost
-        const resourceManager = this.gameState.getResourceManager();
-        if (resourceManager && resourceManager.canAfford(player, cost)) {
-            // Spend resources
-            const spendResult = resourceManager.spendResources(player, cost);
-            if (spendResult.success) {
-                // Increase worker count
-                this.workerCounts[workerType]++;
-                this.updateWorkerDisplay(workerType);
-                
-                // Show notification
-                if (this.scene.notificationManager) {
-                    this.scene.notificationManager.show(
-                        `Trained ${workerType}! Cost: ${this.formatCost(cost)}`,
-                        'success',
-                        2000
-                    );
-                }
-            }
-        } else {
-            // Show insufficient resources notification
-            if (this.scene.notificationManager) {
-                this.scene.notificationManager.show(
-                    `Insufficient resources to train ${workerType}! Need: ${this.formatCost(cost)}`,
-                    'error',
-                    3000
-                );
-            }
+        const workerManager = this.gameState.getWorkerManager();
+        if (!workerManager || !this.isPlayerActionPhase()) {
+            this.notify('Workers can only be trained during your action phase', 'warning', 2500);
+            return;
         }
+
+        const result = workerManager.train(player, workerType);
+        if (!result.success) {
+            const need = result.cost ? ` Need: ${this.formatCost(result.cost)}` : '';
+            this.notify(`Cannot train ${workerType}: ${result.reason.replace(/_/g, ' ')}.${need}`, 'error', 3000);
+            return;
+        }
+        this.updateWorkerDisplay(workerType);
+        this.notify(`Trained ${workerType}! Cost: ${this.formatCost(result.cost)}`, 'success', 2000);
     }
 
     /**
-     * Dismiss a worker (decrease count)
+     * Dismiss a worker through the WorkerManager
      */
     dismissWorker(workerType) {
-        if (this.workerCounts[workerType] > 0) {
-            this.workerCounts[workerType]--;
+        const workerManager = this.gameState.getWorkerManager();
+        if (!workerManager || !this.isPlayerActionPhase()) {
+            this.notify('Workers can only be dismissed during your action phase', 'warning', 2500);
+            return;
+        }
+
+        if (workerManager.dismiss(this.gameState.currentPlayer, workerType).success) {
             this.updateWorkerDisplay(workerType);
-            
-            // Show notification
-            if (this.scene.notificationManager) {
-                this.scene.notificationManager.show(
-                    `Dismissed ${workerType}`,
-                    'info',
-                    1500
-                );
-            }
+            this.notify(`Dismissed ${workerType}`, 'info', 1500);
+        }
+    }
+
+    /**
+     * Workers are managed by the human player during their action phase
+     */
+    isPlayerActionPhase() {
+        return this.gameState.currentPlayer === OWNERS.PLAYER && this.gameState.currentPhase === TURN_PHASES.ACTION_PHASE;
+    }
+
+    /**
+     * Show a notification if the scene has a NotificationManager
+     */
+    notify(message, type, duration) {
+        if (this.scene.notificationManager) {
+            this.scene.notificationManager.show(message, type, duration);
         }
     }
 
@@ -200,13 +199,7 @@ export class ResourcePanel extends BasePanel {
      * Get the cost to train a specific worker type
      */
     getWorkerCost(workerType) {
-        const costs = {
-            woodcutter: { [RESOURCE_TYPES.FOOD]: 2 },
-            miner: { [RESOURCE_TYPES.FOOD]: 2 },
-            farmer: { [RESOURCE_TYPES.GOLD]: 1 }
-        };
-        
-        return costs[workerType] || {};
+        return WORKER_STATS[workerType] ? { ...WORKER_STATS[workerType].cost } : {};
     }
 
     /**
@@ -246,14 +239,13 @@ export class ResourcePanel extends BasePanel {
             }
         });
         
-        // Update resource production rates (placeholder)
-        ['gold', 'wood', 'metal', 'food'].forEach(type => {
+        // Update resource production rates, worker bonuses included
+        const resourceManager = this.gameState.getResourceManager();
+        const production = resourceManager ? resourceManager.calculateResourceProduction(player) : {};
+        getStockpiledResources().forEach(type => {
             const rateElement = document.getElementById(`panel-${type}-rate`);
             if (rateElement) {
-                const baseRate = 1;
-                const workerBonus = this.getWorkerProductionBonus(type);
-                const totalRate = baseRate + workerBonus;
-                rateElement.textContent = `+${totalRate}/turn`;
+                rateElement.textContent = `+${production[type] || 0}/turn`;
             }
         });
         
@@ -267,18 +259,8 @@ export class ResourcePanel extends BasePanel {
      * Get production bonus from workers
      */
     getWorkerProductionBonus(resourceType) {
-        switch (resourceType) {
-            case 'wood':
-                return this.workerCounts.woodcutter * 2;
-            case 'metal':
-                return this.workerCounts.miner * 2;
-            case 'food':
-                return this.workerCounts.farmer * 3;
-            case 'gold':
-                return Math.floor((this.workerCounts.woodcutter + this.workerCounts.miner) * 0.5);
-            default:
-                return 0;
-        }
+        const workerManager = this.gameState.getWorkerManager();
+        return workerManager ? workerManager.getProductionBonus(this.gameState.currentPlayer)[resourceType] || 0 : 0;
     }
 
     /**
@@ -286,7 +268,7 @@ export class ResourcePanel extends BasePanel {
      */
     destroy() {
         if (this.gameEventBus) {
-            this.gameEventBus.off('workerTrainingRequested', this.onWorkerTrainingRequested, this);
+            this.gameEventBus.off(this.gameEventBus.events.WORKER_TRAINING_REQUESTED, this.onWorkerTrainingRequested, this);
         }
         super.destroy();
     }
@@ -299,11 +281,14 @@ export class ResourcePanel extends BasePanel {
 export class ArmyPanel extends BasePanel {
     constructor(scene, gameState, gameEventBus) {
         super(scene, gameState, gameEventBus, 'army');
-        this.unitCounts = {
-            infantry: 0,
-            cavalry: 0,
-            siege: 0
-        };
+    }
+
+    /**
+     * Unit totals of the current player, summed from the territory garrisons
+     */
+    get unitCounts() {
+        const unitManager = this.gameState.getUnitManager();
+        return unitManager ? unitManager.getArmy(this.gameState.currentPlayer) : {};
     }
 
     /**
@@ -324,9 +309,19 @@ export class ArmyPanel extends BasePanel {
 export class DiplomacyPanel extends BasePanel {
     constructor(scene, gameState, gameEventBus) {
         super(scene, gameState, gameEventBus, 'diplomacy');
-        this.relations = {
-            [OWNERS.AI_1]: 'neutral'
-        };
+    }
+
+    /**
+     * Relation scores of the current player with every other faction
+     */
+    get relations() {
+        const diplomacyManager = this.gameState.getDiplomacyManager();
+        if (!diplomacyManager) return {};
+
+        const player = this.gameState.currentPlayer;
+        return Object.fromEntries(Object.keys(this.gameState.resources)
+            .filter(faction => faction !== player)
+            .map(faction => [faction, diplomacyManager.getRelation(player, faction)]));
     }
 
     /**
@@ -347,11 +342,20 @@ export class DiplomacyPanel extends BasePanel {
 export class ResearchPanel extends BasePanel {
     constructor(scene, gameState, gameEventBus) {
         super(scene, gameState, gameEventBus, 'research');
-        this.technologies = {
-            agriculture: { unlocked: true, researched: false },
-            mining: { unlocked: true, researched: false },
-            military: { unlocked: false, researched: false }
-        };
+    }
+
+    /**
+     * Status of every technology for the current player, keyed by technology id
+     */
+    get technologies() {
+        const researchManager = this.gameState.getResearchManager();
+        if (!researchManager) return {};
+
+        const player = this.gameState.currentPlayer;
+        return Object.fromEntries(Object.keys(TECHNOLOGIES).map(techId => {
+            const status = researchManager.getTechnologyStatus(player, techId);
+            return [techId, { unlocked: status !== 'locked', researched: status === 'researched' }];
+        }));
     }
 
     /**
@@ -9,6 +9,7 @@ import { ResourceDisplayBar, TerritoryInformationPanel, EndTurnButton, ActionBut
 import { MenuSystem } from './menu-system.js';
 import { SlidingPanels } from './sliding-panels.js';
 import { ResourcePanel } from './panel-components.js';
+import { EventDialog } from './event-dialog.js';
 
 export class UIRenderer {
     constructor(scene, gameState, turnManager = null, gameEventBus = null, territoryManager = null) { // Added gameEventBus and territoryManager
@@ -67,6 +68,11 @@ export class UIRenderer {
         // Resource Panel Component - Enhanced resource management
         this.components.resourcePanel = new ResourcePanel(this.scene, this.gameState, this.gameEventBus);
         
+        // Random event announcements
+        if (this.gameEventBus) {
+            this.components.eventDialog = new EventDialog(this.gameState, this.gameEventBus);
+        }
+        
         // Action buttons can be added as needed
         // this.components.actionButtons = [];
     }
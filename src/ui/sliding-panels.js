@@ -3,6 +3,9 @@
  * Manages panel animations and content switching for the right-side menu system
  */
 
+import { GAME_CONFIG, UNIT_STATS, TECHNOLOGIES, TREATIES, WORKER_STATS } from '../utils/constants.js';
+import { getResourceDefinition, getStockpiledResources } from '../utils/resource-registry.js';
+
 export class SlidingPanels {
     constructor(scene, gameState, gameEventBus) {
         this.scene = scene;
@@ -53,6 +56,7 @@ export class SlidingPanels {
         this.createArmyPanel();
         this.createDiplomacyPanel();
         this.createResearchPanel();
+        this.createGamePanel();
     }
 
     /**
@@ -73,71 +77,38 @@ export class SlidingPanels {
                 <div class="section">
                     <h3>Resource Overview</h3>
                     <div class="resource-summary">
+                        ${getStockpiledResources().map(type => getResourceDefinition(type)).map(resource => `
                         <div class="resource-item-detailed">
-                            <img src="assets/images/RSS_Info_Gold.png" alt="Gold" class="resource-icon-large">
-                            <div class="resource-info">
-                                <span class="resource-name">Gold</span>
-                                <span class="resource-amount" id="panel-gold-count">0</span>
-                                <span class="resource-rate" id="panel-gold-rate">+0/turn</span>
-                            </div>
-                        </div>
-                        <div class="resource-item-detailed">
-                            <img src="assets/images/RSS_Info_Wood.png" alt="Wood" class="resource-icon-large">
+                            <img src="${resource.iconPath}" alt="${resource.name}" class="resource-icon-large">
                             <div class="resource-info">
-                                <span class="resource-name">Wood</span>
-                                <span class="resource-amount" id="panel-wood-count">0</span>
-                                <span class="resource-rate" id="panel-wood-rate">+0/turn</span>
+                                <span class="resource-name">${resource.name}</span>
+                                <span class="resource-amount" id="panel-${resource.id}-count">0</span>
+                                <span class="resource-rate" id="panel-${resource.id}-rate">+0/turn</span>
                             </div>
-                        </div>
-                        <div class="resource-item-detailed">
-                            <img src="assets/images/RSS_Info_Metal.png" alt="Metal" class="resource-icon-large">
-                            <div class="resource-info">
-                                <span class="resource-name">Metal</span>
-                                <span class="resource-amount" id="panel-metal-count">0</span>
-                                <span class="resource-rate" id="panel-metal-rate">+0/turn</span>
-                            </div>
-                        </div>
-                        <div class="resource-item-detailed">
-                            <img src="assets/images/RSS_Info_Food.png" alt="Food" class="resource-icon-large">
-                            <div class="resource-info">
-                                <span class="resource-name">Food</span>
-                                <span class="resource-amount" id="panel-food-count">0</span>
-                                <span class="resource-rate" id="panel-food-rate">+0/turn</span>
-                            </div>
-                        </div>
+                        </div>`).join('')}
                     </div>
                 </div>
                 
+                <div class="section">
+                    <h3>Active Modifiers</h3>
+                    <div id="active-modifiers" class="save-slot-list"></div>
+                </div>
+                
                 <div class="section">
                     <h3>Worker Training</h3>
+                    <p class="army-upkeep">Workers: <span id="worker-population">0/0</span> - Upkeep: <span id="worker-upkeep">0</span> food/turn</p>
                     <div class="worker-training">
-                        <div class="worker-type">
-                            <span class="worker-name">Woodcutters</span>
-                            <div class="worker-controls">
-                                <button class="worker-btn decrease" data-worker="woodcutter" data-action="decrease">-</button>
-                                <span class="worker-count" id="woodcutter-count">0</span>
-                                <button class="worker-btn increase" data-worker="woodcutter" data-action="increase">+</button>
-                            </div>
-                            <span class="worker-cost">Cost: 2 Food</span>
-                        </div>
-                        <div class="worker-type">
-                            <span class="worker-name">Miners</span>
-                            <div class="worker-controls">
-                                <button class="worker-btn decrease" data-worker="miner" data-action="decrease">-</button>
-                                <span class="worker-count" id="miner-count">0</span>
-                                <button class="worker-btn increase" data-worker="miner" data-action="increase">+</button>
+                        ${Object.entries(WORKER_STATS).map(([workerType, stats]) => `
+                            <div class="worker-type">
+                                <span class="worker-name">${stats.name}s</span>
+                                <div class="worker-controls">
+                                    <button class="worker-btn decrease" data-worker="${workerType}" data-action="decrease">-</button>
+                                    <span class="worker-count" id="${workerType}-count">0</span>
+                                    <button class="worker-btn increase" data-worker="${workerType}" data-action="increase">+</button>
+                                </div>
+                                <span class="worker-cost">Cost: ${this.formatCost(stats.cost)}<br>+${stats.bonus} ${stats.produces}/turn</span>
                             </div>
-                            <span class="worker-cost">Cost: 2 Food</span>
-                        </div>
-                        <div class="worker-type">
-                            <span class="worker-name">Farmers</span>
-                            <div class="worker-controls">
-                                <button class="worker-btn decrease" data-worker="farmer" data-action="decrease">-</button>
-                                <span class="worker-count" id="farmer-count">0</span>
-                                <button class="worker-btn increase" data-worker="farmer" data-action="increase">+</button>
-                            </div>
-                            <span class="worker-cost">Cost: 1 Gold</span>
-                        </div>
+                        `).join('')}
                     </div>
                 </div>
             </div>
@@ -167,33 +138,41 @@ export class SlidingPanels {
             <div class="panel-content">
                 <div class="section">
                     <h3>Military Units</h3>
-                    <div class="army-summary">
-                        <p>Army management features will be implemented in Phase 4.</p>
-                        <div class="placeholder-content">
-                            <div class="unit-type">
-                                <span>Infantry Units: 0</span>
-                            </div>
-                            <div class="unit-type">
-                                <span>Cavalry Units: 0</span>
-                            </div>
-                            <div class="unit-type">
-                                <span>Siege Units: 0</span>
+                    <div class="worker-training">
+                        ${Object.entries(UNIT_STATS).map(([unitType, stats]) => `
+                            <div class="worker-type">
+                                <span class="worker-name">${stats.name}</span>
+                                <span class="worker-count" id="army-${unitType}-count">0</span>
+                                <span class="worker-cost">ATK ${stats.attack} / DEF ${stats.defense}<br>Upkeep: ${this.formatCost(stats.upkeep)}</span>
                             </div>
-                        </div>
+                        `).join('')}
                     </div>
+                    <p class="army-upkeep">Upkeep: <span id="army-upkeep">0</span> food/turn</p>
                 </div>
                 
                 <div class="section">
                     <h3>Recruitment</h3>
-                    <div class="recruitment-area">
-                        <p>Unit recruitment will be available soon.</p>
+                    <div class="recruit-form">
+                        <select id="recruit-territory-select" class="save-name-input recruit-select"></select>
+                        ${Object.entries(UNIT_STATS).map(([unitType, stats]) => `
+                            <button class="save-btn recruit-btn" data-unit="${unitType}">
+                                ${stats.name} <small>(${this.formatCost(stats.cost)})</small>
+                            </button>
+                        `).join('')}
                     </div>
                 </div>
+                
+                <div class="section">
+                    <h3>Garrisons</h3>
+                    <div id="garrison-list" class="save-slot-list"></div>
+                </div>
             </div>
         `;
         
         this.panelWrapper.appendChild(panel);
         this.panels.army = panel;
+        
+        this.setupRecruitmentListeners(panel);
     }
 
     /**
@@ -213,30 +192,85 @@ export class SlidingPanels {
             <div class="panel-content">
                 <div class="section">
                     <h3>Relations</h3>
-                    <div class="diplomacy-summary">
-                        <p>Diplomatic features will be implemented in Phase 4.</p>
-                        <div class="placeholder-content">
-                            <div class="relation-item">
-                                <span>AI Player: Neutral</span>
-                            </div>
-                            <div class="relation-item">
-                                <span>Trade Status: None</span>
-                            </div>
-                        </div>
+                    <div id="relation-list" class="save-slot-list"></div>
+                </div>
+                
+                <div class="section">
+                    <h3>Treaties</h3>
+                    <div id="treaty-list" class="save-slot-list"></div>
+                </div>
+                
+                <div class="section">
+                    <h3>History</h3>
+                    <div id="treaty-history" class="save-slot-list"></div>
+                </div>
+                
+                <div class="section">
+                    <h3>Market</h3>
+                    <div id="market-prices" class="market-prices"></div>
+                    <div class="trade-form">
+                        <span>Sell</span>
+                        <input type="number" id="market-amount" class="save-name-input" min="1" value="5">
+                        ${this.renderResourceSelect('market-give', 'gold')}
+                        <span>for</span>
+                        ${this.renderResourceSelect('market-receive', 'food')}
                     </div>
+                    <p id="market-quote" class="save-slot-meta"></p>
+                    <button class="save-btn" id="market-exchange-btn">Exchange</button>
                 </div>
                 
                 <div class="section">
-                    <h3>Trade</h3>
-                    <div class="trade-area">
-                        <p>Trade agreements will be available soon.</p>
+                    <h3>Trade Offer</h3>
+                    <div class="trade-form">
+                        <select id="offer-faction" class="save-name-input recruit-select"></select>
+                    </div>
+                    <div class="trade-form">
+                        <span>Give</span>
+                        <input type="number" id="offer-give-amount" class="save-name-input" min="1" value="3">
+                        ${this.renderResourceSelect('offer-give', 'gold')}
+                    </div>
+                    <div class="trade-form">
+                        <span>Want</span>
+                        <input type="number" id="offer-want-amount" class="save-name-input" min="1" value="3">
+                        ${this.renderResourceSelect('offer-want', 'wood')}
                     </div>
+                    <button class="save-btn" id="offer-propose-btn">Propose Trade</button>
                 </div>
             </div>
         `;
         
         this.panelWrapper.appendChild(panel);
         this.panels.diplomacy = panel;
+        
+        // Relation and treaty rows are re-rendered, so listen on the lists themselves
+        panel.querySelector('#relation-list').addEventListener('click', (event) => {
+            const faction = event.target.getAttribute('data-faction');
+            const treatyType = event.target.getAttribute('data-treaty');
+            if (faction && treatyType) {
+                this.gameEventBus.emit(this.gameEventBus.events.TREATY_PROPOSAL_REQUESTED, { to: faction, treatyType });
+            }
+        });
+        panel.querySelector('#treaty-list').addEventListener('click', (event) => {
+            const treatyId = event.target.getAttribute('data-treaty-id');
+            if (treatyId) {
+                this.gameEventBus.emit(this.gameEventBus.events.TREATY_BREAK_REQUESTED, { treatyId: Number(treatyId) });
+            }
+        });
+        
+        this.setupTradeListeners(panel);
+    }
+
+    /**
+     * Dropdown of the resources traded on the market
+     */
+    renderResourceSelect(id, selected) {
+        return `
+            <select id="${id}" class="save-name-input recruit-select">
+                ${Object.keys(GAME_CONFIG.TRADE.BASE_VALUES).map(resourceType => `
+                    <option value="${resourceType}" ${resourceType === selected ? 'selected' : ''}>${resourceType}</option>
+                `).join('')}
+            </select>
+        `;
     }
 
     /**
@@ -254,35 +288,78 @@ export class SlidingPanels {
                 <button class="panel-close-btn" data-action="close">×</button>
             </div>
             <div class="panel-content">
+                <div class="section">
+                    <h3>Active Research</h3>
+                    <div id="active-research" class="research-area">
+                        <p>No active research projects.</p>
+                    </div>
+                </div>
+                
                 <div class="section">
                     <h3>Technology Tree</h3>
-                    <div class="research-summary">
-                        <p>Research system will be implemented in Phase 4.</p>
-                        <div class="placeholder-content">
-                            <div class="tech-item">
-                                <span>Agriculture: Available</span>
-                            </div>
-                            <div class="tech-item">
-                                <span>Mining: Available</span>
-                            </div>
-                            <div class="tech-item">
-                                <span>Military Tactics: Locked</span>
-                            </div>
-                        </div>
+                    <div id="tech-list" class="save-slot-list"></div>
+                </div>
+            </div>
+        `;
+        
+        this.panelWrapper.appendChild(panel);
+        this.panels.research = panel;
+        
+        // Technology rows are re-rendered, so listen on the list itself
+        panel.querySelector('#tech-list').addEventListener('click', (event) => {
+            const techId = event.target.getAttribute('data-tech');
+            if (techId) {
+                this.gameEventBus.emit(this.gameEventBus.events.RESEARCH_REQUESTED, { techId });
+            }
+        });
+    }
+
+    /**
+     * Create Save/Load Panel
+     */
+    createGamePanel() {
+        const panel = document.createElement('div');
+        panel.id = 'game-panel';
+        panel.className = 'management-panel';
+        panel.setAttribute('data-panel-type', 'game');
+        
+        panel.innerHTML = `
+            <div class="panel-header">
+                <h2>Save & Load</h2>
+                <button class="panel-close-btn" data-action="close">×</button>
+            </div>
+            <div class="panel-content">
+                <div class="section">
+                    <h3>Save Game</h3>
+                    <p class="save-slot-meta">Map seed: <span id="game-seed"></span></p>
+                    <div class="save-form">
+                        <input type="text" class="save-name-input" id="save-name-input" maxlength="40" placeholder="Save name">
+                        <button class="save-btn" id="save-game-btn">Save</button>
                     </div>
                 </div>
                 
                 <div class="section">
-                    <h3>Active Research</h3>
-                    <div class="research-area">
-                        <p>No active research projects.</p>
+                    <h3>Share</h3>
+                    <div class="save-form">
+                        <button class="save-btn" id="export-game-btn">Export to File</button>
+                        <button class="save-btn" id="import-game-btn">Import from File</button>
+                        <input type="file" id="import-game-input" accept=".json,application/json" hidden>
+                    </div>
+                </div>
+                
+                <div class="section">
+                    <h3>Saved Games</h3>
+                    <div class="save-slot-list" id="save-slot-list">
+                        <p>No saved games.</p>
                     </div>
                 </div>
             </div>
         `;
         
         this.panelWrapper.appendChild(panel);
-        this.panels.research = panel;
+        this.panels.game = panel;
+        
+        this.setupSaveListeners(panel);
     }
 
     /**
@@ -300,6 +377,46 @@ export class SlidingPanels {
             });
         }
 
+        // Keep the resource, army, research and diplomacy panels in step with the game
+        if (this.gameEventBus) {
+            [
+                this.gameEventBus.events.WORKERS_CHANGED,
+                this.gameEventBus.events.RESOURCE_MODIFIER_EXPIRED,
+                this.gameEventBus.events.RANDOM_EVENT_TRIGGERED,
+                this.gameEventBus.events.RANDOM_EVENT_ENDED
+            ].forEach(event => {
+                this.gameEventBus.on(event, () => {
+                    if (this.activePanel === 'resource') {
+                        this.updateResourcePanelContent();
+                    }
+                });
+            });
+            this.gameEventBus.on(this.gameEventBus.events.UNITS_CHANGED, () => {
+                if (this.activePanel === 'army') {
+                    this.updateArmyPanelContent();
+                }
+            });
+            [this.gameEventBus.events.RESEARCH_STARTED, this.gameEventBus.events.RESEARCH_COMPLETED].forEach(event => {
+                this.gameEventBus.on(event, () => {
+                    if (this.activePanel === 'research') {
+                        this.updateResearchPanelContent();
+                    }
+                });
+            });
+            [
+                this.gameEventBus.events.RELATION_CHANGED,
+                this.gameEventBus.events.TREATY_SIGNED,
+                this.gameEventBus.events.TREATY_ENDED,
+                this.gameEventBus.events.TRADE_COMPLETED
+            ].forEach(event => {
+                this.gameEventBus.on(event, () => {
+                    if (this.activePanel === 'diplomacy') {
+                        this.updateDiplomacyPanelContent();
+                    }
+                });
+            });
+        }
+
         // Setup close button listeners for all panels
         Object.values(this.panels).forEach(panel => {
             const closeBtn = panel.querySelector('.panel-close-btn');
@@ -309,6 +426,106 @@ export class SlidingPanels {
         });
     }
 
+    /**
+     * Setup save/load button listeners
+     */
+    setupSaveListeners(panel) {
+        const nameInput = panel.querySelector('#save-name-input');
+        panel.querySelector('#save-game-btn').addEventListener('click', () => {
+            const name = nameInput.value.trim() || `Turn ${this.gameState.currentTurn}`;
+            // Saving under an existing name overwrites that slot. Manual slots have their own prefix,
+            // so a save named "Autosave" cannot clash with the autosave slot.
+            const slot = `manual-${name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+            this.gameEventBus.emit(this.gameEventBus.events.SAVE_GAME_REQUESTED, { slot, name });
+            nameInput.value = '';
+            this.updateGamePanelContent();
+        });
+
+        panel.querySelector('#export-game-btn').addEventListener('click', () => {
+            this.gameEventBus.emit(this.gameEventBus.events.EXPORT_GAME_REQUESTED);
+        });
+
+        const fileInput = panel.querySelector('#import-game-input');
+        panel.querySelector('#import-game-btn').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            if (file) {
+                this.gameEventBus.emit(this.gameEventBus.events.IMPORT_GAME_REQUESTED, { file });
+                this.closeActivePanel();
+            }
+            fileInput.value = ''; // Allow picking the same file again
+        });
+
+        // Slot rows are re-rendered, so listen on the list itself
+        panel.querySelector('#save-slot-list').addEventListener('click', (event) => {
+            const slot = event.target.getAttribute('data-slot');
+            const action = event.target.getAttribute('data-action');
+            if (!slot) return;
+
+            if (action === 'load') {
+                this.gameEventBus.emit(this.gameEventBus.events.LOAD_GAME_REQUESTED, { slot });
+                this.closeActivePanel();
+            } else if (action === 'delete') {
+                this.gameEventBus.emit(this.gameEventBus.events.DELETE_SAVE_REQUESTED, { slot });
+                this.updateGamePanelContent();
+            }
+        });
+    }
+
+    /**
+     * Setup market exchange and trade offer listeners
+     */
+    setupTradeListeners(panel) {
+        const amountOf = (selector) => parseInt(panel.querySelector(selector).value, 10);
+
+        ['#market-amount', '#market-give', '#market-receive'].forEach(selector => {
+            panel.querySelector(selector).addEventListener('input', () => this.updateMarketQuote());
+        });
+
+        panel.querySelector('#market-exchange-btn').addEventListener('click', () => {
+            this.gameEventBus.emit(this.gameEventBus.events.MARKET_TRADE_REQUESTED, {
+                give: panel.querySelector('#market-give').value,
+                receive: panel.querySelector('#market-receive').value,
+                amount: amountOf('#market-amount')
+            });
+        });
+
+        panel.querySelector('#offer-propose-btn').addEventListener('click', () => {
+            const to = panel.querySelector('#offer-faction').value;
+            if (!to) return;
+            this.gameEventBus.emit(this.gameEventBus.events.TRADE_OFFER_REQUESTED, {
+                to,
+                offer: { [panel.querySelector('#offer-give').value]: amountOf('#offer-give-amount') },
+                request: { [panel.querySelector('#offer-want').value]: amountOf('#offer-want-amount') }
+            });
+        });
+    }
+
+    /**
+     * Setup unit recruitment button listeners
+     */
+    setupRecruitmentListeners(panel) {
+        const territorySelect = panel.querySelector('#recruit-territory-select');
+        panel.querySelectorAll('.recruit-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                if (!territorySelect.value) return;
+                this.gameEventBus.emit(this.gameEventBus.events.UNIT_RECRUIT_REQUESTED, {
+                    territoryId: territorySelect.value,
+                    unitType: button.getAttribute('data-unit')
+                });
+            });
+        });
+    }
+
+    /**
+     * Format a resource cost for display
+     */
+    formatCost(cost) {
+        return Object.entries(cost)
+            .map(([type, amount]) => `${amount} ${type}`)
+            .join(', ');
+    }
+
     /**
      * Setup worker training button listeners
      */
@@ -327,12 +544,9 @@ export class SlidingPanels {
      * Handle worker training actions
      */
     handleWorkerTraining(workerType, action) {
-        // Placeholder for worker training logic
-        console.log(`Worker training: ${action} ${workerType}`);
-        
-        // This will be connected to actual resource/worker management in future phases
+        // ResourcePanel carries out the request through the WorkerManager
         if (this.gameEventBus) {
-            this.gameEventBus.emit('workerTrainingRequested', {
+            this.gameEventBus.emit(this.gameEventBus.events.WORKER_TRAINING_REQUESTED, {
                 workerType: workerType,
                 action: action
             });
@@ -423,6 +637,14 @@ export class SlidingPanels {
     updatePanelContent(panelType) {
         if (panelType === 'resource') {
             this.updateResourcePanelContent();
+        } else if (panelType === 'army') {
+            this.updateArmyPanelContent();
+        } else if (panelType === 'research') {
+            this.updateResearchPanelContent();
+        } else if (panelType === 'diplomacy') {
+            this.updateDiplomacyPanelContent();
+        } else if (panelType === 'game') {
+            this.updateGamePanelContent();
         }
         // Other panel updates will be added in future phases
     }
@@ -431,7 +653,8 @@ export class SlidingPanels {
      * Update resource panel with current resource values
      */
     updateResourcePanelContent() {
-        const resources = this.gameState.resources[this.gameState.currentPlayer] || {};
+        const player = this.gameState.currentPlayer;
+        const resources = this.gameState.resources[player] || {};
         
         // Update resource amounts
         Object.entries(resources).forEach(([type, amount]) => {
@@ -441,14 +664,309 @@ export class SlidingPanels {
             }
         });
         
-        // Update resource rates (placeholder for now)
-        ['gold', 'wood', 'metal', 'food'].forEach(type => {
+        // Update resource rates from territory and worker production
+        const resourceManager = this.gameState.getResourceManager();
+        const production = resourceManager ? resourceManager.calculateResourceProduction(player) : {};
+        getStockpiledResources().forEach(type => {
             const rateElement = document.getElementById(`panel-${type}-rate`);
             if (rateElement) {
-                // This will be calculated from actual production in future phases
-                rateElement.textContent = '+1/turn';
+                rateElement.textContent = `+${production[type] || 0}/turn`;
+            }
+        });
+
+        this.updateModifierList(player);
+
+        const workerManager = this.gameState.getWorkerManager();
+        if (!workerManager) return;
+
+        Object.entries(workerManager.getWorkers(player)).forEach(([workerType, count]) => {
+            const element = document.getElementById(`${workerType}-count`);
+            if (element) {
+                element.textContent = count;
             }
         });
+        const populationElement = document.getElementById('worker-population');
+        if (populationElement) {
+            populationElement.textContent = `${workerManager.getTotalWorkers(player)}/${workerManager.getPopulationCap(player)}`;
+        }
+        const upkeepElement = document.getElementById('worker-upkeep');
+        if (upkeepElement) {
+            upkeepElement.textContent = workerManager.getUpkeep(player);
+        }
+    }
+
+    /**
+     * List the timed production modifiers and random events affecting the player, with the turns they have left
+     */
+    updateModifierList(player) {
+        const listElement = document.getElementById('active-modifiers');
+        if (!listElement) return;
+
+        const entries = [];
+        const resourceManager = this.gameState.getResourceManager();
+        if (resourceManager) {
+            resourceManager.getTimedModifiers(player).forEach(modifier => {
+                const effect = modifier.kind === 'multiplier'
+                    ? `${modifier.value >= 1 ? '+' : ''}${Math.round((modifier.value - 1) * 100)}% ${modifier.resourceType} production`
+                    : `+${modifier.value} ${modifier.resourceType}/turn`;
+                entries.push({ name: modifier.source || effect, detail: modifier.source ? effect : '', turnsLeft: modifier.turnsLeft });
+            });
+        }
+        const randomEventManager = this.gameState.getRandomEventManager();
+        if (randomEventManager) {
+            // Events whose production multipliers are listed above already have a row
+            const listed = entries.map(entry => entry.name);
+            randomEventManager.getActiveEvents(player).filter(active => !listed.includes(active.name)).forEach(active => {
+                entries.push({ name: active.name, detail: active.description, turnsLeft: active.endTurn - this.gameState.currentTurn });
+            });
+        }
+
+        listElement.innerHTML = entries.length === 0 ? '<p>No active modifiers.</p>' : entries.map(entry => `
+            <div class="save-slot">
+                <div class="save-slot-info">
+                    <span class="save-slot-name">${entry.name}</span>
+                    <span class="save-slot-meta">${entry.detail ? `${entry.detail} - ` : ''}${entry.turnsLeft} turn${entry.turnsLeft === 1 ? '' : 's'} left</span>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Update army totals, upkeep, the recruitment territory list and garrisons
+     */
+    updateArmyPanelContent() {
+        const unitManager = this.gameState.getUnitManager();
+        if (!unitManager) return;
+
+        const player = this.gameState.currentPlayer;
+        Object.entries(unitManager.getArmy(player)).forEach(([unitType, count]) => {
+            const element = document.getElementById(`army-${unitType}-count`);
+            if (element) {
+                element.textContent = count;
+            }
+        });
+
+        const upkeepElement = document.getElementById('army-upkeep');
+        if (upkeepElement) {
+            upkeepElement.textContent = unitManager.getUpkeep(player);
+        }
+
+        // Unit types still waiting on research cannot be recruited
+        const researchManager = this.gameState.getResearchManager();
+        document.querySelectorAll('#army-panel .recruit-btn').forEach(button => {
+            const requires = UNIT_STATS[button.getAttribute('data-unit')].requires;
+            const locked = !!requires && !(researchManager && researchManager.isResearched(player, requires));
+            button.disabled = locked;
+            button.title = locked ? `Requires ${TECHNOLOGIES[requires].name}` : '';
+        });
+
+        const ownedTerritories = Array.from(this.gameState.territories.values())
+            .filter(territory => territory.owner === player);
+
+        // Rebuild the options but keep the current choice
+        const territorySelect = document.getElementById('recruit-territory-select');
+        if (territorySelect) {
+            const selectedId = territorySelect.value;
+            territorySelect.innerHTML = ownedTerritories.map(territory => `
+                <option value="${territory.id}" ${territory.id === selectedId ? 'selected' : ''}>
+                    ${territory.id}${territory.isHomeBase ? ' (Home)' : ''} - ${territory.unitCount}/${GAME_CONFIG.UNITS.MAX_GARRISON} units
+                </option>
+            `).join('');
+        }
+
+        const garrisonList = document.getElementById('garrison-list');
+        if (garrisonList) {
+            const garrisons = unitManager.getGarrisons(player);
+            garrisonList.innerHTML = garrisons.length === 0 ? '<p>No units stationed.</p>' : garrisons.map(territory => `
+                <div class="save-slot">
+                    <div class="save-slot-info">
+                        <span class="save-slot-name">${territory.id}</span>
+                        <span class="save-slot-meta">${Object.entries(territory.units).map(([unitType, count]) => `${count} ${UNIT_STATS[unitType].name}`).join(', ')}</span>
+                    </div>
+                    <span class="save-slot-meta">Defense ${territory.getDefenseValue()}</span>
+                </div>
+            `).join('');
+        }
+    }
+
+    /**
+     * Show the active project and the status of every technology
+     */
+    updateResearchPanelContent() {
+        const researchManager = this.gameState.getResearchManager();
+        if (!researchManager) return;
+
+        const player = this.gameState.currentPlayer;
+        const active = researchManager.getActiveResearch(player);
+        const activeElement = document.getElementById('active-research');
+        if (activeElement) {
+            activeElement.innerHTML = active ? `
+                <p><strong>${TECHNOLOGIES[active.techId].name}</strong> - turn ${active.progress} of ${active.turns}</p>
+                <div class="research-progress"><div class="research-progress-fill" style="width: ${Math.round(active.progress / active.turns * 100)}%"></div></div>
+            ` : '<p>No active research projects.</p>';
+        }
+
+        const techList = document.getElementById('tech-list');
+        if (!techList) return;
+
+        techList.innerHTML = Object.entries(TECHNOLOGIES).map(([techId, tech]) => {
+            const status = researchManager.getTechnologyStatus(player, techId);
+            const requirement = tech.prerequisites.length > 0
+                ? ` - requires ${tech.prerequisites.map(prerequisite => TECHNOLOGIES[prerequisite].name).join(', ')}`
+                : '';
+            const action = status === 'available'
+                ? `<button class="save-btn" data-tech="${techId}" ${active ? 'disabled' : ''}>Research</button>`
+                : `<span class="save-slot-meta tech-status ${status}">${status.replace('_', ' ')}</span>`;
+
+            return `
+                <div class="save-slot">
+                    <div class="save-slot-info">
+                        <span class="save-slot-name">${tech.name}</span>
+                        <span class="save-slot-meta">${tech.description}${requirement}</span>
+                        <span class="save-slot-meta">${this.formatCost(tech.cost)} - ${tech.turns} turns</span>
+                    </div>
+                    ${action}
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Show relations with every other faction, active treaties and the treaty history
+     */
+    updateDiplomacyPanelContent() {
+        const diplomacyManager = this.gameState.getDiplomacyManager();
+        if (!diplomacyManager) return;
+
+        const player = this.gameState.currentPlayer;
+        const factionName = (faction) => faction === player ? 'You' : faction.toUpperCase();
+
+        const relationList = document.getElementById('relation-list');
+        if (relationList) {
+            const factions = Object.keys(this.gameState.resources).filter(faction => faction !== player);
+            relationList.innerHTML = factions.length === 0 ? '<p>No other factions.</p>' : factions.map(faction => {
+                const relation = diplomacyManager.getRelation(player, faction);
+                const proposals = Object.entries(TREATIES).map(([treatyType, terms]) => {
+                    const { canPropose } = diplomacyManager.canPropose(player, faction, treatyType);
+                    return `<button class="save-btn" data-faction="${faction}" data-treaty="${treatyType}" ${canPropose ? '' : 'disabled'}>${terms.name}</button>`;
+                }).join('');
+
+                return `
+                    <div class="save-slot">
+                        <div class="save-slot-info">
+                            <span class="save-slot-name">${factionName(faction)}</span>
+                            <span class="save-slot-meta relation-score">${diplomacyManager.getRelationLabel(relation)} (${relation > 0 ? '+' : ''}${relation})</span>
+                        </div>
+                        <div class="treaty-proposals">${proposals}</div>
+                    </div>
+                `;
+            }).join('');
+        }
+
+        const treatyList = document.getElementById('treaty-list');
+        if (treatyList) {
+            const treaties = diplomacyManager.getActiveTreaties(player);
+            treatyList.innerHTML = treaties.length === 0 ? '<p>No active treaties.</p>' : treaties.map(treaty => {
+                const other = treaty.parties.find(party => party !== player);
+                const remaining = treaty.endTurn === null ? 'Indefinite' : `${treaty.endTurn - this.gameState.currentTurn} turns left`;
+                return `
+                    <div class="save-slot">
+                        <div class="save-slot-info">
+                            <span class="save-slot-name">${TREATIES[treaty.type].name} with ${factionName(other)}</span>
+                            <span class="save-slot-meta">Signed turn ${treaty.startTurn} - ${remaining}</span>
+                        </div>
+                        <button class="save-btn delete" data-treaty-id="${treaty.id}">Break</button>
+                    </div>
+                `;
+            }).join('');
+        }
+
+        const factionSelect = document.getElementById('offer-faction');
+        if (factionSelect) {
+            const selected = factionSelect.value;
+            factionSelect.innerHTML = Object.keys(this.gameState.resources).filter(faction => faction !== player).map(faction => `
+                <option value="${faction}" ${faction === selected ? 'selected' : ''}>Trade with ${factionName(faction)}</option>
+            `).join('');
+        }
+        this.updateMarketQuote();
+
+        const historyList = document.getElementById('treaty-history');
+        if (historyList) {
+            const history = diplomacyManager.state.history.filter(entry => entry.parties.includes(player));
+            historyList.innerHTML = history.length === 0 ? '<p>No diplomatic history.</p>' : history.slice().reverse().map(entry => `
+                <div class="save-slot">
+                    <span class="save-slot-meta">Turn ${entry.turn}: ${TREATIES[entry.treatyType].name} with ${factionName(entry.parties.find(party => party !== player))} ${entry.action}${entry.by ? ` by ${factionName(entry.by)}` : ''}</span>
+                </div>
+            `).join('');
+        }
+    }
+
+    /**
+     * Show current market prices and what the entered exchange would return
+     */
+    updateMarketQuote() {
+        const tradeManager = this.gameState.getTradeManager();
+        if (!tradeManager) return;
+
+        const pricesElement = document.getElementById('market-prices');
+        if (pricesElement) {
+            pricesElement.innerHTML = tradeManager.getTradableResources().map(resourceType => {
+                const price = tradeManager.getPrice(resourceType);
+                const trend = price > GAME_CONFIG.TRADE.BASE_VALUES[resourceType] ? 'up' : price < GAME_CONFIG.TRADE.BASE_VALUES[resourceType] ? 'down' : '';
+                return `<span class="market-price ${trend}">${resourceType}: ${price.toFixed(2)}</span>`;
+            }).join('');
+        }
+
+        const quoteElement = document.getElementById('market-quote');
+        if (!quoteElement) return;
+
+        const give = document.getElementById('market-give').value;
+        const receive = document.getElementById('market-receive').value;
+        const amount = parseInt(document.getElementById('market-amount').value, 10);
+        if (give === receive || !(amount > 0)) {
+            quoteElement.textContent = 'Choose two different resources and an amount.';
+            return;
+        }
+        const { received, rate } = tradeManager.getQuote(give, receive, amount);
+        quoteElement.textContent = `You receive ${received} ${receive} (${rate.toFixed(2)} per ${give})`;
+    }
+
+    /**
+     * List the saved games in the save/load panel
+     */
+    updateGamePanelContent() {
+        const seedElement = document.getElementById('game-seed');
+        if (seedElement) {
+            seedElement.textContent = this.gameState.settings.seed;
+        }
+
+        const list = document.getElementById('save-slot-list');
+        const saveManager = this.scene.saveManager;
+        if (!list || !saveManager) return;
+
+        const slots = saveManager.listSlots();
+        if (slots.length === 0) {
+            list.innerHTML = '<p>No saved games.</p>';
+            return;
+        }
+
+        list.innerHTML = slots.map(({ slot, name, savedAt, turn, corrupted }) => `
+            <div class="save-slot">
+                <div class="save-slot-info">
+                    <span class="save-slot-name"></span>
+                    <span class="save-slot-meta">${corrupted ? 'Unreadable save' : `Turn ${turn} - ${savedAt ? new Date(savedAt).toLocaleString() : 'unknown date'}`}</span>
+                </div>
+                <div class="save-slot-actions">
+                    <button class="save-btn" data-action="load" data-slot="${slot}" ${corrupted ? 'disabled' : ''}>Load</button>
+                    <button class="save-btn delete" data-action="delete" data-slot="${slot}">Delete</button>
+                </div>
+            </div>
+        `).join('');
+
+        // Names are user input, so set them as text rather than markup
+        list.querySelectorAll('.save-slot-name').forEach((element, index) => {
+            element.textContent = slots[index].name;
+        });
     }
 
     /**
@@ -1,4 +1,5 @@
-import { COLORS, UI_CONSTANTS, RESOURCE_TYPES, ASSETS, OWNERS, TURN_PHASES } from '../utils/constants.js';
+import { COLORS, UI_CONSTANTS, ASSETS, OWNERS, TURN_PHASES, BUILDING_STATS, GAME_CONFIG, TERRITORY_TYPES } from '../utils/constants.js';
+import { getResourceDefinition, getStockpiledResources } from '../utils/resource-registry.js';
 
 /**
  * Base UI Component Class
@@ -67,18 +68,23 @@ export class ResourceDisplayBar extends UIComponent {
         // Find existing DOM elements
         this.containerElement = this.addDomElement(document.getElementById('resource-bar'));
         
-        // Map resource types to their respective DOM element IDs
-        const resourceElementMap = {
-            [RESOURCE_TYPES.GOLD]: 'gold-count',
-            [RESOURCE_TYPES.WOOD]: 'wood-count',
-            [RESOURCE_TYPES.METAL]: 'metal-count',
-            [RESOURCE_TYPES.FOOD]: 'food-count'
-        };
+        // One counter per stockpiled resource in the resource registry
+        const resourceTypes = getStockpiledResources();
+        if (this.containerElement) {
+            this.containerElement.innerHTML = resourceTypes.map(type => {
+                const resource = getResourceDefinition(type);
+                return `
+                <div class="resource-item">
+                    <img src="${resource.iconPath}" alt="${resource.name}" class="resource-icon">
+                    <span id="${type}-count">0</span>
+                </div>`;
+            }).join('');
+        }
 
         // Store references to DOM elements for each resource
-        for (const [type, elementId] of Object.entries(resourceElementMap)) {
-            this.resourceElements[type.toLowerCase()] = this.addDomElement(document.getElementById(elementId));
-        }
+        resourceTypes.forEach(type => {
+            this.resourceElements[type] = this.addDomElement(document.getElementById(`${type}-count`));
+        });
 
         // Update initial values
         this.updateDisplay();
@@ -141,10 +147,8 @@ export class ResourceDisplayBar extends UIComponent {
     }
 
     destroy() {
-        if (this.gameState.removeEventListener) {
-            this.gameState.removeEventListener('resourceChanged', this.updateDisplay);
-        } else if (this.gameState.off) {
-            this.gameState.off('resourceChanged', this.updateDisplay, this);
+        if (this.gameState.gameEventBus) {
+            this.gameState.gameEventBus.off(this.gameState.gameEventBus.events.RESOURCES_CHANGED, this.updateDisplay, this);
         }
         // Don't actually destroy the DOM elements
         this.domElements = [];
@@ -234,9 +238,14 @@ export class TerritoryInformationPanel extends UIComponent {
             }
 
             const ownerText = territory.owner ? `Player ${territory.owner}` : 'Neutral';
-            const resourceText = territory.resourceType && territory.resourceType !== RESOURCE_TYPES.NONE ? 
-                `${territory.resourceType.charAt(0).toUpperCase() + territory.resourceType.slice(1)} (${territory.resourceValue})` : 
-                'None';
+            const resourceText = territory.getResourceYields()
+                .filter(output => getResourceDefinition(output.resourceType))
+                .map(output => {
+                    const resource = getResourceDefinition(output.resourceType);
+                    const convertsTo = resource.convertsTo ? getResourceDefinition(resource.convertsTo) : null;
+                    return `${resource.name} (${output.resourceValue})${convertsTo ? ` - yields ${convertsTo.name}` : ''}`;
+                })
+                .join(', ') || 'None';
             
             if (this.detailsElement) {
                 this.detailsElement.innerHTML = `
@@ -244,11 +253,21 @@ export class TerritoryInformationPanel extends UIComponent {
                     <p><strong>Coordinates:</strong> Q:${q}, R:${r}</p>
                     <p><strong>Owner:</strong> ${ownerText}</p>
                     <p><strong>Resource:</strong> ${resourceText}</p>
+                    ${this.renderTerrainLine(territory)}
                     ${territory.isHomeBase ? '<p><strong>Status:</strong> Home Base</p>' : ''}
-                    ${territory.influence ? `<p><strong>Influence:</strong> ${territory.influence}</p>` : ''}
+                    ${this.renderTerritoryTypeLine(territory)}
+                    ${this.renderGarrisonLine(territory)}
+                    ${this.renderBuildingsLine(territory)}
+                    ${this.renderFortificationLine(territory)}
+                    <p><strong>Defense:</strong> ${territory.getDefenseValue()}</p>
+                    ${this.renderInfluenceLine(territory)}
                 `;
                 
                 this.addClaimButton(territory);
+                this.addAttackButton(territory);
+                this.addMoveControls(territory);
+                this.addBuildControls(territory);
+                this.addFortifyButton(territory);
             }
             this.show();
         } else {
@@ -256,17 +275,96 @@ export class TerritoryInformationPanel extends UIComponent {
         }
     }
 
+    /**
+     * Terrain line of the panel, with what the terrain does to movement and defense
+     */
+    renderTerrainLine(territory) {
+        const terrain = territory.getTerrainStats();
+        if (!terrain.passable) {
+            return `<p><strong>Terrain:</strong> ${terrain.name} (impassable, cannot be claimed)</p>`;
+        }
+        const defense = terrain.defenseBonus > 0 ? `, defense +${terrain.defenseBonus}` : '';
+        return `<p><strong>Terrain:</strong> ${terrain.name} (movement cost ${terrain.moveCost}${defense})</p>`;
+    }
+
+    /**
+     * Type line of the panel, for mixed zones and strategic points
+     */
+    renderTerritoryTypeLine(territory) {
+        if (territory.territoryType === TERRITORY_TYPES.STRATEGIC_POINT) {
+            const { VICTORY_POINTS } = GAME_CONFIG.SPECIAL_TERRITORIES;
+            return `<p class="territory-type strategic"><strong>Type:</strong> ★ Strategic Point (+${VICTORY_POINTS} victory point${VICTORY_POINTS === 1 ? '' : 's'} per turn, extra influence)</p>`;
+        }
+        if (territory.territoryType === TERRITORY_TYPES.MIXED_ZONE) {
+            return '<p class="territory-type mixed"><strong>Type:</strong> Mixed Zone (two resources)</p>';
+        }
+        return '';
+    }
+
+    /**
+     * Garrison line of the panel; enemy garrisons are only known within vision range
+     */
+    renderGarrisonLine(territory) {
+        const buildingManager = this.gameState.getBuildingManager();
+        if (buildingManager && !buildingManager.isVisibleTo(OWNERS.PLAYER, territory)) {
+            return territory.owner !== OWNERS.NEUTRAL ? '<p><strong>Garrison:</strong> Unknown</p>' : '';
+        }
+        if (!territory.unitCount) return '';
+        return `<p><strong>Garrison:</strong> ${Object.entries(territory.units).map(([unitType, count]) => `${count} ${unitType}`).join(', ')}</p>`;
+    }
+
+    /**
+     * Buildings line of the panel, with construction progress for unfinished ones
+     */
+    renderBuildingsLine(territory) {
+        const buildingManager = this.gameState.getBuildingManager();
+        if (territory.structures.length === 0 || (buildingManager && !buildingManager.isVisibleTo(OWNERS.PLAYER, territory))) {
+            return '';
+        }
+        const buildings = territory.structures.map(structure => {
+            const stats = BUILDING_STATS[structure.type];
+            return structure.turnsLeft > 0 ? `${stats.name} (${structure.turnsLeft} turns left)` : stats.name;
+        });
+        const slots = buildingManager ? `/${buildingManager.getSlotLimit(territory)}` : '';
+        return `<p><strong>Buildings (${territory.structures.length}${slots}):</strong> ${buildings.join(', ')}</p>`;
+    }
+
+    /**
+     * Fortification line of the panel; the owner also sees what it costs to keep up
+     */
+    renderFortificationLine(territory) {
+        const buildingManager = this.gameState.getBuildingManager();
+        if (!buildingManager || !buildingManager.isVisibleTo(OWNERS.PLAYER, territory)) {
+            return '';
+        }
+        const upkeep = buildingManager.getTerritoryFortificationUpkeep(territory);
+        const upkeepText = territory.owner === OWNERS.PLAYER && upkeep > 0 ? ` (upkeep ${upkeep} gold/turn)` : '';
+        return `<p><strong>Fortification:</strong> Level ${territory.fortificationLevel}/${GAME_CONFIG.FORTIFICATIONS.MAX_LEVEL}${upkeepText}</p>`;
+    }
+
+    /**
+     * Influence line of the panel; neutral territories also show how close they are to changing sides
+     */
+    renderInfluenceLine(territory) {
+        const entries = Object.entries(territory.influence || {}).sort((a, b) => b[1] - a[1]);
+        if (entries.length === 0) return '';
+        const threshold = territory.owner === OWNERS.NEUTRAL ? ` (joins at ${GAME_CONFIG.INFLUENCE.FLIP_THRESHOLD})` : '';
+        return `<p><strong>Influence:</strong> ${entries.map(([faction, value]) => `${faction} ${value}`).join(', ')}${threshold}</p>`;
+    }
+
     /**
      * Clears the territory information panel.
      */
     clearPanel() {
         if (this.detailsElement) {
             this.detailsElement.innerHTML = '<p>No territory selected</p>';
-            // Remove claim button if it exists
-            const existingButton = document.getElementById('claim-territory-btn');
-            if (existingButton) {
-                existingButton.remove();
-            }
+            // Remove claim and attack buttons if they exist
+            ['claim-territory-btn', 'attack-territory-btn', 'move-units-controls', 'build-controls', 'fortify-territory-btn'].forEach(id => {
+                const existingButton = document.getElementById(id);
+                if (existingButton) {
+                    existingButton.remove();
+                }
+            });
         }
         this.hide();
     }
@@ -282,7 +380,7 @@ export class TerritoryInformationPanel extends UIComponent {
         }
 
         // Only show claim button for neutral territories during player's action phase
-        if (territory.owner === null || territory.owner === OWNERS.NEUTRAL) {
+        if ((territory.owner === null || territory.owner === OWNERS.NEUTRAL) && territory.isPassable()) {
             if (this.gameState.currentPlayer === OWNERS.PLAYER && 
                 this.gameState.currentPhase === TURN_PHASES.ACTION_PHASE) {
                 
@@ -318,6 +416,197 @@ export class TerritoryInformationPanel extends UIComponent {
         }
     }
 
+    /**
+     * Add attack button for enemy territories bordering the player's land
+     */
+    addAttackButton(territory) {
+        const existingButton = document.getElementById('attack-territory-btn');
+        if (existingButton) {
+            existingButton.remove();
+        }
+
+        const combatManager = this.gameState.getCombatManager();
+        if (!combatManager ||
+            this.gameState.currentPlayer !== OWNERS.PLAYER ||
+            this.gameState.currentPhase !== TURN_PHASES.ACTION_PHASE) {
+            return;
+        }
+
+        const validation = combatManager.canAttack(OWNERS.PLAYER, territory.id);
+        // Own, neutral and non-bordering territories cannot be attacked at all
+        if (!validation.canAttack && validation.reason !== 'insufficient_resources') {
+            return;
+        }
+
+        const winChance = Math.round(combatManager.getWinChance(OWNERS.PLAYER, territory) * 100);
+        const attackButton = document.createElement('button');
+        attackButton.id = 'attack-territory-btn';
+        attackButton.className = validation.canAttack ? 'claim-btn attack-btn affordable' : 'claim-btn attack-btn unaffordable';
+        attackButton.innerHTML = `
+            <div class="claim-btn-content">
+                <span><img src="${ASSETS.IMAGES.ATTACK}" alt="" class="attack-btn-icon"> Attack Territory</span>
+                <div class="cost-display">
+                    <small>Costs: ${this.formatCost(validation.cost)} · ${winChance}% chance</small>
+                </div>
+            </div>
+        `;
+
+        if (validation.canAttack) {
+            attackButton.addEventListener('click', () => this.attackTerritory(territory));
+        } else {
+            attackButton.disabled = true;
+            attackButton.title = 'Insufficient resources';
+        }
+
+        this.detailsElement.appendChild(attackButton);
+    }
+
+    /**
+     * Add unit movement controls for player garrisons that can still move this turn
+     */
+    addMoveControls(territory) {
+        const existingControls = document.getElementById('move-units-controls');
+        if (existingControls) {
+            existingControls.remove();
+        }
+
+        if (territory.owner !== OWNERS.PLAYER ||
+            this.gameState.currentPlayer !== OWNERS.PLAYER ||
+            this.gameState.currentPhase !== TURN_PHASES.ACTION_PHASE) {
+            return;
+        }
+
+        const movable = Object.keys(territory.units)
+            .map(unitType => ({ unitType, count: territory.getMovableUnits(unitType) }))
+            .filter(({ count }) => count > 0);
+        if (movable.length === 0) return;
+
+        const controls = document.createElement('div');
+        controls.id = 'move-units-controls';
+        controls.className = 'move-controls';
+        controls.innerHTML = `
+            <select class="move-unit-type">
+                ${movable.map(({ unitType, count }) => `<option value="${unitType}" data-max="${count}">${unitType} (${count})</option>`).join('')}
+            </select>
+            <input type="number" class="move-unit-count" min="1" max="${movable[0].count}" value="${movable[0].count}">
+            <button class="claim-btn move-btn">Move Units</button>
+        `;
+
+        const typeSelect = controls.querySelector('.move-unit-type');
+        const countInput = controls.querySelector('.move-unit-count');
+        typeSelect.addEventListener('change', () => {
+            const max = typeSelect.selectedOptions[0].getAttribute('data-max');
+            countInput.max = max;
+            countInput.value = max;
+        });
+        controls.querySelector('.move-btn').addEventListener('click', () => {
+            this.gameEventBus.emit(this.gameEventBus.events.UNIT_MOVE_REQUESTED, {
+                fromTerritoryId: territory.id,
+                unitType: typeSelect.value,
+                count: parseInt(countInput.value, 10)
+            });
+        });
+
+        this.detailsElement.appendChild(controls);
+    }
+
+    /**
+     * Add building construction controls for the player's own territories
+     */
+    addBuildControls(territory) {
+        const existingControls = document.getElementById('build-controls');
+        if (existingControls) {
+            existingControls.remove();
+        }
+
+        const buildingManager = this.gameState.getBuildingManager();
+        if (!buildingManager ||
+            territory.owner !== OWNERS.PLAYER ||
+            this.gameState.currentPlayer !== OWNERS.PLAYER ||
+            this.gameState.currentPhase !== TURN_PHASES.ACTION_PHASE ||
+            territory.structures.length >= buildingManager.getSlotLimit(territory)) {
+            return;
+        }
+
+        const buildable = Object.entries(BUILDING_STATS).filter(([buildingType]) => !territory.hasStructure(buildingType));
+        if (buildable.length === 0) return;
+
+        const controls = document.createElement('div');
+        controls.id = 'build-controls';
+        controls.className = 'move-controls';
+        controls.innerHTML = `
+            <select class="build-type">
+                ${buildable.map(([buildingType, stats]) => `
+                    <option value="${buildingType}">${stats.icon} ${stats.name} - ${this.formatCost(stats.cost)}, ${stats.buildTurns} turns</option>
+                `).join('')}
+            </select>
+            <button class="claim-btn build-btn">Build</button>
+        `;
+
+        controls.querySelector('.build-btn').addEventListener('click', () => {
+            this.gameEventBus.emit(this.gameEventBus.events.BUILDING_REQUESTED, {
+                territoryId: territory.id,
+                buildingType: controls.querySelector('.build-type').value
+            });
+        });
+
+        this.detailsElement.appendChild(controls);
+    }
+
+    /**
+     * Add the fortification upgrade button for the player's own territories
+     */
+    addFortifyButton(territory) {
+        const existingButton = document.getElementById('fortify-territory-btn');
+        if (existingButton) {
+            existingButton.remove();
+        }
+
+        const buildingManager = this.gameState.getBuildingManager();
+        if (!buildingManager ||
+            territory.owner !== OWNERS.PLAYER ||
+            this.gameState.currentPlayer !== OWNERS.PLAYER ||
+            this.gameState.currentPhase !== TURN_PHASES.ACTION_PHASE ||
+            territory.fortificationLevel >= GAME_CONFIG.FORTIFICATIONS.MAX_LEVEL) {
+            return;
+        }
+
+        const validation = buildingManager.canFortify(OWNERS.PLAYER, territory.id);
+        const fortifyButton = document.createElement('button');
+        fortifyButton.id = 'fortify-territory-btn';
+        fortifyButton.className = validation.canFortify ? 'claim-btn fortify-btn affordable' : 'claim-btn fortify-btn unaffordable';
+        fortifyButton.innerHTML = `
+            <div class="claim-btn-content">
+                <span>Fortify to Level ${territory.fortificationLevel + 1}</span>
+                <div class="cost-display">
+                    <small>Costs: ${this.formatCost(buildingManager.getFortificationCost(territory))}, +${GAME_CONFIG.FORTIFICATIONS.UPKEEP_PER_LEVEL} gold/turn</small>
+                </div>
+            </div>
+        `;
+
+        if (validation.canFortify) {
+            fortifyButton.addEventListener('click', () => {
+                this.gameEventBus.emit(this.gameEventBus.events.FORTIFICATION_REQUESTED, { territoryId: territory.id });
+            });
+        } else {
+            fortifyButton.disabled = true;
+            fortifyButton.title = 'Insufficient resources';
+        }
+
+        this.detailsElement.appendChild(fortifyButton);
+    }
+
+    /**
+     * Handle attacking an enemy territory; GameScene reports the outcome via COMBAT_RESOLVED
+     */
+    attackTerritory(territory) {
+        const report = this.gameState.getCombatManager().attack(OWNERS.PLAYER, territory.id);
+        if (!report.success && this.scene.notificationManager) {
+            this.scene.notificationManager.show(`Cannot attack: ${report.reason.replace(/_/g, ' ')}`, 'error', 3000);
+        }
+        this.updatePanel(this.gameState.getTerritory(territory.id));
+    }
+
     /**
      * Format resource cost for display
      */
@@ -465,9 +754,10 @@ export class EndTurnButton extends UIComponent {
         // Find existing DOM button
         this.buttonElement = this.addDomElement(document.getElementById('end-turn-btn'));
         
-        // Set up event listener for button click
+        // Set up event listener for button click (kept so destroy() can remove it)
+        this.clickHandler = () => this.endTurn();
         if (this.buttonElement) {
-            this.buttonElement.addEventListener('click', () => this.endTurn());
+            this.buttonElement.addEventListener('click', this.clickHandler);
         }
         
         // Optional: create a Phaser button as well if needed
@@ -522,7 +812,7 @@ export class EndTurnButton extends UIComponent {
     destroy() {
         // Remove event listener
         if (this.buttonElement) {
-            this.buttonElement.removeEventListener('click', () => this.endTurn());
+            this.buttonElement.removeEventListener('click', this.clickHandler);
         }
         this.domElements = []; // Clear references, but don't remove DOM elements
         super.destroy();
@@ -544,6 +834,7 @@ export class TurnDisplay extends UIComponent {
         container.className = 'turn-display';
         document.body.appendChild(container);
         this.addDomElement(container);
+        this.containerElement = container;
         
         // Create elements to show turn number and current player
         this.turnNumberElement = document.createElement('div');
@@ -582,11 +873,10 @@ export class TurnDisplay extends UIComponent {
         this.turnNumberElement.textContent = `Turn: ${currentTurn}`;
         this.playerElement.textContent = `Player: ${currentPlayer}`;
         
-        // Set different styles based on the current player
-        if (currentPlayer === OWNERS.PLAYER) {
-            this.playerElement.style.color = '#3498db'; // blue
-        } else if (currentPlayer === OWNERS.AI) {
-            this.playerElement.style.color = '#e74c3c'; // red
+        // Show each faction in its map color
+        const color = COLORS.OWNERSHIP[currentPlayer];
+        if (color !== undefined) {
+            this.playerElement.style.color = `#${color.toString(16).padStart(6, '0')}`;
         }
     }
     
@@ -597,6 +887,10 @@ export class TurnDisplay extends UIComponent {
         if (this.gameState.removeEventListener) {
             this.gameState.removeEventListener('turnChanged', this.updateDisplay);
         }
+        // The turn display is created by this component, so remove it from the page
+        if (this.containerElement && this.containerElement.parentNode) {
+            this.containerElement.parentNode.removeChild(this.containerElement);
+        }
         super.destroy();
     }
 }
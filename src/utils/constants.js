@@ -16,25 +16,107 @@ export const GAME_CONFIG = {
     HEX_SPACING: 0,         // Space between hexagons (set to 0 for touching edges)
     HEX_LINE_THICKNESS: 2,  // Thickness of the hex border lines
     
-    // Game Rules
-    INITIAL_RESOURCES: {
-        gold: 10,
-        wood: 10,
-        metal: 5,
-        food: 15
+    // Game Rules - starting resources and territory claim costs are set per resource in RESOURCES
+    // Combat: attack strength + roll must beat defense value + roll (ties go to the defender)
+    COMBAT: {
+        ATTACK_COST: {
+            gold: 2,
+            food: 3
+        },
+        FOOD_PER_DEFENSE_POINT: 1, // Stronger targets need more supplies
+        BASE_ATTACK_STRENGTH: 2,
+        SUPPORT_BONUS_PER_TERRITORY: 1, // Each owned territory adjacent to the target
+        MAX_SUPPORT_BONUS: 3,
+        GARRISON_ATTACK_FACTOR: 0.5, // Share of bordering garrisons' attack added to the assault
+        DICE_SIDES: 6
     },
     
-    TERRITORY_CLAIM_COST: {
-        gold: 3,
-        wood: 2,
-        metal: 1,
-        food: 2
+    // Garrisons: every unit type has its own cost, food upkeep and stats (see UNIT_STATS)
+    UNITS: {
+        MAX_GARRISON: 10,            // Units per territory
+        DEFENSE_FACTOR: 0.5          // Share of the garrison's defense added to Territory.getDefenseValue
+    },
+    
+    // Workers: population is fed by the food territories a player owns
+    WORKERS: {
+        BASE_POPULATION: 3,          // Workers the home base supports on its own
+        POPULATION_PER_FOOD_TERRITORY: 2
+    },
+    
+    // Buildings: construction slots per territory and how far territories can see
+    BUILDINGS: {
+        SLOTS_PER_TERRITORY: 2,
+        HOME_BASE_SLOTS: 3,
+        BASE_VISION: 1               // Enemy garrisons within this many hexes of an owned territory are visible
+    },
+    
+    // Fortifications: each level adds 1 defense; the next level costs BASE_COST times the level reached
+    FORTIFICATIONS: {
+        MAX_LEVEL: 4,
+        BASE_COST: { gold: 3, wood: 2, metal: 1 },
+        UPKEEP_PER_LEVEL: 1,         // Gold per turn for every level
+        CAPTURE_LOSS: 1              // Levels lost when a territory changes hands
+    },
+    
+    // Influence: owned territories radiate influence; neutral land joins a faction whose influence passes the threshold
+    INFLUENCE: {
+        RANGE: 2,                    // Hexes influence reaches from its source
+        BASE_STRENGTH: 3,            // Influence a territory exerts on itself each round
+        FALLOFF: 1,                  // Lost per hex of distance
+        HOME_BASE_BONUS: 2,
+        STRATEGIC_POINT_BONUS: 2,
+        BUILDING_BONUS: 1,           // Per completed building
+        DECAY: 0.25,                 // Share of built-up influence lost each round
+        FLIP_THRESHOLD: 15
+    },
+    
+    // Special territories the map generator places between the start positions
+    SPECIAL_TERRITORIES: {
+        STRATEGIC_POINTS: 3,         // About this many; the symmetry of the map decides the exact number
+        MIXED_ZONES: 4,              // Likewise
+        MIN_START_DISTANCE: 2,       // Neither is placed closer than this to a start position
+        VICTORY_POINTS: 1,           // Earned per strategic point held at the end of each of the holder's turns
+        AI_STRATEGIC_VALUE: 4        // Extra worth of a strategic point to the AI, scaled by its expansion focus
+    },
+    
+    // Terrain the map generator lays out in patches (see TERRAIN_STATS)
+    TERRAIN: {
+        PATCH_SIZE: 5,               // Average hexes per patch of terrain
+        HOME_RADIUS: 1               // Land this close to a start position is never water or mountains
+    },
+    
+    // Diplomacy: relation scores between each pair of factions
+    DIPLOMACY: {
+        MIN_RELATION: -100,
+        MAX_RELATION: 100,
+        ATTACK_PENALTY: 30,          // Relation lost with the defender on every attack
+        REJECTION_PENALTY: 5,        // Relation lost when a proposal is turned down
+        BREAK_PENALTY: 40,           // Relation lost by breaking a treaty early
+        TREATY_GOODWILL: 2,          // Relation gained per round while a treaty holds
+        HISTORY_LIMIT: 50            // Diplomatic events kept in the treaty history
+    },
+    
+    // Trade: market prices move with the supply players sell into it
+    TRADE: {
+        BASE_VALUES: {               // Market value of one unit; only these resources are traded
+            gold: 2,
+            wood: 1,
+            metal: 2,
+            food: 1
+        },
+        MARKET_FEE: 0.1,             // Share of every market exchange kept by the market
+        SUPPLY_SENSITIVITY: 0.02,    // Price change per unit of surplus (or shortage) in the market
+        MIN_PRICE_FACTOR: 0.5,
+        MAX_PRICE_FACTOR: 2,
+        SUPPLY_RECOVERY: 0.25,       // Share of the surplus or shortage that clears each round
+        TRADE_GOODWILL: 3            // Relation gained with a partner for every accepted offer
     },
     
     VICTORY_CONDITIONS: {
         TERRITORIAL_DOMINANCE: 0.8,  // 80% of territories
         ECONOMIC_VICTORY: 100,       // 100 of each resource
-        STRATEGIC_POINTS_TURNS: 5    // Hold strategic points for 5 turns
+        STRATEGIC_POINTS_TURNS: 5,   // Hold strategic points for 5 turns
+        VICTORY_POINTS: 100          // Victory points earned from strategic points
     },
     
     // Turn Configuration
@@ -42,10 +124,26 @@ export const GAME_CONFIG = {
     RANDOM_EVENT_FREQUENCY: [3, 7], // Between 3-7 turns
     
     // AI Configuration
-    AI_DIFFICULTY: {
+    AI_DIFFICULTY: {           // Decision quality (0-1): how often the AI picks its best option
         EASY: 0.3,
         MEDIUM: 0.6,
         HARD: 0.9
+    },
+    AI_DIFFICULTY_PROFILES: {
+        EASY: { lookahead: 0, productionModifier: 0.8 },   // Short-sighted, resource handicap
+        MEDIUM: { lookahead: 1, productionModifier: 1.0 },
+        HARD: { lookahead: 2, productionModifier: 1.2 }    // Plans ahead, resource bonus
+    },
+    DEFAULT_AI_DIFFICULTY: 'MEDIUM',
+    DEFAULT_AI_FACTIONS: 1,    // AI opponents in a new game
+    MAX_AI_FACTIONS: 3,        // One per OWNERS.AI_1..AI_3
+    
+    // New game setup screen
+    MAP_SETUP: {
+        SIZES: [5, 7, 9, 11, 13],    // Map sizes on offer (GRID_SIZE is the default)
+        DEFAULT_PRESET: 'BALANCED',
+        RESOURCE_RICHNESS: { Poor: 0.6, Normal: 1, Rich: 1.5 },       // Multiplier on resource values
+        STRATEGIC_DENSITY: { None: 0, Few: 0.5, Normal: 1, Many: 2 }  // Multiplier on SPECIAL_TERRITORIES.STRATEGIC_POINTS
     }
 };
 
@@ -53,10 +151,75 @@ export const GAME_CONFIG = {
 export const RESOURCE_TYPES = {
     GOLD: 'gold',
     WOOD: 'wood', 
-    METAL: 'metal', // NOTE: MapGenerator currently uses STONE and IRON, not METAL.
+    METAL: 'metal',
     FOOD: 'food',
-    STONE: 'stone', // Added to match MapGenerator
-    IRON: 'iron'    // Added to match MapGenerator
+    STONE: 'stone', // Quarried into metal (see RESOURCES)
+    IRON: 'iron'    // Smelted into metal (see RESOURCES)
+};
+
+// Resource registry: how each resource is shown, what a faction starts with and what claiming land costs.
+// Resources with `convertsTo` are not stockpiled - whatever their territories produce is added to that resource.
+export const RESOURCES = {
+    [RESOURCE_TYPES.GOLD]: {
+        id: RESOURCE_TYPES.GOLD,
+        name: 'Gold',
+        icon: 'rss_info_gold',
+        iconPath: 'assets/images/RSS_Info_Gold.png',
+        color: 0xf1c40f,        // Gold yellow
+        startingAmount: 10,
+        claimCost: 3,
+        convertsTo: null
+    },
+    [RESOURCE_TYPES.WOOD]: {
+        id: RESOURCE_TYPES.WOOD,
+        name: 'Wood',
+        icon: 'rss_info_wood',
+        iconPath: 'assets/images/RSS_Info_Wood.png',
+        color: 0x27ae60,        // Forest green
+        startingAmount: 10,
+        claimCost: 2,
+        convertsTo: null
+    },
+    [RESOURCE_TYPES.METAL]: {
+        id: RESOURCE_TYPES.METAL,
+        name: 'Metal',
+        icon: 'rss_info_metal',
+        iconPath: 'assets/images/RSS_Info_Metal.png',
+        color: 0x95a5a6,        // Steel gray
+        startingAmount: 5,
+        claimCost: 1,
+        convertsTo: null
+    },
+    [RESOURCE_TYPES.FOOD]: {
+        id: RESOURCE_TYPES.FOOD,
+        name: 'Food',
+        icon: 'rss_info_food',
+        iconPath: 'assets/images/RSS_Info_Food.png',
+        color: 0xe67e22,        // Orange
+        startingAmount: 15,
+        claimCost: 2,
+        convertsTo: null
+    },
+    [RESOURCE_TYPES.STONE]: {
+        id: RESOURCE_TYPES.STONE,
+        name: 'Stone',
+        icon: 'rss_info_stone',
+        iconPath: 'assets/images/RSS_Info_Stone.png',
+        color: 0xbdc3c7,        // Light gray
+        startingAmount: 0,
+        claimCost: 0,
+        convertsTo: RESOURCE_TYPES.METAL
+    },
+    [RESOURCE_TYPES.IRON]: {
+        id: RESOURCE_TYPES.IRON,
+        name: 'Iron',
+        icon: 'rss_info_iron',
+        iconPath: 'assets/images/RSS_Info_Metal_2.png',
+        color: 0x5d6d7e,        // Dark steel
+        startingAmount: 0,
+        claimCost: 0,
+        convertsTo: RESOURCE_TYPES.METAL
+    }
 };
 
 // Territory Types
@@ -66,6 +229,424 @@ export const TERRITORY_TYPES = {
     STRATEGIC_POINT: 'strategic_point'    // Special victory-relevant
 };
 
+// Terrain Types
+export const TERRAIN_TYPES = {
+    PLAINS: 'plains',
+    FOREST: 'forest',
+    HILLS: 'hills',
+    MOUNTAINS: 'mountains',
+    WATER: 'water'
+};
+
+// Terrain: its tile, what it costs to cross, claim and take, and which resources it can hold.
+// Impassable terrain cannot be entered or claimed and produces nothing.
+export const TERRAIN_STATS = {
+    [TERRAIN_TYPES.PLAINS]: {
+        name: 'Plains',
+        tile: 'tile_plains',
+        tilePath: 'assets/images/HexTile.png',
+        tint: 0x7dcea0,           // The plain hex tile is tinted, and mostly see-through
+        tileAlpha: 0.3,
+        color: 0x7dcea0,
+        weight: 40,               // Share of the map's terrain patches
+        passable: true,
+        moveCost: 1,
+        claimCostModifier: 1,
+        defenseBonus: 0,
+        resources: [RESOURCE_TYPES.FOOD, RESOURCE_TYPES.WOOD, RESOURCE_TYPES.GOLD]
+    },
+    [TERRAIN_TYPES.FOREST]: {
+        name: 'Forest',
+        tile: 'tile_trees',
+        tilePath: 'assets/images/Tile_trees.png',
+        tint: null,
+        tileAlpha: 1,
+        color: 0x1e8449,
+        weight: 25,
+        passable: true,
+        moveCost: 2,
+        claimCostModifier: 1,
+        defenseBonus: 1,
+        resources: [RESOURCE_TYPES.WOOD, RESOURCE_TYPES.FOOD]
+    },
+    [TERRAIN_TYPES.HILLS]: {
+        name: 'Hills',
+        tile: 'tile_gold',
+        tilePath: 'assets/images/Tile_gold.png',
+        tint: null,
+        tileAlpha: 1,
+        color: 0xb9770e,
+        weight: 18,
+        passable: true,
+        moveCost: 2,
+        claimCostModifier: 1.25,
+        defenseBonus: 2,
+        resources: [RESOURCE_TYPES.STONE, RESOURCE_TYPES.IRON, RESOURCE_TYPES.FOOD, RESOURCE_TYPES.GOLD]
+    },
+    [TERRAIN_TYPES.MOUNTAINS]: {
+        name: 'Mountains',
+        tile: 'tile_stone',
+        tilePath: 'assets/images/Tile_stone.png',
+        tint: null,
+        tileAlpha: 1,
+        color: 0x85929e,
+        weight: 9,
+        passable: true,
+        moveCost: 3,
+        claimCostModifier: 1.5,
+        defenseBonus: 3,
+        resources: [RESOURCE_TYPES.IRON, RESOURCE_TYPES.STONE, RESOURCE_TYPES.GOLD]
+    },
+    [TERRAIN_TYPES.WATER]: {
+        name: 'Water',
+        tile: 'tile_water',
+        tilePath: 'assets/images/HexTile.png',
+        tint: 0x2e86c1,
+        tileAlpha: 1,
+        color: 0x2e86c1,
+        weight: 8,
+        passable: false,
+        moveCost: null,
+        claimCostModifier: 1,
+        defenseBonus: 0,
+        resources: []
+    }
+};
+
+// Worker Types
+export const WORKER_TYPES = {
+    WOODCUTTER: 'woodcutter',
+    MINER: 'miner',
+    FARMER: 'farmer'
+};
+
+// Worker training cost, food upkeep per turn and the production each worker adds
+export const WORKER_STATS = {
+    [WORKER_TYPES.WOODCUTTER]: {
+        name: 'Woodcutter',
+        cost: { gold: 3, food: 2 },
+        upkeep: { food: 1 },
+        produces: 'wood',
+        bonus: 2
+    },
+    [WORKER_TYPES.MINER]: {
+        name: 'Miner',
+        cost: { gold: 4, food: 2 },
+        upkeep: { food: 1 },
+        produces: 'metal',
+        bonus: 2
+    },
+    [WORKER_TYPES.FARMER]: {
+        name: 'Farmer',
+        cost: { gold: 3, wood: 1 },
+        upkeep: { food: 1 },
+        produces: 'food',
+        bonus: 3
+    }
+};
+
+// Building Types
+export const BUILDING_TYPES = {
+    GRANARY: 'granary',
+    SAWMILL: 'sawmill',
+    MINE: 'mine',
+    WATCHTOWER: 'watchtower',
+    WALLS: 'walls'
+};
+
+// Building cost, construction time in turns, map icon and effects once complete:
+// production (extra resources per turn), fortification (added to defense) and vision (hex range)
+export const BUILDING_STATS = {
+    [BUILDING_TYPES.GRANARY]: {
+        name: 'Granary',
+        icon: '🌾',
+        cost: { gold: 3, wood: 3 },
+        buildTurns: 2,
+        effects: { production: { food: 2 } }
+    },
+    [BUILDING_TYPES.SAWMILL]: {
+        name: 'Sawmill',
+        icon: '🪚',
+        cost: { gold: 3, metal: 1 },
+        buildTurns: 2,
+        effects: { production: { wood: 2 } }
+    },
+    [BUILDING_TYPES.MINE]: {
+        name: 'Mine',
+        icon: '⛏️',
+        cost: { gold: 4, wood: 3 },
+        buildTurns: 3,
+        effects: { production: { metal: 2 } }
+    },
+    [BUILDING_TYPES.WATCHTOWER]: {
+        name: 'Watchtower',
+        icon: '🗼',
+        cost: { gold: 2, wood: 4 },
+        buildTurns: 2,
+        effects: { vision: 3 }
+    },
+    [BUILDING_TYPES.WALLS]: {
+        name: 'Walls',
+        icon: '🧱',
+        cost: { gold: 4, wood: 2, metal: 2 },
+        buildTurns: 3,
+        effects: { fortification: 2 }
+    }
+};
+
+// Unit Types
+export const UNIT_TYPES = {
+    INFANTRY: 'infantry',
+    CAVALRY: 'cavalry',
+    SIEGE: 'siege'
+};
+
+// Unit cost, food upkeep per turn, combat stats and movement points per turn (entering a territory costs its terrain's moveCost)
+export const UNIT_STATS = {
+    [UNIT_TYPES.INFANTRY]: {
+        name: 'Infantry',
+        cost: { gold: 2, food: 2 },
+        upkeep: { food: 1 },
+        attack: 1,
+        defense: 2,
+        movement: 2
+    },
+    [UNIT_TYPES.CAVALRY]: {
+        name: 'Cavalry',
+        cost: { gold: 3, food: 2, metal: 1 },
+        upkeep: { food: 2 },
+        attack: 2,
+        defense: 1,
+        movement: 4,
+        requires: 'military_tactics' // Technology that must be researched first
+    },
+    [UNIT_TYPES.SIEGE]: {
+        name: 'Siege',
+        cost: { gold: 2, wood: 3, metal: 2 },
+        upkeep: { food: 1 },
+        attack: 4,
+        defense: 0,
+        movement: 1,
+        requires: 'engineering'
+    }
+};
+
+// Technology tree: research cost, turns to complete, prerequisite technologies and
+// effects (production multipliers per resource, units unlocked via UNIT_STATS.requires)
+export const TECHNOLOGIES = {
+    agriculture: {
+        name: 'Agriculture',
+        description: '+25% food production',
+        cost: { gold: 4, wood: 2 },
+        turns: 3,
+        prerequisites: [],
+        multipliers: { food: 1.25 }
+    },
+    forestry: {
+        name: 'Forestry',
+        description: '+25% wood production',
+        cost: { gold: 4, food: 2 },
+        turns: 3,
+        prerequisites: [],
+        multipliers: { wood: 1.25 }
+    },
+    mining: {
+        name: 'Mining',
+        description: '+25% metal production',
+        cost: { gold: 4, wood: 2 },
+        turns: 3,
+        prerequisites: [],
+        multipliers: { metal: 1.25 }
+    },
+    currency: {
+        name: 'Currency',
+        description: '+25% gold production',
+        cost: { gold: 6, metal: 2 },
+        turns: 4,
+        prerequisites: ['agriculture'],
+        multipliers: { gold: 1.25 }
+    },
+    military_tactics: {
+        name: 'Military Tactics',
+        description: 'Unlocks Cavalry',
+        cost: { gold: 6, metal: 3 },
+        turns: 4,
+        prerequisites: ['mining'],
+        multipliers: {}
+    },
+    engineering: {
+        name: 'Engineering',
+        description: 'Unlocks Siege units',
+        cost: { gold: 6, wood: 4, metal: 3 },
+        turns: 5,
+        prerequisites: ['forestry', 'mining'],
+        multipliers: {}
+    },
+    crop_rotation: {
+        name: 'Crop Rotation',
+        description: '+25% more food production',
+        cost: { gold: 8, wood: 4 },
+        turns: 5,
+        prerequisites: ['agriculture', 'forestry'],
+        multipliers: { food: 1.25 }
+    }
+};
+
+// Treaty Types
+export const TREATY_TYPES = {
+    CEASEFIRE: 'ceasefire',
+    NON_AGGRESSION: 'non_aggression',
+    ALLIANCE: 'alliance'
+};
+
+// Treaty terms: length in rounds (null = until broken), the relation the other
+// side needs before considering it, and the relation gained on signing.
+// Every active treaty blocks attacks between its parties.
+export const TREATIES = {
+    [TREATY_TYPES.CEASEFIRE]: {
+        name: 'Ceasefire',
+        duration: 3,
+        minRelation: -60,
+        relationBonus: 5
+    },
+    [TREATY_TYPES.NON_AGGRESSION]: {
+        name: 'Non-Aggression Pact',
+        duration: 10,
+        minRelation: -10,
+        relationBonus: 10
+    },
+    [TREATY_TYPES.ALLIANCE]: {
+        name: 'Alliance',
+        duration: null,
+        minRelation: 40,
+        relationBonus: 20
+    }
+};
+
+// Random events, one drawn by weight every GAME_CONFIG.RANDOM_EVENT_FREQUENCY turns.
+// conditions: minTurn, and minTerritories the affected faction must own
+// target: 'all' factions, a 'random_faction', the 'weakest_faction' (fewest territories), or a
+//   'random_territory' matching `territory` { owned, homeBase, hasBuildings, minResourceValue }
+// duration: rounds the event lasts (0 = instant)
+// effects while active: production_multiplier { resource ('all' or a type), multiplier },
+//   cost_modifier { action ('claim', 'recruit' or 'build'), multiplier }
+// instant effects: grant_resources { amounts }, lose_resources { resource, share },
+//   resource_value { change }, revolt and destroy_building (on the target territory)
+export const RANDOM_EVENTS = {
+    resource_boom: {
+        name: 'Resource Boom',
+        description: 'Every faction gains 2 of each resource',
+        weight: 2,
+        target: 'all',
+        duration: 0,
+        effects: [{ type: 'grant_resources', amounts: { gold: 2, wood: 2, metal: 2, food: 2 } }]
+    },
+    trade_winds: {
+        name: 'Trade Winds',
+        description: '+25% production of every resource',
+        weight: 3,
+        target: 'all',
+        duration: 2,
+        effects: [{ type: 'production_multiplier', resource: 'all', multiplier: 1.25 }]
+    },
+    market_fluctuation: {
+        name: 'Market Fluctuation',
+        description: 'Claiming territory costs 25% less',
+        weight: 3,
+        target: 'all',
+        duration: 3,
+        effects: [{ type: 'cost_modifier', action: 'claim', multiplier: 0.75 }]
+    },
+    bountiful_harvest: {
+        name: 'Bountiful Harvest',
+        description: '+50% food production',
+        weight: 3,
+        target: 'random_faction',
+        duration: 3,
+        effects: [{ type: 'production_multiplier', resource: 'food', multiplier: 1.5 }]
+    },
+    builders_guild: {
+        name: 'Builders\' Guild',
+        description: 'The faction with the fewest territories builds at half cost',
+        weight: 2,
+        target: 'weakest_faction',
+        duration: 3,
+        effects: [{ type: 'cost_modifier', action: 'build', multiplier: 0.5 }]
+    },
+    rich_vein: {
+        name: 'Rich Vein',
+        description: 'A new deposit is found: the territory produces 1 more',
+        weight: 2,
+        target: 'random_territory',
+        territory: { owned: true },
+        duration: 0,
+        effects: [{ type: 'resource_value', change: 1 }]
+    },
+    drought: {
+        name: 'Drought',
+        description: 'Food production is halved',
+        weight: 2,
+        disaster: true,
+        conditions: { minTurn: 5 },
+        target: 'all',
+        duration: 3,
+        effects: [{ type: 'production_multiplier', resource: 'food', multiplier: 0.5 }]
+    },
+    arms_shortage: {
+        name: 'Arms Shortage',
+        description: 'Recruiting units costs 50% more',
+        weight: 2,
+        disaster: true,
+        conditions: { minTurn: 5 },
+        target: 'random_faction',
+        duration: 3,
+        effects: [{ type: 'cost_modifier', action: 'recruit', multiplier: 1.5 }]
+    },
+    mine_collapse: {
+        name: 'Mine Collapse',
+        description: 'The territory produces 1 less',
+        weight: 2,
+        disaster: true,
+        conditions: { minTurn: 5 },
+        target: 'random_territory',
+        territory: { owned: true, minResourceValue: 2 },
+        duration: 0,
+        effects: [{ type: 'resource_value', change: -1 }]
+    },
+    plague: {
+        name: 'Plague',
+        description: 'Half of the food stores are lost',
+        weight: 1,
+        disaster: true,
+        conditions: { minTurn: 8 },
+        target: 'random_faction',
+        duration: 0,
+        effects: [{ type: 'lose_resources', resource: 'food', share: 0.5 }]
+    },
+    great_fire: {
+        name: 'Great Fire',
+        description: 'A building burns down',
+        weight: 1,
+        disaster: true,
+        conditions: { minTurn: 8 },
+        target: 'random_territory',
+        territory: { owned: true, hasBuildings: true },
+        duration: 0,
+        effects: [{ type: 'destroy_building' }]
+    },
+    rebellion: {
+        name: 'Rebellion',
+        description: 'The territory rises up, its garrison disbands and it becomes neutral',
+        weight: 1,
+        disaster: true,
+        conditions: { minTurn: 10, minTerritories: 6 },
+        target: 'random_territory',
+        territory: { owned: true, homeBase: false },
+        duration: 0,
+        effects: [{ type: 'revolt' }]
+    }
+};
+
 // Territory Ownership
 export const OWNERS = {
     NEUTRAL: null,
@@ -110,18 +691,19 @@ export const HEX_CONSTANTS = {
 export const COLORS = {
     // Territory Colors by Resource Type
     TERRITORIES: {
-        [RESOURCE_TYPES.GOLD]: 0xf1c40f,      // Gold yellow
-        [RESOURCE_TYPES.WOOD]: 0x27ae60,      // Forest green
-        [RESOURCE_TYPES.METAL]: 0x95a5a6,     // Steel gray
-        [RESOURCE_TYPES.FOOD]: 0xe67e22,      // Orange
+        ...Object.fromEntries(Object.values(RESOURCES).map(resource => [resource.id, resource.color])),
         NEUTRAL: 0x7f8c8d,                    // Neutral gray
-        STRATEGIC: 0x9b59b6                   // Purple for strategic points
+        STRATEGIC: 0x9b59b6,                  // Purple for strategic points
+        MIXED: 0x16a085                       // Dark teal for mixed zones
     },
     
     // Ownership Colors
     OWNERSHIP: {
         [OWNERS.PLAYER]: 0x3498db,            // Blue
         [OWNERS.AI]: 0xe74c3c,                // Red
+        [OWNERS.AI_1]: 0xe74c3c,              // Red
+        [OWNERS.AI_2]: 0x8e44ad,              // Violet
+        [OWNERS.AI_3]: 0xa0522d,              // Sienna
         [OWNERS.NEUTRAL]: 0x95a5a6            // Gray
     },    // UI Colors
     UI: {
@@ -137,6 +719,8 @@ export const COLORS = {
     HEX_BACKGROUND: 0x2c3e50,                 // Dark hex background
     HEX_HIGHLIGHT: 0xf1c40f,    // Highlight color (yellow)
     HEX_BORDER_SELECTED: 0xe67e22, // Border for selected hex (orange)
+    MOVE_ROUTE: 0x2ecc71,       // Planned unit movement within range (green)
+    MOVE_ROUTE_INVALID: 0xe74c3c, // Planned unit movement that cannot be made (red)
     
     // Player/AI Colors
     PLAYER: 0x3498db,                         // Blue for player
@@ -152,7 +736,7 @@ export const COLORS = {
 export const ASSETS = {
     IMAGES: {
         // Territory Tiles
-        TILE_DEFAULT: 'assets/images/Tile_01.png',
+        TILE_DEFAULT: 'assets/images/HexTile.png',
         TILE_GOLD: 'assets/images/Tile_gold.png',
         TILE_STONE: 'assets/images/Tile_stone.png',
         TILE_TREES: 'assets/images/Tile_trees.png',
@@ -251,6 +835,39 @@ export const TURN_PHASES = {
     AI_TURN: 'ai_turn'
 };
 
+// Map generation presets; each sets the map options the setup screen starts from
+export const MAP_PRESETS = {
+    BALANCED: {
+        name: 'Balanced',
+        description: 'Even land with resources of every kind',
+        resourceRichness: 1,
+        strategicDensity: 1,
+        islands: false
+    },
+    SCARCE: {
+        name: 'Scarce',
+        description: 'Poor land - every territory counts',
+        resourceRichness: 0.6,
+        strategicDensity: 1,
+        islands: false
+    },
+    RICH: {
+        name: 'Rich',
+        description: 'Bountiful land and fewer strategic points to fight over',
+        resourceRichness: 1.5,
+        strategicDensity: 0.5,
+        islands: false
+    },
+    ISLANDS: {
+        name: 'Islands',
+        description: 'Home islands joined to a central island by causeways',
+        resourceRichness: 1,
+        strategicDensity: 1,
+        islands: true,
+        minMapSize: 9            // Smaller maps leave no room for islands
+    }
+};
+
 // AI Personalities
 export const AI_PERSONALITIES = {
     INDUSTRIALIST: {
@@ -264,6 +881,12 @@ export const AI_PERSONALITIES = {
         economyFocus: 0.3,
         expansionFocus: 0.9,
         tradeFocus: 0.2
+    },
+    SETTLER: {
+        name: 'Settler',
+        economyFocus: 0.6,
+        expansionFocus: 0.7,
+        tradeFocus: 0.5
     }
 };
 
@@ -4,6 +4,7 @@
  */
 
 import { HEX_CONSTANTS } from './constants.js';
+import { rng } from './random.js';
 
 /**
  * Hexagonal Grid Mathematics
@@ -238,6 +239,10 @@ export function radToDeg(radians) {
     return radians * (180 / Math.PI);
 }
 
+/**
+ * Random helpers draw from the seeded rng (see random.js) so games are reproducible
+ */
+
 /**
  * Generate a random integer between min and max (inclusive)
  * @param {number} min - Minimum value
@@ -245,7 +250,7 @@ export function radToDeg(radians) {
  * @returns {number} Random integer
  */
 export function randomInt(min, max) {
-    return Math.floor(Math.random() * (max - min + 1)) + min;
+    return Math.floor(rng.next() * (max - min + 1)) + min;
 }
 
 /**
@@ -255,7 +260,7 @@ export function randomInt(min, max) {
  * @returns {number} Random float
  */
 export function randomFloat(min, max) {
-    return Math.random() * (max - min) + min;
+    return rng.next() * (max - min) + min;
 }
 
 /**
@@ -264,7 +269,18 @@ export function randomFloat(min, max) {
  * @returns {*} Random element
  */
 export function randomChoice(array) {
-    return array[Math.floor(Math.random() * array.length)];
+    return array[Math.floor(rng.next() * array.length)];
+}
+
+/**
+ * Choose a random element from an array, each with a chance proportional to its weight
+ * @param {Array} array - Array to choose from
+ * @param {function} getWeight - Weight of an element (non-negative)
+ * @returns {*} Random element
+ */
+export function weightedChoice(array, getWeight) {
+    let roll = rng.next() * array.reduce((total, element) => total + getWeight(element), 0);
+    return array.find(element => (roll -= getWeight(element)) < 0) || array[array.length - 1];
 }
 
 /**
@@ -274,7 +290,7 @@ export function randomChoice(array) {
  */
 export function shuffleArray(array) {
     for (let i = array.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = Math.floor(rng.next() * (i + 1));
         [array[i], array[j]] = [array[j], array[i]];
     }
     return array;
@@ -0,0 +1,81 @@
+/**
+ * Colony Conquest - Seeded Random Number Generator
+ * Every game-affecting random roll draws from the shared `rng` so that a seed
+ * reproduces the same map and the same event sequence.
+ */
+
+/**
+ * Convert a numeric or string seed into a 32-bit integer state
+ * @param {number|string} seed - Seed value
+ * @returns {number} 32-bit unsigned integer
+ */
+function hashSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+        return seed >>> 0;
+    }
+
+    // FNV-1a hash for string seeds such as "my-map"
+    const text = String(seed);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Create a fresh seed for games started without one
+ * @returns {number} Random 32-bit seed
+ */
+export function createSeed() {
+    return Math.floor(Math.random() * 0x100000000);
+}
+
+/**
+ * SeededRandom class - Mulberry32 generator with a serializable state
+ */
+export class SeededRandom {
+    constructor(seed = createSeed()) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Restart the sequence from a seed
+     * @param {number|string} seed - Seed value
+     */
+    setSeed(seed) {
+        this.seed = seed;
+        this.state = hashSeed(seed);
+    }
+
+    /**
+     * Next random number in [0, 1), a drop-in replacement for Math.random()
+     * @returns {number} Random float
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Get the seed and position in the sequence, for saving
+     */
+    getState() {
+        return { seed: this.seed, state: this.state };
+    }
+
+    /**
+     * Continue a sequence saved with getState()
+     */
+    setState({ seed, state }) {
+        this.seed = seed;
+        this.state = state >>> 0;
+    }
+}
+
+// Shared generator for the whole game, seeded by GameScene
+export const rng = new SeededRandom();
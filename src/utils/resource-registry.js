@@ -0,0 +1,74 @@
+/**
+ * Colony Conquest - Resource Registry
+ * Lookups over the RESOURCES definitions: which resources exist, which are stockpiled and what they start at
+ */
+
+import { RESOURCES } from './constants.js';
+
+/**
+ * Get a resource's definition
+ * @param {string} resourceType - Resource id
+ * @returns {Object|null} Definition from RESOURCES, or null for unknown resources (e.g. a home base's)
+ */
+export function getResourceDefinition(resourceType) {
+    return RESOURCES[resourceType] || null;
+}
+
+/**
+ * Ids of every registered resource, including those that convert into another
+ * @returns {Array<string>} Resource ids
+ */
+export function getResourceIds() {
+    return Object.keys(RESOURCES);
+}
+
+/**
+ * Ids of the resources factions stockpile and spend
+ * @returns {Array<string>} Resource ids
+ */
+export function getStockpiledResources() {
+    return Object.values(RESOURCES)
+        .filter(resource => !resource.convertsTo)
+        .map(resource => resource.id);
+}
+
+/**
+ * Resource that production of a resource ends up as, following its conversions
+ * @param {string} resourceType - Resource id
+ * @returns {string|null} Stockpiled resource id, or null if the resource is unknown
+ */
+export function getStockpileResource(resourceType) {
+    let resource = getResourceDefinition(resourceType);
+    const visited = new Set();
+    while (resource && resource.convertsTo && !visited.has(resource.id)) {
+        visited.add(resource.id);
+        resource = getResourceDefinition(resource.convertsTo);
+    }
+    return resource && !resource.convertsTo ? resource.id : null;
+}
+
+/**
+ * Resources a faction starts the game with
+ * @returns {Object} Amounts keyed by stockpiled resource id
+ */
+export function createStartingResources() {
+    return Object.fromEntries(getStockpiledResources().map(id => [id, RESOURCES[id].startingAmount]));
+}
+
+/**
+ * A zero amount for every stockpiled resource
+ * @returns {Object} Amounts keyed by stockpiled resource id
+ */
+export function createEmptyResources() {
+    return Object.fromEntries(getStockpiledResources().map(id => [id, 0]));
+}
+
+/**
+ * Base cost of claiming a territory, before territory and neighbour adjustments
+ * @returns {Object} Amounts keyed by resource id
+ */
+export function getBaseClaimCost() {
+    return Object.fromEntries(getStockpiledResources()
+        .filter(id => RESOURCES[id].claimCost > 0)
+        .map(id => [id, RESOURCES[id].claimCost]));
+}